@@ -0,0 +1,101 @@
+/**
+ * sw.js — service worker лаборатории (регистрируется только в сборке,
+ * см. src/lib/offlineCache.js; имена кэшей должны совпадать).
+ *
+ *   khmer-lab-shell-<версия> — оболочка из precache.json (index.html, assets/,
+ *                              wasm/hb.js, wasm/hb.wasm, fonts/index.json), ставится при install;
+ *   khmer-lab-fonts          — выбранные шрифты и ответы /api/metrics;
+ *   khmer-lab-sounds         — звуки, сохраняются при первом проигрывании.
+ */
+
+const SHELL_CACHE_PREFIX = 'khmer-lab-shell-';
+const FONTS_CACHE = 'khmer-lab-fonts';
+const SOUNDS_CACHE = 'khmer-lab-sounds';
+const PRECACHE_MANIFEST = 'precache.json';
+
+const scopeUrl = new URL(self.registration.scope);
+
+function scopePath(url) {
+  return url.pathname.startsWith(scopeUrl.pathname) ? url.pathname.slice(scopeUrl.pathname.length) : null;
+}
+
+// Кэш оболочки, поставленный этим воркером; если воркер перезапускался между
+// install и activate, старые оболочки остаются до следующего обновления
+let installedShellCache = null;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const response = await fetch(new URL(PRECACHE_MANIFEST, scopeUrl), { cache: 'no-store' });
+    const { version, urls } = await response.json();
+    const cacheName = `${SHELL_CACHE_PREFIX}${version}`;
+    const cache = await caches.open(cacheName);
+    await cache.addAll(urls.map((url) => new URL(url, scopeUrl).href));
+    installedShellCache = cacheName;
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    if (installedShellCache) {
+      const keys = await caches.keys();
+      const stale = keys.filter((key) => key.startsWith(SHELL_CACHE_PREFIX) && key !== installedShellCache);
+      await Promise.all(stale.map((key) => caches.delete(key)));
+    }
+    await self.clients.claim();
+  })());
+});
+
+// ─── Стратегии ───────────────────────────────────────────────────────────────
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  try {
+    const response = await fetch(request);
+    if (response.ok && cacheName) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== scopeUrl.origin) return;
+  const path = scopePath(url);
+  if (path === null) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request).catch(() => caches.match(new URL('index.html', scopeUrl).href)));
+  } else if (path.startsWith('sounds/')) {
+    // <audio> может просить Range, а частичный ответ (206) в кэш не положить —
+    // берём файл целиком
+    event.respondWith(cacheFirst(url.href, SOUNDS_CACHE));
+  } else if (path === 'fonts/index.json') {
+    // Каталог шрифтов мог измениться — сначала сеть
+    event.respondWith(networkFirst(request));
+  } else if (path.startsWith('fonts/')) {
+    event.respondWith(cacheFirst(request, FONTS_CACHE));
+  } else if (path === 'api/metrics') {
+    event.respondWith(networkFirst(request, FONTS_CACHE));
+  } else if (!path.startsWith('api/') && path !== 'health') {
+    event.respondWith(caches.match(request).then((cached) => cached || fetch(request)));
+  }
+});
@@ -0,0 +1,104 @@
+/**
+ * build-color-font.mjs — цветной учебный шрифт (COLRv0/CPAL) из разбора кластеров.
+ *
+ *   npm run build:color-font -- [--font public/fonts/KhmerOS_battambang.ttf]
+ *     [--clusters scripts/color-font-clusters.txt] [--out color-fonts/<имя>-Color.ttf]
+ *     [--segmentation rects|contours]
+ *
+ * Кластеры шейпятся тем же ядром, что и сервер (src/lib/shapingCore.js), и
+ * раскладываются на части mapGlyphsToParts; слои шрифта — контуры частей,
+ * цвета — getColorForCategory (см. src/lib/colorFont.js).
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import opentype from 'opentype.js';
+
+import { buildColorFont, collectColorGlyphs, parseClusterList } from '../src/lib/colorFont.js';
+import { buildGlyphPartsPayload, hydrateGlyphParts } from '../src/lib/glyphPartsPayload.js';
+import { readFontMarkAnchors } from '../src/lib/gposAnchors.js';
+import { buildFontMetrics, buildPairMetrics, getGlyphPathAndBBox, shapeGlyphs } from '../src/lib/shapingCore.js';
+
+const require = createRequire(import.meta.url);
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const DEFAULTS = {
+  font: path.join(ROOT, 'public', 'fonts', 'KhmerOS_battambang.ttf'),
+  clusters: path.join(ROOT, 'scripts', 'color-font-clusters.txt'),
+  segmentation: 'rects',
+};
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(font|clusters|out|segmentation)$/.exec(argv[i]);
+    if (!match || argv[i + 1] === undefined) throw new Error(`Неизвестный аргумент: ${argv[i]}`);
+    args[match[1]] = argv[++i];
+  }
+  if (!['rects', 'contours'].includes(args.segmentation)) {
+    throw new Error(`--segmentation: rects или contours, получено ${args.segmentation}`);
+  }
+  if (!args.out) {
+    args.out = path.join(ROOT, 'color-fonts', `${path.basename(args.font, path.extname(args.font))}-Color.ttf`);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const clusters = parseClusterList(readFileSync(args.clusters, 'utf8'));
+  if (clusters.length === 0) throw new Error(`В ${args.clusters} нет кластеров`);
+
+  const fontData = readFileSync(args.font);
+  const arrayBuffer = fontData.buffer.slice(fontData.byteOffset, fontData.byteOffset + fontData.byteLength);
+  const hb = await require('harfbuzzjs');
+  const hbFace = hb.createFace(hb.createBlob(arrayBuffer), 0);
+  const shaper = {
+    hbFont: hb.createFont(hbFace),
+    otFont: opentype.parse(arrayBuffer),
+    fontEntry: { id: 'source', label: path.basename(args.font), file: path.basename(args.font), faceIndex: 0 },
+    variations: null,
+  };
+
+  // Как /api/metrics?pairs=1&anchors=1 — части считаются так же, как на сервере с parts=1
+  const fontMetrics = await buildFontMetrics(hb, shaper.hbFont, shaper.otFont);
+  const metrics = {
+    ...fontMetrics,
+    pairs: await buildPairMetrics(hb, shaper.hbFont, shaper.otFont, fontMetrics),
+    anchors: readFontMarkAnchors(hbFace),
+  };
+  const glyphs = [];
+  for (const cluster of clusters) {
+    const shaped = await shapeGlyphs(hb, cluster, {
+      fontId: 'source',
+      contours: args.segmentation === 'contours',
+      quiet: true,
+    }, {
+      getShaper: async () => shaper,
+      getFallbackChain: () => [],
+      getOutline: (fontShaper, glyphId) => getGlyphPathAndBBox(fontShaper.otFont, glyphId),
+    });
+    glyphs.push(...hydrateGlyphParts(buildGlyphPartsPayload(shaped, cluster, metrics, { strategy: args.segmentation })));
+  }
+
+  const { colorGlyphs, issues } = collectColorGlyphs(glyphs);
+  for (const issue of issues) {
+    if (issue.code === 'glyph_conflict') {
+      console.warn(`[color-font] ${issue.cluster}: глиф ${issue.glyphId} уже раскрашен по другому кластеру`);
+    } else if (issue.code === 'shared_part') {
+      console.warn(`[color-font] ${issue.cluster}: часть «${issue.char}» общая для нескольких глифов — пропущена`);
+    }
+  }
+
+  const output = buildColorFont(fontData, colorGlyphs);
+  mkdirSync(path.dirname(args.out), { recursive: true });
+  writeFileSync(args.out, output);
+  console.log(`[color-font] ${clusters.length} кластеров, ${colorGlyphs.size} цветных глифов → ${path.relative(process.cwd(), args.out)}`);
+}
+
+main().catch((error) => {
+  console.error(`[color-font] ${error.message}`);
+  process.exitCode = 1;
+});
@@ -2,59 +2,89 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const crypto = require('crypto');
+const os = require('os');
+const zlib = require('zlib');
 const opentype = require('opentype.js');
+const woff2 = require('wawoff2');
 
 const PORT = Number(process.env.PORT || 3001);
-const FONTS_DIR = path.join(process.cwd(), 'public/fonts');
-const FONT_EXTENSIONS = new Set(['.ttf', '.otf', '.woff', '.woff2']);
+const FONTS_DIR = process.env.FONTS_DIR ? path.resolve(process.env.FONTS_DIR) : path.join(process.cwd(), 'public/fonts');
+const FONT_EXTENSIONS = new Set(['.ttf', '.otf', '.ttc', '.otc', '.woff', '.woff2']);
+// Ограничение на число face в коллекции (защита от битого заголовка ttcf)
+const MAX_COLLECTION_FACES = 64;
+const METRICS_CACHE_DIR = process.env.METRICS_CACHE_DIR || path.join(process.cwd(), '.cache/metrics');
+// Увеличивать при изменении структуры результата buildFontMetrics
+// 2 — матрицы pairs (buildPairMetrics) в том же файле
+const METRICS_SCHEMA_VERSION = 2;
 const FONT_LABEL_OVERRIDES = {
   KhmerOSBattambang: 'Khmer OS Battambang',
   KhmerOS_siemreap: 'Khmer OS Siemreap',
   'NotoSansKhmer-Regular': 'Noto Sans Khmer'
 };
+// Подписи, заданные через API (имя файла → label); приоритетнее FONT_LABEL_OVERRIDES.
+// Файл вне public/: оттуда всё раздаётся статикой и попадает в сборку
+const FONT_LABELS_FILE = process.env.FONT_LABELS_FILE
+  ? path.resolve(process.env.FONT_LABELS_FILE)
+  : path.join(process.cwd(), '.data/font-labels.json');
+const UPLOAD_FONT_EXTENSIONS = new Set(['.ttf', '.otf', '.ttc', '.otc', '.woff', '.woff2']);
+const MAX_FONT_UPLOAD_BYTES = 20 * 1024 * 1024;
+// Токен для изменяющих маршрутов (загрузка, подпись, удаление шрифтов, rebuild метрик).
+// Без токена они принимают только запросы с того же origin.
+const FONT_ADMIN_TOKEN = process.env.FONT_ADMIN_TOKEN || '';
+const SCHEMAS_DIR = path.join(__dirname, 'schemas');
+// Режим проверки ответов по JSON Schema (тесты, отладка)
+const VALIDATE_RESPONSES = process.env.VALIDATE_RESPONSES === '1';
+// Лимиты входа шейпинга; без переменных окружения — MAX_TEXT_LENGTH/MAX_FEATURES из src/lib/shapingParams.js
+const MAX_TEXT_LENGTH = Number(process.env.MAX_TEXT_LENGTH) || undefined;
+const MAX_FEATURES = Number(process.env.MAX_FEATURES) || undefined;
+// Размер LRU-кэша контуров глифов на шрифт (записей; инстансы вариаций — отдельные ключи)
+const OUTLINE_CACHE_SIZE = Number(process.env.OUTLINE_CACHE_SIZE) || 4000;
+// Неизвестный id шрифта в v1 подменяется первым доступным шрифтом (с предупреждением в логе);
+// STRICT_FONTS=1 — 404 со списком известных. /api/v2 строгий всегда
+const STRICT_FONT_RESOLUTION = process.env.STRICT_FONTS === '1';
 
-// Инлайн-копия из khmerClassifier.js (избегаем проблем с ES-модулями в CJS)
 const KHMER_CONSONANT_START = 0x1780;
-const KHMER_CONSONANT_END   = 0x17A2;
-const KHMER_DEP_VOWEL_START = 0x17B6;
-const KHMER_DEP_VOWEL_END   = 0x17C5;
-const KHMER_DIACRITIC_RANGES = [[0x17C6, 0x17D1], [0x17D3, 0x17D3], [0x17DD, 0x17DD]];
-
-function isKhmerConsonantChar(char) {
-  const cp = char ? char.codePointAt(0) : -1;
-  return cp >= KHMER_CONSONANT_START && cp <= KHMER_CONSONANT_END;
-}
-function isKhmerDependentVowel(char) {
-  const cp = char ? char.codePointAt(0) : -1;
-  return cp >= KHMER_DEP_VOWEL_START && cp <= KHMER_DEP_VOWEL_END;
-}
-function isKhmerDiacriticOrSign(char) {
-  const cp = char ? char.codePointAt(0) : -1;
-  return KHMER_DIACRITIC_RANGES.some(([s, e]) => cp >= s && cp <= e);
+const SHARED_LIB_DIR = path.join(__dirname, '../src/lib');
+
+// ─── ES-модули клиента (src/lib) ───────────────────────────────────────────
+// Классификатор, маппер частей и ядро шейпинга общие с React-клиентом (в том числе
+// с wasm-бэкендом в браузере): CJS-сервер подгружает их через import(), чтобы не
+// держать копию и выдавать тот же результат.
+let sharedLibPromise = null;
+
+function loadSharedLib() {
+  if (!sharedLibPromise) {
+    const importLib = (file) => import(url.pathToFileURL(path.join(SHARED_LIB_DIR, file)).href);
+    sharedLibPromise = Promise.all([
+      importLib('khmerClassifier.js'),
+      importLib('glyphPartsPayload.js'),
+      importLib('validateJsonSchema.js'),
+      importLib('glyphOutlines.js'),
+      importLib('shapingParams.js'),
+      importLib('shapingCore.js'),
+      importLib('gposAnchors.js'),
+    ]).then((modules) => Object.assign({}, ...modules));
+  }
+  return sharedLibPromise;
 }
 
 let hb;
 const shaperCache = new Map();
 const fontValidationCache = new Map();
+// Оси вариативных шрифтов (fvar): cacheKey файла → [{ tag, name, min, default, max }]
+const fontAxesCache = new Map();
 
 // ─── Кэш метрик: fontId → { consonants, subscripts, vowels, diacritics } ──
 const metricsCache = new Map();
+// fontFileCacheKey → { names, coverage }
+const fontReportCache = new Map();
+// fontFileCacheKey → раскодированный WOFF/WOFF2 (Buffer) или null, если файл битый
+const decodedFontCache = new Map();
 
 // Все кодпоинты кхмерских согласных
 const KHMER_CONSONANTS = Array.from({ length: 0x17A3 - 0x1780 }, (_, i) => 0x1780 + i);
 
-// Все кодпоинты зависимых гласных
-const KHMER_DEP_VOWELS = Array.from({ length: 0x17C6 - 0x17B6 }, (_, i) => 0x17B6 + i);
-
-// Диакритики и знаки
-const KHMER_DIACRITICS = [
-  ...Array.from({ length: 0x17D2 - 0x17C6 }, (_, i) => 0x17C6 + i),
-  0x17D3, 0x17DD
-];
-
-// ─── Независимые гласные ──────────────────────────────────────────────────
-const KHMER_INDEP_VOWELS = Array.from({ length: 0x17B4 - 0x17A3 }, (_, i) => 0x17A3 + i);
-
 // Coeng (подписной знак)
 const COENG = 0x17D2;
 
@@ -66,7 +96,31 @@ function toFontId(fileName) {
     .replace(/^-+|-+$/g, '');
 }
 
+let fontLabels = null;
+
+function readFontLabels() {
+  if (fontLabels) return fontLabels;
+  try {
+    fontLabels = JSON.parse(fs.readFileSync(FONT_LABELS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn('[font:warn] unreadable labels file', error.message);
+    fontLabels = {};
+  }
+  return fontLabels;
+}
+
+function saveFontLabel(fileName, label) {
+  const labels = { ...readFontLabels() };
+  if (label) labels[fileName] = label;
+  else delete labels[fileName];
+  fs.mkdirSync(path.dirname(FONT_LABELS_FILE), { recursive: true });
+  fs.writeFileSync(FONT_LABELS_FILE, `${JSON.stringify(labels, null, 2)}\n`);
+  fontLabels = labels;
+}
+
 function toLabel(fileName) {
+  const customLabel = readFontLabels()[fileName];
+  if (customLabel) return customLabel;
   const base = fileName.replace(path.extname(fileName), '');
   if (FONT_LABEL_OVERRIDES[base]) return FONT_LABEL_OVERRIDES[base];
   return base
@@ -86,38 +140,250 @@ function discoverFontCatalog() {
     .sort((a, b) => a.localeCompare(b));
 
   const usedIds = new Map();
-  return fontFiles.map((fileName) => {
+  return fontFiles.flatMap((fileName) => {
     const baseId = toFontId(fileName) || 'font';
     const count = (usedIds.get(baseId) || 0) + 1;
     usedIds.set(baseId, count);
     const id = count === 1 ? baseId : `${baseId}-${count}`;
-    return { id, label: toLabel(fileName), path: path.join(FONTS_DIR, fileName), file: fileName };
+    const fontPath = path.join(FONTS_DIR, fileName);
+    const label = toLabel(fileName);
+    // Каждый face коллекции — отдельная запись: id, id#1, id#2, …
+    return Array.from({ length: getFontFaceCount(fontPath) }, (_, faceIndex) => ({
+      id: faceIndex === 0 ? id : `${id}#${faceIndex}`,
+      label: faceIndex === 0 ? label : `${label} #${faceIndex}`,
+      path: fontPath,
+      file: fileName,
+      faceIndex,
+    }));
   });
 }
 
-function canParseFontFile(fontPath) {
+function getFontFileCacheKey(fontPath) {
   const stat = fs.statSync(fontPath);
-  const cacheKey = `${fontPath}:${stat.mtimeMs}:${stat.size}`;
+  return `${fontPath}:${stat.mtimeMs}:${stat.size}`;
+}
+
+// ─── Чтение файлов шрифтов: WOFF/WOFF2 и коллекции TTC/OTC ────────────────
+// opentype.js не читает WOFF2 и коллекции, HarfBuzz — WOFF/WOFF2.
+// Обе стороны получают один и тот же standalone SFNT выбранного face.
+
+function getFontFormat(fontPath) {
+  return path.extname(fontPath).toLowerCase().slice(1);
+}
+
+function align4(value) {
+  return (value + 3) & ~3;
+}
+
+/**
+ * Собираем SFNT из таблиц { tag, checksum, data } (директория сортируется по тегу).
+ */
+function buildSfnt(flavor, tables) {
+  const sorted = [...tables].sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0));
+  const numTables = sorted.length;
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange = 2 ** entrySelector * 16;
+  const headerSize = 12 + numTables * 16;
+  const out = Buffer.alloc(headerSize + sorted.reduce((sum, table) => sum + align4(table.data.length), 0));
+
+  out.writeUInt32BE(flavor, 0);
+  out.writeUInt16BE(numTables, 4);
+  out.writeUInt16BE(searchRange, 6);
+  out.writeUInt16BE(entrySelector, 8);
+  out.writeUInt16BE(numTables * 16 - searchRange, 10);
+
+  let offset = headerSize;
+  sorted.forEach((table, i) => {
+    const record = 12 + i * 16;
+    out.write(table.tag, record, 4, 'latin1');
+    out.writeUInt32BE(table.checksum, record + 4);
+    out.writeUInt32BE(offset, record + 8);
+    out.writeUInt32BE(table.data.length, record + 12);
+    table.data.copy(out, offset);
+    offset += align4(table.data.length);
+  });
+  return out;
+}
+
+/**
+ * WOFF 1.0 → SFNT: таблицы сжаты zlib по отдельности.
+ */
+function decodeWoff(data) {
+  if (data.toString('latin1', 0, 4) !== 'wOFF') throw new Error('Invalid WOFF signature');
+  const numTables = data.readUInt16BE(12);
+  const tables = [];
+  for (let i = 0; i < numTables; i++) {
+    const entry = 44 + i * 20;
+    const offset = data.readUInt32BE(entry + 4);
+    const compLength = data.readUInt32BE(entry + 8);
+    const origLength = data.readUInt32BE(entry + 12);
+    const raw = data.subarray(offset, offset + compLength);
+    tables.push({
+      tag: data.toString('latin1', entry, entry + 4),
+      checksum: data.readUInt32BE(entry + 16),
+      data: compLength < origLength ? zlib.inflateSync(raw) : raw,
+    });
+  }
+  return buildSfnt(data.readUInt32BE(4), tables);
+}
+
+/**
+ * Standalone SFNT одного face из коллекции (ttcf).
+ */
+function extractCollectionFace(data, faceIndex) {
+  const numFonts = data.readUInt32BE(8);
+  if (faceIndex >= numFonts) throw new Error(`Face ${faceIndex} not found (collection has ${numFonts})`);
+  const faceOffset = data.readUInt32BE(12 + faceIndex * 4);
+  const numTables = data.readUInt16BE(faceOffset + 4);
+  const tables = [];
+  for (let i = 0; i < numTables; i++) {
+    const record = faceOffset + 12 + i * 16;
+    const offset = data.readUInt32BE(record + 8);
+    const length = data.readUInt32BE(record + 12);
+    tables.push({
+      tag: data.toString('latin1', record, record + 4),
+      checksum: data.readUInt32BE(record + 4),
+      data: data.subarray(offset, offset + length),
+    });
+  }
+  return buildSfnt(data.readUInt32BE(faceOffset), tables);
+}
+
+/**
+ * WOFF2 декодируется асинхронно (wasm), поэтому декодируем заранее —
+ * при старте сервера, по событию watcher и при загрузке — и кладём
+ * результат в decodedFontCache.
+ */
+async function prepareFontFile(fontPath) {
+  if (getFontFormat(fontPath) !== 'woff2') return;
+  const cacheKey = getFontFileCacheKey(fontPath);
+  if (decodedFontCache.has(cacheKey)) return;
+  try {
+    decodedFontCache.set(cacheKey, Buffer.from(await woff2.decompress(fs.readFileSync(fontPath))));
+  } catch (error) {
+    console.warn('[font:warn] failed to decode WOFF2', path.basename(fontPath), error.message);
+    decodedFontCache.set(cacheKey, null);
+  }
+}
+
+// Вызывается при старте и после изменений каталога, не на каждый запрос
+async function prepareFontFiles() {
+  if (!fs.existsSync(FONTS_DIR)) return;
+  for (const fileName of fs.readdirSync(FONTS_DIR)) {
+    if (getFontFormat(fileName) !== 'woff2') continue;
+    try {
+      await prepareFontFile(path.join(FONTS_DIR, fileName));
+    } catch (error) {
+      // файл мог исчезнуть между readdir и stat — его подхватит watcher
+      console.warn('[font:warn] failed to prepare font', fileName, error.message);
+    }
+  }
+}
+
+/**
+ * Байты файла в виде SFNT или коллекции: WOFF/WOFF2 раскодированы.
+ */
+function readFontFileData(fontPath) {
+  const format = getFontFormat(fontPath);
+  if (format !== 'woff' && format !== 'woff2') return fs.readFileSync(fontPath);
+
+  const cacheKey = getFontFileCacheKey(fontPath);
+  if (!decodedFontCache.has(cacheKey)) {
+    if (format === 'woff2') {
+      const error = new Error('WOFF2 font is not decoded yet');
+      error.code = 'FONT_NOT_DECODED';
+      throw error;
+    }
+    try {
+      decodedFontCache.set(cacheKey, decodeWoff(fs.readFileSync(fontPath)));
+    } catch (error) {
+      console.warn('[font:warn] failed to decode WOFF', path.basename(fontPath), error.message);
+      decodedFontCache.set(cacheKey, null);
+    }
+  }
+  const decoded = decodedFontCache.get(cacheKey);
+  if (!decoded) throw new Error(`Invalid ${format.toUpperCase()} font`);
+  return decoded;
+}
+
+function readFontFileHead(fontPath, length) {
+  const format = getFontFormat(fontPath);
+  if (format === 'woff' || format === 'woff2') return readFontFileData(fontPath).subarray(0, length);
+  const head = Buffer.alloc(length);
+  const fd = fs.openSync(fontPath, 'r');
+  try {
+    const bytesRead = fs.readSync(fd, head, 0, length, 0);
+    return head.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function getFontFaceCount(fontPath) {
+  try {
+    const head = readFontFileHead(fontPath, 12);
+    if (head.length < 12 || head.toString('latin1', 0, 4) !== 'ttcf') return 1;
+    return Math.max(1, Math.min(MAX_COLLECTION_FACES, head.readUInt32BE(8)));
+  } catch {
+    return 1;
+  }
+}
+
+function readFontFaceData(fontPath, faceIndex = 0) {
+  const data = readFontFileData(fontPath);
+  if (data.toString('latin1', 0, 4) === 'ttcf') return extractCollectionFace(data, faceIndex);
+  if (faceIndex !== 0) throw new Error(`Face ${faceIndex} not found (not a collection)`);
+  return data;
+}
+
+function roundAxisValue(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function readFontAxes(otFont) {
+  return (otFont.tables.fvar?.axes || []).map((axis) => ({
+    tag: axis.tag,
+    name: axis.name?.en || axis.tag,
+    min: roundAxisValue(axis.minValue),
+    default: roundAxisValue(axis.defaultValue),
+    max: roundAxisValue(axis.maxValue),
+  }));
+}
+
+function canParseFontFile(fontPath, faceIndex = 0) {
+  const cacheKey = `${getFontFileCacheKey(fontPath)}#${faceIndex}`;
   if (fontValidationCache.has(cacheKey)) return fontValidationCache.get(cacheKey);
   try {
-    const fontData = fs.readFileSync(fontPath);
+    const fontData = readFontFaceData(fontPath, faceIndex);
     const arrayBuffer = fontData.buffer.slice(fontData.byteOffset, fontData.byteOffset + fontData.byteLength);
-    opentype.parse(arrayBuffer);
+    const otFont = opentype.parse(arrayBuffer);
+    fontAxesCache.set(cacheKey, readFontAxes(otFont));
     fontValidationCache.set(cacheKey, true);
     return true;
   } catch (error) {
+    // WOFF2 ещё не раскодирован — не кэшируем, проверим после prepareFontFiles()
+    if (error.code === 'FONT_NOT_DECODED') return false;
     console.warn('[font:warn] skipping unusable font', path.basename(fontPath), error.message);
     fontValidationCache.set(cacheKey, false);
     return false;
   }
 }
 
+/**
+ * Оси вариаций шрифта (пустой массив для статических шрифтов).
+ */
+function getFontAxes(fontPath, faceIndex = 0) {
+  if (!canParseFontFile(fontPath, faceIndex)) return [];
+  return fontAxesCache.get(`${getFontFileCacheKey(fontPath)}#${faceIndex}`) || [];
+}
+
 function getFontStatus(font) {
-  if (!fs.existsSync(font.path)) return { id: font.id, label: font.label, file: font.file, available: false, reason: 'missing_file' };
+  const base = { id: font.id, label: font.label, file: font.file, faceIndex: font.faceIndex };
+  if (!fs.existsSync(font.path)) return { ...base, available: false, reason: 'missing_file', axes: [] };
   const fileSize = fs.statSync(font.path).size;
-  if (fileSize === 0) return { id: font.id, label: font.label, file: font.file, available: false, reason: 'empty_file' };
-  if (!canParseFontFile(font.path)) return { id: font.id, label: font.label, file: font.file, available: false, reason: 'invalid_font' };
-  return { id: font.id, label: font.label, file: font.file, available: true, reason: null };
+  if (fileSize === 0) return { ...base, available: false, reason: 'empty_file', axes: [] };
+  if (!canParseFontFile(font.path, font.faceIndex)) return { ...base, available: false, reason: 'invalid_font', axes: [] };
+  return { ...base, available: true, reason: null, axes: getFontAxes(font.path, font.faceIndex) };
 }
 
 function getFontOptions() { return discoverFontCatalog().map(getFontStatus); }
@@ -133,371 +399,1102 @@ function resolveFontEntry(fontId) {
   }
   const found = catalog.find((font) => font.id === fontId && fs.existsSync(font.path));
   if (found) return found;
+  if (STRICT_FONT_RESOLUTION) throw createFontNotFoundError(fontId);
   const first = available[0];
+  console.warn(`[font:warn] unknown font id "${fontId}", using ${first.id}`);
   return catalog.find((font) => font.id === first.id);
 }
 
-async function getShaperForFont(fontId) {
+function createFontNotFoundError(fontId) {
+  const error = createHttpError(404, `Unknown font id: ${fontId}`, 'font_not_found');
+  error.details = { knownFontIds: getAvailableFonts().map((font) => font.id) };
+  return error;
+}
+
+function hashFontBytes(fontData) {
+  return crypto.createHash('sha256').update(fontData).digest('hex');
+}
+
+async function getShaperForFont(fontId, variations = null) {
   if (!hb) hb = await require('harfbuzzjs');
+  const { createOutlineCache, normalizeVariations, toVariationsKey } = await loadSharedLib();
   const fontEntry = resolveFontEntry(fontId);
-  if (shaperCache.has(fontEntry.id)) return { ...shaperCache.get(fontEntry.id), fontEntry };
-  const fontData = fs.readFileSync(fontEntry.path);
-  const arrayBuffer = fontData.buffer.slice(fontData.byteOffset, fontData.byteOffset + fontData.byteLength);
-  const hbBlob = hb.createBlob(arrayBuffer);
-  const hbFace = hb.createFace(hbBlob, 0);
-  const hbFont = hb.createFont(hbFace);
-  const otFont = opentype.parse(arrayBuffer);
-  const shaper = { hbBlob, hbFace, hbFont, otFont };
-  shaperCache.set(fontEntry.id, shaper);
-  return { ...shaper, fontEntry };
+  if (!shaperCache.has(fontEntry.id)) {
+    // Для коллекций — уже извлечённый face, поэтому индекс в createFace всегда 0
+    const fontData = readFontFaceData(fontEntry.path, fontEntry.faceIndex);
+    const arrayBuffer = fontData.buffer.slice(fontData.byteOffset, fontData.byteOffset + fontData.byteLength);
+    const hbBlob = hb.createBlob(arrayBuffer);
+    const hbFace = hb.createFace(hbBlob, 0);
+    const hbFont = hb.createFont(hbFace);
+    const otFont = opentype.parse(arrayBuffer);
+    const contentHash = hashFontBytes(fontData);
+    // instances: variationsKey → hbFont с применёнными осями
+    // outlineCache: LRU "variationsKey:glyphId" → { d, bb } (getCachedGlyphOutline)
+    shaperCache.set(fontEntry.id, {
+      hbBlob, hbFace, hbFont, otFont, axes: readFontAxes(otFont), instances: new Map(),
+      outlineCache: createOutlineCache(OUTLINE_CACHE_SIZE), fontPath: fontEntry.path, contentHash,
+    });
+  }
+
+  const shaper = shaperCache.get(fontEntry.id);
+  const instanceVariations = normalizeVariations(variations, shaper.axes);
+  if (!instanceVariations) return { ...shaper, variations: null, fontEntry };
+
+  const key = toVariationsKey(instanceVariations);
+  if (!shaper.instances.has(key)) {
+    const instanceFont = hb.createFont(shaper.hbFace);
+    instanceFont.setVariations(instanceVariations);
+    shaper.instances.set(key, instanceFont);
+  }
+  return { ...shaper, hbFont: shaper.instances.get(key), variations: instanceVariations, fontEntry };
 }
 
-function getGlyphPathAndBBox(otFont, glyphId) {
-  try {
-    const glyphObj = otFont.glyphs.get(glyphId);
-    if (glyphObj) {
-      const pathData = glyphObj.getPath(0, 0, otFont.unitsPerEm);
-      const bb = pathData.getBoundingBox();
-      return { d: pathData.toPathData(2), bb: { x1: bb.x1, y1: bb.y1, x2: bb.x2, y2: bb.y2 } };
-    }
-  } catch (e) {
-    console.warn('[glyph:warn]', e.message);
+// ─── Hot reload каталога шрифтов ───────────────────────────────────────────
+
+const FONT_WATCH_DEBOUNCE_MS = 300;
+// Открытые SSE-подключения /api/events
+const eventClients = new Set();
+
+function destroyShaper(shaper) {
+  for (const instanceFont of shaper.instances.values()) instanceFont.destroy();
+  shaper.hbFont.destroy();
+  shaper.hbFace.destroy();
+  shaper.hbBlob.destroy();
+}
+
+function deleteKeysWithPrefix(cache, prefix) {
+  for (const key of Array.from(cache.keys())) {
+    if (key.startsWith(prefix)) cache.delete(key);
   }
-  return { d: '', bb: { x1: 0, y1: 0, x2: 0, y2: 0 } };
 }
 
 /**
- * Шейпим одну строку и возвращаем список компонентов с bbox.
- * Используется внутри buildFontMetrics для изоляции символов.
+ * Сбрасываем кэши изменённых файлов. Шейперы и метрики привязаны к id,
+ * поэтому сбрасываем и id, которые теперь указывают на другой файл
+ * (суффиксы -2, -3 сдвигаются при добавлении/удалении файлов).
+ * Возвращает id сброшенных шрифтов.
  */
-function shapeString(hbFont, otFont, text) {
-  const buf = hb.createBuffer();
-  buf.setClusterLevel(2); // уровень 2 = каждый символ отдельно
-  buf.addText(text);
-  buf.guessSegmentProperties();
-  hb.shape(hbFont, buf);
-  const records = buf.json();
-  buf.destroy();
+function evictFontCaches(changedPaths) {
+  const catalogPaths = new Map(discoverFontCatalog().map((font) => [font.id, font.path]));
+  const isStale = (fontId, fontPath) => changedPaths.has(fontPath) || catalogPaths.get(fontId) !== fontPath;
+
+  const evictedIds = [];
+  for (const [fontId, shaper] of Array.from(shaperCache.entries())) {
+    if (!isStale(fontId, shaper.fontPath)) continue;
+    destroyShaper(shaper);
+    shaperCache.delete(fontId);
+    evictedIds.push(fontId);
+  }
+
+  // metricsCache: "fontId" или "fontId@wght:700"
+  for (const key of Array.from(metricsCache.keys())) {
+    const fontId = key.split('@')[0];
+    if (evictedIds.includes(fontId) || changedPaths.has(catalogPaths.get(fontId))) metricsCache.delete(key);
+  }
 
-  return records.map((rec) => {
-    const { bb } = getGlyphPathAndBBox(otFont, rec.g);
-    return { glyphId: rec.g, cp: rec.cl, bb };
+  // Кэши по файлу: ключ "path:mtime:size"
+  for (const fontPath of changedPaths) {
+    deleteKeysWithPrefix(fontValidationCache, `${fontPath}:`);
+    deleteKeysWithPrefix(fontAxesCache, `${fontPath}:`);
+    deleteKeysWithPrefix(fontReportCache, `${fontPath}:`);
+    deleteKeysWithPrefix(decodedFontCache, `${fontPath}:`);
+  }
+  return evictedIds;
+}
+
+function broadcastEvent(eventName, payload) {
+  const message = `event: ${eventName}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const client of eventClients) client.write(message);
+}
+
+/**
+ * Следим за public/fonts: изменения собираем с debounce (копирование файла
+ * даёт серию событий), сбрасываем кэши и шлём клиентам "fonts-changed".
+ */
+function watchFontsDir() {
+  if (!fs.existsSync(FONTS_DIR)) return;
+  const pendingPaths = new Set();
+  let timer = null;
+
+  fs.watch(FONTS_DIR, (eventType, fileName) => {
+    if (!fileName || !FONT_EXTENSIONS.has(path.extname(fileName).toLowerCase())) return;
+    pendingPaths.add(path.join(FONTS_DIR, fileName));
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      const changedPaths = new Set(pendingPaths);
+      pendingPaths.clear();
+      const evictedFontIds = evictFontCaches(changedPaths);
+      const files = Array.from(changedPaths).map((fontPath) => path.basename(fontPath));
+      console.log('[fonts] Changed:', files.join(', '), 'evicted:', evictedFontIds.join(', ') || '—');
+      // Новый или заменённый WOFF2 раскодируем до того, как клиенты перезапросят каталог
+      await prepareFontFiles().catch((error) => console.error('[fonts:error] failed to prepare font files', error));
+      broadcastEvent('fonts-changed', { files, evictedFontIds });
+    }, FONT_WATCH_DEBOUNCE_MS);
   });
 }
 
+async function getFontFeatures(fontId) {
+  const { readFontFeatures } = await loadSharedLib();
+  const { hbFace, fontEntry } = await getShaperForFont(fontId);
+  return { fontId: fontEntry.id, ...readFontFeatures(hbFace) };
+}
+
+// ─── Покрытие Khmer и метаданные name-таблицы ──────────────────────────────
+
+const KHMER_COVERAGE_BLOCKS = {
+  khmer: [0x1780, 0x17FF],
+  khmerSymbols: [0x19E0, 0x19FF],
+};
+const DOTTED_CIRCLE = 0x25CC;
+const UNASSIGNED_CHAR = /^\p{Cn}$/u;
+// name ID: 16 — typographic family (если есть), 1 — family, 5 — version, 9 — designer, 13 — license
+const NAME_IDS = { typographicFamily: 16, family: 1, version: 5, designer: 9, license: 13 };
+
+function toCodePointLabel(cp) {
+  return `U+${cp.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+function readFontNames(hbFace) {
+  const read = (nameId) => hbFace.getName(nameId, 'en').trim() || null;
+  return {
+    family: read(NAME_IDS.typographicFamily) || read(NAME_IDS.family),
+    designer: read(NAME_IDS.designer),
+    version: read(NAME_IDS.version),
+    license: read(NAME_IDS.license),
+  };
+}
+
 /**
- * Строим полные метрики для шрифта.
- *
- * Возвращает объект:
- * {
- *   unitsPerEm,
- *   consonants: {
- *     [codePoint]: { glyphId, bb }   // bb согласной в изоляции
- *   },
- *   subscripts: {
- *     [codePoint]: { glyphId, bb }   // bb подписной формы (coeng + согласная)
- *   },
- *   vowels: {
- *     [codePoint]: {
- *       glyphId,
- *       bb,
- *       components: [{ glyphId, bb }]  // если гласная → несколько глифов
- *     }
- *   },
- *   diacritics: {
- *     [codePoint]: { glyphId, bb }
- *   }
- * }
- *
- * Для каждой подписной шейпим пару "ក + coeng + X" и вычитаем bbox ក,
- * чтобы получить bbox только подписной части.
+ * Какие назначенные code points блоков Khmer / Khmer Symbols есть в cmap,
+ * и какие подписные (ក + coeng + согласная) шейпятся в .notdef или dotted circle.
  */
-async function buildFontMetrics(hbFont, otFont) {
-  const unitsPerEm = otFont.unitsPerEm;
-  const BASE_CONSONANT = 0x1780; // ក — стабильная нейтральная база
+async function buildKhmerCoverage(hbFace, hbFont) {
+  const { shapeGlyphIds } = await loadSharedLib();
+  const unicodes = new Set(hbFace.collectUnicodes());
+  const blocks = {};
+  for (const [blockName, [start, end]] of Object.entries(KHMER_COVERAGE_BLOCKS)) {
+    const supported = [];
+    const missing = [];
+    for (let cp = start; cp <= end; cp++) {
+      if (UNASSIGNED_CHAR.test(String.fromCodePoint(cp))) continue;
+      (unicodes.has(cp) ? supported : missing).push(toCodePointLabel(cp));
+    }
+    blocks[blockName] = { total: supported.length + missing.length, supported, missing };
+  }
 
-  // ── 1. БАЗОВЫЕ СОГЛАСНЫЕ в изоляции ─────────────────────────────────────
-  const consonants = {};
+  const dottedCircleGlyph = unicodes.has(DOTTED_CIRCLE) ? shapeGlyphIds(hb, hbFont, String.fromCodePoint(DOTTED_CIRCLE))[0] : null;
+  const brokenSubscripts = [];
   for (const cp of KHMER_CONSONANTS) {
-    const char = String.fromCodePoint(cp);
-    const [rec] = shapeString(hbFont, otFont, char);
-    if (rec && (rec.bb.x2 - rec.bb.x1 > 0)) {
-      consonants[cp] = { glyphId: rec.glyphId, bb: rec.bb };
+    const glyphIds = shapeGlyphIds(hb, hbFont, String.fromCodePoint(KHMER_CONSONANT_START, COENG, cp));
+    let reason = null;
+    if (glyphIds.includes(0)) reason = 'notdef';
+    else if (dottedCircleGlyph !== null && glyphIds.includes(dottedCircleGlyph)) reason = 'dotted_circle';
+    if (reason) brokenSubscripts.push({ char: String.fromCodePoint(cp), codePoint: toCodePointLabel(cp), reason });
+  }
+
+  return {
+    ...blocks,
+    subscripts: { total: KHMER_CONSONANTS.length, broken: brokenSubscripts },
+  };
+}
+
+/**
+ * Ответ GET /api/fonts. Статическая сборка кладёт тот же объект в fonts/index.json
+ * (vite.config.js) — по нему wasm-бэкенд браузера находит шрифты без сервера.
+ */
+async function buildFontsPayload() {
+  await prepareFontFiles();
+  const fonts = await Promise.all(discoverFontCatalog().map(async (font) => {
+    const status = getFontStatus(font);
+    if (!status.available) return { ...status, names: null, coverage: null };
+    return { ...status, ...(await getFontReport(font)) };
+  }));
+  return { fonts, defaultFontId: getAvailableFonts()[0]?.id || null };
+}
+
+/**
+ * Отчёт для /api/fonts: метаданные name-таблицы и покрытие Khmer.
+ * Кэшируется по файлу шрифта (mtime + size) и face.
+ */
+async function getFontReport(font) {
+  const cacheKey = `${getFontFileCacheKey(font.path)}#${font.faceIndex}`;
+  if (!fontReportCache.has(cacheKey)) {
+    const { hbFace, hbFont } = await getShaperForFont(font.id);
+    fontReportCache.set(cacheKey, { names: readFontNames(hbFace), coverage: await buildKhmerCoverage(hbFace, hbFont) });
+  }
+  return fontReportCache.get(cacheKey);
+}
+
+/**
+ * Контур глифа через LRU-кэш шрифта (createOutlineCache).
+ * Возвращаемый объект общий для всех запросов — не мутировать.
+ *
+ * @param {object} shaper — результат getShaperForFont (с учётом вариаций)
+ * @param {number} glyphId
+ */
+async function getCachedGlyphOutline(shaper, glyphId) {
+  const { getGlyphPathAndBBox, toVariationsKey } = await loadSharedLib();
+  const key = `${toVariationsKey(shaper.variations)}:${glyphId}`;
+  return shaper.outlineCache.get(key, () => (
+    getGlyphPathAndBBox(shaper.otFont, glyphId, shaper.variations ? shaper.hbFont : null)
+  ));
+}
+
+/**
+ * Общие параметры /api/shape и /api/shape/trace. Шрифт разрешается сразу:
+ * неизвестный id — 404 ещё до шейпинга (в том числе для пустого текста).
+ */
+async function parseShapeQuery(query) {
+  const params = await loadSharedLib();
+  const text = typeof query.text === 'string' ? query.text : '';
+  params.assertTextLength(text, MAX_TEXT_LENGTH);
+  const features = params.parseFeatures(query.features, MAX_FEATURES);
+  return {
+    text,
+    features: features.length ? features : null,
+    clusterLevel: params.parseClusterLevel(query.clusterLevel),
+    fontId: resolveFontEntry(typeof query.font === 'string' ? query.font : 'auto').id,
+    variations: params.parseVariations(query.variations),
+    script: params.parseScript(query.script),
+    language: params.parseLanguage(query.language),
+    direction: params.parseDirection(query.direction),
+    fallback: params.parseFallback(query.fallback),
+    contours: wantsContours(query),
+  };
+}
+
+/**
+ * Буфер HarfBuzz на шрифт из пула options.buffers (Map fontId → buffer).
+ * Без пула — null, и шейпинг создаёт буферы сам.
+ */
+function getPooledBuffer(buffers, fontId) {
+  if (!buffers) return null;
+  if (!buffers.has(fontId)) buffers.set(fontId, hb.createBuffer());
+  return buffers.get(fontId);
+}
+
+/**
+ * Порядок fallback-шрифтов: явный список id (неизвестные и недоступные пропускаются)
+ * или все доступные шрифты каталога. Основной шрифт из цепочки исключается.
+ */
+function resolveFallbackChain(primaryId, fallbackIds) {
+  const availableIds = getAvailableFonts().map((font) => font.id);
+  const chain = Array.isArray(fallbackIds) ? fallbackIds.filter((id) => availableIds.includes(id)) : availableIds;
+  return Array.from(new Set(chain)).filter((id) => id !== primaryId);
+}
+
+/**
+ * Шейпинг в глифы /api/shape: само построение кластеров — в src/lib/shapingCore.js,
+ * здесь только шрифты каталога, цепочка fallback, кэш контуров и пул буферов.
+ */
+async function shapeText(rawText, options = {}) {
+  // hb загружает getShaperForFont, но shapeGlyphs получает его раньше первого шрифта
+  if (!hb) hb = await require('harfbuzzjs');
+  const { shapeGlyphs } = await loadSharedLib();
+  return shapeGlyphs(hb, rawText, options, {
+    getShaper: (fontId) => getShaperForFont(fontId, options.variations),
+    getFallbackChain: (primaryId) => resolveFallbackChain(primaryId, options.fallback),
+    getOutline: getCachedGlyphOutline,
+    getBuffer: (fontId) => getPooledBuffer(options.buffers, fontId),
+  });
+}
+
+// ─── Части глифов (parts=1) ────────────────────────────────────────────────
+
+/**
+ * Разложить результат shapeText на части тем же mapGlyphsToParts, что и клиент.
+ * Метрики — как из /api/metrics для основного шрифта запроса.
+ */
+async function mapShapedGlyphsToParts(glyphs, rawText, { fontId, variations, enableSegmentation, strategy }) {
+  const { buildGlyphPartsPayload } = await loadSharedLib();
+  const { fontEntry, variations: resolvedVariations, metrics } = await getFontMetrics(fontId, variations, { pairs: true, anchors: true });
+  // Клиент маппит глифы после JSON-транспорта и строит юниты из исходного текста —
+  // повторяем то же самое, чтобы вход маппера совпадал
+  const transported = JSON.parse(JSON.stringify(glyphs));
+  return buildGlyphPartsPayload(
+    transported,
+    rawText || '',
+    { fontId: fontEntry.id, variations: resolvedVariations, ...metrics },
+    { enableSegmentation, strategy }
+  );
+}
+
+// ─── Инспекция глифа по id / имени ─────────────────────────────────────────
+
+const GDEF_CLASS_NAMES = { 1: 'base', 2: 'ligature', 3: 'mark', 4: 'component' };
+const GSUB_LOOKUP_TYPE_NAMES = { 1: 'single', 2: 'multiple', 3: 'alternate', 4: 'ligature' };
+
+function getCoverageGlyphs(coverage) {
+  if (!coverage) return [];
+  if (coverage.format === 1) return coverage.glyphs;
+  const glyphs = [];
+  for (const range of coverage.ranges || []) {
+    for (let gid = range.start; gid <= range.end; gid++) glyphs.push(gid);
+  }
+  return glyphs;
+}
+
+function getClassDefValue(classDef, glyphId) {
+  if (!classDef) return 0;
+  if (classDef.format === 1) {
+    const index = glyphId - classDef.startGlyph;
+    return index >= 0 && index < classDef.classes.length ? classDef.classes[index] : 0;
+  }
+  const range = (classDef.ranges || []).find((r) => glyphId >= r.start && glyphId <= r.end);
+  return range ? range.classId : 0;
+}
+
+/**
+ * Якоря GPOS кхмерских знаков: glyphId → { mark, base } (readMarkAnchors).
+ * Строится один раз на шейпер, как и обратный индекс GSUB.
+ */
+async function getMarkAnchorIndex(shaper) {
+  if (!shaper.markAnchors) {
+    const { readFontMarkAnchors } = await loadSharedLib();
+    shaper.markAnchors = readFontMarkAnchors(shaper.hbFace);
+  }
+  return shaper.markAnchors;
+}
+
+/**
+ * Обратный индекс GSUB: glyphId результата → подстановки, которые его дают.
+ * Контекстные lookup (5/6) сами глифы не производят — их пропускаем.
+ * Строится один раз на шейпер (сбрасывается вместе с ним при hot reload).
+ */
+function getGsubReverseIndex(shaper) {
+  if (shaper.gsubReverseIndex) return shaper.gsubReverseIndex;
+  const index = new Map();
+  const gsub = shaper.otFont.tables.gsub;
+  const featuresByLookup = new Map();
+  for (const { tag, feature } of gsub?.features || []) {
+    for (const lookupIndex of feature.lookupListIndexes) {
+      if (!featuresByLookup.has(lookupIndex)) featuresByLookup.set(lookupIndex, new Set());
+      featuresByLookup.get(lookupIndex).add(tag);
     }
   }
+  const add = (target, entry) => {
+    if (!index.has(target)) index.set(target, []);
+    index.get(target).push(entry);
+  };
+
+  (gsub?.lookups || []).forEach((lookup, lookupIndex) => {
+    const features = Array.from(featuresByLookup.get(lookupIndex) || []);
+    for (const rawSubtable of lookup.subtables) {
+      // lookupType 7 (extension) — настоящий тип и subtable внутри
+      const lookupType = lookup.lookupType === 7 ? rawSubtable.lookupType : lookup.lookupType;
+      const subtable = lookup.lookupType === 7 ? rawSubtable.extension : rawSubtable;
+      const type = GSUB_LOOKUP_TYPE_NAMES[lookupType];
+      if (!type) continue;
+      const entry = (from) => ({ lookupIndex, type, features, from });
+
+      getCoverageGlyphs(subtable.coverage).forEach((gid, coverageIndex) => {
+        if (lookupType === 1) {
+          const target = subtable.substFormat === 1
+            ? (gid + subtable.deltaGlyphId) & 0xFFFF
+            : subtable.substitute[coverageIndex];
+          add(target, entry([gid]));
+        } else if (lookupType === 2) {
+          for (const target of new Set(subtable.sequences[coverageIndex] || [])) add(target, entry([gid]));
+        } else if (lookupType === 3) {
+          for (const target of subtable.alternateSets[coverageIndex] || []) add(target, entry([gid]));
+        } else if (lookupType === 4) {
+          for (const ligature of subtable.ligatureSets[coverageIndex] || []) {
+            add(ligature.ligGlyph, entry([gid, ...ligature.components]));
+          }
+        }
+      });
+    }
+  });
 
-  // ── 2. ПОДПИСНЫЕ ФОРМЫ: шейпим "ក + ្ + X" ───────────────────────────
-  // Берём реальный bbox кластера, вычитаем bbox базы → получаем bbox подписной.
-  const subscripts = {};
-  const baseRec = consonants[BASE_CONSONANT];
+  shaper.gsubReverseIndex = index;
+  return index;
+}
 
-  for (const cp of KHMER_CONSONANTS) {
-    const subChar = String.fromCodePoint(BASE_CONSONANT, COENG, cp);
-    const records = shapeString(hbFont, otFont, subChar);
+/**
+ * Данные глифа: имя, контур, bbox, advance, класс GDEF,
+ * code points из cmap и GSUB-подстановки, которые приводят к нему.
+ * glyph: { id } или { name }.
+ */
+async function inspectGlyph(fontId, glyph, variations = null) {
+  const shaper = await getShaperForFont(fontId, variations);
+  const { hbFont, otFont, fontEntry } = shaper;
+
+  let glyphId = glyph.id;
+  if (glyph.name !== undefined) {
+    glyphId = hbFont.glyphFromName(glyph.name);
+    if (glyphId === null) throw createHttpError(404, `Glyph not found by name: ${glyph.name}`, 'glyph_not_found');
+  }
+  if (!Number.isInteger(glyphId) || glyphId < 0 || glyphId >= otFont.numGlyphs) {
+    throw createHttpError(404, `Glyph id out of range: ${glyphId} (font has ${otFont.numGlyphs} glyphs)`, 'glyph_not_found');
+  }
 
-    if (!records.length) continue;
+  const { d, bb } = await getCachedGlyphOutline(shaper, glyphId);
+  const gdef = otFont.tables.gdef;
+  const gdefClass = getClassDefValue(gdef?.classDef, glyphId);
+  const glyphIndexMap = otFont.tables.cmap?.glyphIndexMap || {};
+  const codePoints = Object.keys(glyphIndexMap)
+    .filter((cp) => glyphIndexMap[cp] === glyphId)
+    .map((cp) => ({ codePoint: toCodePointLabel(Number(cp)), char: String.fromCodePoint(Number(cp)) }));
+  const substitutions = (getGsubReverseIndex(shaperCache.get(fontEntry.id)).get(glyphId) || []).map((sub) => ({
+    ...sub,
+    fromNames: sub.from.map((gid) => hbFont.glyphName(gid)),
+  }));
+  const anchors = (await getMarkAnchorIndex(shaperCache.get(fontEntry.id)))[glyphId] || { mark: [], base: [] };
+
+  return {
+    fontId: fontEntry.id,
+    variations: shaper.variations,
+    unitsPerEm: otFont.unitsPerEm,
+    glyphId,
+    name: hbFont.glyphName(glyphId),
+    advance: hbFont.glyphHAdvance(glyphId),
+    d,
+    bb,
+    gdefClass: gdefClass ? { value: gdefClass, name: GDEF_CLASS_NAMES[gdefClass] || null } : null,
+    markAttachClass: getClassDefValue(gdef?.markAttachClassDef, glyphId) || null,
+    codePoints,
+    substitutions,
+    anchors,
+  };
+}
 
-    // Общий bbox кластера
-    const clusterBB = {
-      x1: Math.min(...records.map(r => r.bb.x1)),
-      y1: Math.min(...records.map(r => r.bb.y1)),
-      x2: Math.max(...records.map(r => r.bb.x2)),
-      y2: Math.max(...records.map(r => r.bb.y2)),
-    };
+// ─── Batch-шейпинг ─────────────────────────────────────────────────────────
 
-    // Если шейпер разбил на 2+ компонента — берём наименьший по Y (нижний)
-    if (records.length >= 2) {
-      // Компонент с наибольшим y1 — самый нижний
-      const subComp = records.reduce((a, b) => a.bb.y1 > b.bb.y1 ? a : b);
-      subscripts[cp] = { glyphId: subComp.glyphId, bb: subComp.bb, clusterBB };
-    } else {
-      // Слитный глиф — вычитаем bbox базовой согласной по Y
-      // Верхняя граница подписной ≈ нижняя граница тела базы
-      const baseBodyY2 = baseRec ? baseRec.bb.y2 : clusterBB.y1 + (clusterBB.y2 - clusterBB.y1) * 0.6;
-      subscripts[cp] = {
-        glyphId: records[0].glyphId,
-        bb: {
-          x1: clusterBB.x1,
-          y1: baseBodyY2,
-          x2: clusterBB.x2,
-          y2: clusterBB.y2,
-        },
-        clusterBB,
-        merged: true, // флаг: подписная слита с базой
-      };
+const MAX_BATCH_ITEMS = 20000;
+const MAX_BATCH_BODY_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Фичи элемента batch: строка как в query ("liga:0,ccmp:0") или массив { tag, value }.
+ */
+async function parseBatchItemFeatures(features) {
+  if (features === undefined || features === null || features === '') return null;
+  const { parseFeatures } = await loadSharedLib();
+  if (typeof features === 'string') return parseFeatures(features, MAX_FEATURES);
+  if (Array.isArray(features) && features.every((f) => f && typeof f.tag === 'string')) {
+    return parseFeatures(features.map(({ tag, value }) => `${tag}:${value}`).join(','), MAX_FEATURES);
+  }
+  throw createHttpError(400, 'features must be a string like "liga:0" or an array of { tag, value }', 'invalid_feature');
+}
+
+async function shapeBatchItem(item, buffers, outlineDict) {
+  if (!item || typeof item !== 'object') throw new Error('item must be an object');
+  if (typeof item.text !== 'string') throw new Error('text must be a string');
+  const { assertTextLength } = await loadSharedLib();
+  assertTextLength(item.text, MAX_TEXT_LENGTH);
+  if (item.clusterLevel !== undefined && ![0, 1, 2].includes(item.clusterLevel)) {
+    throw createHttpError(400, 'clusterLevel must be 0, 1 or 2', 'invalid_cluster_level');
+  }
+  const fontId = resolveFontEntry(typeof item.font === 'string' ? item.font : 'auto').id;
+  const features = await parseBatchItemFeatures(item.features);
+  const glyphs = await shapeText(item.text, {
+    fontId,
+    features: features && features.length ? features : null,
+    clusterLevel: item.clusterLevel ?? 0,
+    buffers,
+    quiet: true,
+  });
+  if (outlineDict) {
+    const { compactGlyphOutlines } = await loadSharedLib();
+    return { fontId, ...compactGlyphOutlines(glyphs) };
+  }
+  return { fontId, glyphs };
+}
+
+/**
+ * Шейпим элементы по порядку; ошибка элемента не прерывает batch.
+ * Один буфер HarfBuzz на шрифт на весь batch.
+ * onResult(result) вызывается для каждого элемента (для стриминга NDJSON).
+ * outlineDict — компактный формат { glyphs, outlines } в каждом результате.
+ */
+async function shapeBatch(items, onResult, { outlineDict = false } = {}) {
+  const buffers = new Map();
+  try {
+    for (let index = 0; index < items.length; index++) {
+      let result;
+      try {
+        result = { index, ...(await shapeBatchItem(items[index], buffers, outlineDict)) };
+      } catch (error) {
+        result = { index, error: error.message, ...(error.statusCode && { code: error.code }), ...error.details };
+      }
+      await onResult(result);
     }
+  } finally {
+    for (const buffer of buffers.values()) buffer.destroy();
   }
+}
 
-  // ── 3. ГЛАСНЫЕ: шейпим "ក + гласная" ─────────────────────────────────
-  // Берём bbox кластера и вычитаем bbox ក → получаем bbox гласной.
-  const vowels = {};
-  const baseChar = String.fromCodePoint(BASE_CONSONANT);
+// outlines=dict — контуры один раз в словаре, компоненты ссылаются по hbGlyphId
+function wantsOutlineDict(query) {
+  return query.outlines === 'dict';
+}
 
-  for (const cp of KHMER_DEP_VOWELS) {
-    const vowelStr = String.fromCodePoint(BASE_CONSONANT, cp);
-    const records = shapeString(hbFont, otFont, vowelStr);
+// contours=1 — у компонентов отдельные контуры с bbox и дырками (glyphContours.js)
+function wantsContours(query) {
+  return query.contours === '1';
+}
 
-    if (!records.length) continue;
+function wantsNdjson(req, query) {
+  return query.stream === 'ndjson' || String(req.headers.accept || '').includes('application/x-ndjson');
+}
 
-    const clusterBB = {
-      x1: Math.min(...records.map(r => r.bb.x1)),
-      y1: Math.min(...records.map(r => r.bb.y1)),
-      x2: Math.max(...records.map(r => r.bb.x2)),
-      y2: Math.max(...records.map(r => r.bb.y2)),
-    };
+function writeWithBackpressure(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => res.once('drain', resolve));
+}
 
-    if (records.length >= 2) {
-      // Несколько компонентов — каждый описываем отдельно
-      // Базовый компонент = тот, что совпадает с изолированной базой по glyphId
-      const baseGlyphId = consonants[BASE_CONSONANT]?.glyphId;
-      const vowelComponents = records.filter(r => r.glyphId !== baseGlyphId);
-      const primaryVowelComp = records.find(r => r.glyphId !== baseGlyphId) || records[records.length - 1];
-
-      vowels[cp] = {
-        glyphId: primaryVowelComp.glyphId,
-        bb: primaryVowelComp.bb,
-        clusterBB,
-        components: vowelComponents.map(r => ({ glyphId: r.glyphId, bb: r.bb })),
-        multipart: vowelComponents.length > 1,
-      };
-    } else {
-      // Слитный глиф — определяем зону гласной как разницу с bbox базы
-      const baseBB = consonants[BASE_CONSONANT]?.bb;
-      vowels[cp] = {
-        glyphId: records[0].glyphId,
-        bb: records[0].bb,
-        clusterBB,
-        components: [],
-        multipart: false,
-        merged: true,
-        // Для слитных сохраняем разницу: насколько кластер шире/выше/ниже базы
-        delta: baseBB ? {
-          top:    baseBB.y1 - clusterBB.y1,   // сколько гласная выступает вверх
-          bottom: clusterBB.y2 - baseBB.y2,   // сколько выступает вниз
-          left:   baseBB.x1 - clusterBB.x1,   // сколько выступает влево
-          right:  clusterBB.x2 - baseBB.x2,   // сколько выступает вправо
-        } : null,
-      };
+// Сообщения трассировки HarfBuzz, после которых буфер фиксируется как стадия
+const TRACE_STAGE_MESSAGE = /^(start table GSUB|end reordering|end lookup|end table)/;
+const TRACE_LOOKUP_MESSAGE = /^end lookup (\d+)(?: feature '([^']+)')?/;
+const TRACE_TABLE_MESSAGE = /^start table (GSUB|GPOS)/;
+
+function isSameTraceBuffer(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return a.every((rec, i) => rec.g === b[i].g && rec.cl === b[i].cl &&
+    (rec.dx || 0) === (b[i].dx || 0) && (rec.dy || 0) === (b[i].dy || 0) &&
+    (rec.ax || 0) === (b[i].ax || 0));
+}
+
+/**
+ * Шейпим строку с трассировкой (hb.shapeWithTrace) и возвращаем
+ * состояние глифового буфера после каждой стадии GSUB/GPOS.
+ *
+ * До GPOS у глифов ещё нет позиций — подставляем advance из шрифта,
+ * чтобы промежуточные стадии можно было нарисовать.
+ * Последняя стадия 'final' — буфер после завершения шейпинга
+ * (смещения марок на промежуточных стадиях GPOS ещё не финализированы).
+ *
+ * Контуры отдаются один раз в словаре outlines: glyphId → { d, bb, name }.
+ */
+async function traceShaping(rawText, options = {}) {
+  const text = (rawText || '').normalize('NFC');
+  const { applySegmentProperties, toHbFeatureString } = await loadSharedLib();
+  const shaper = await getShaperForFont(options.fontId, options.variations);
+  const { hbFont, otFont, fontEntry, variations } = shaper;
+  if (!text) return { text, fontId: fontEntry.id, variations, stages: [], outlines: {} };
+
+  const buffer = hb.createBuffer();
+  buffer.setClusterLevel(options.clusterLevel !== undefined ? options.clusterLevel : 0);
+  buffer.addText(text);
+  applySegmentProperties(buffer, { script: options.script, language: options.language, direction: options.direction });
+
+  const trace = hb.shapeWithTrace(hbFont, buffer, toHbFeatureString(options.features), 0, 0);
+  const finalRecords = buffer.json();
+  buffer.destroy();
+
+  const toStageGlyphs = (records) => records.map((rec) => ({
+    g: rec.g,
+    cl: rec.cl,
+    ax: rec.ax !== undefined ? rec.ax : hbFont.glyphHAdvance(rec.g),
+    ay: rec.ay || 0,
+    dx: rec.dx || 0,
+    dy: rec.dy || 0,
+  }));
+
+  const stages = [];
+  let prevGlyphs = null;
+  // Таблица берётся из любого «start table …», даже если оно не стадия:
+  // lookup после «start table GPOS» — это lookup GPOS
+  let currentTable = 'GSUB';
+  for (const entry of trace) {
+    const tableMatch = entry.m.match(TRACE_TABLE_MESSAGE);
+    if (tableMatch) currentTable = tableMatch[1];
+    if (!entry.glyphs || !TRACE_STAGE_MESSAGE.test(entry.m)) continue;
+    const glyphs = toStageGlyphs(entry.t);
+    const lookupMatch = entry.m.match(TRACE_LOOKUP_MESSAGE);
+    stages.push({
+      index: stages.length,
+      message: entry.m,
+      table: currentTable,
+      lookupIndex: lookupMatch ? Number(lookupMatch[1]) : null,
+      feature: lookupMatch?.[2] || null,
+      changed: !isSameTraceBuffer(prevGlyphs, glyphs),
+      glyphs,
+    });
+    prevGlyphs = glyphs;
+  }
+
+  const finalGlyphs = toStageGlyphs(finalRecords);
+  stages.push({
+    index: stages.length,
+    message: 'final',
+    table: null,
+    lookupIndex: null,
+    feature: null,
+    changed: !isSameTraceBuffer(prevGlyphs, finalGlyphs),
+    glyphs: finalGlyphs,
+  });
+
+  const outlines = {};
+  for (const stage of stages) {
+    for (const rec of stage.glyphs) {
+      if (outlines[rec.g]) continue;
+      const { d, bb } = await getCachedGlyphOutline(shaper, rec.g);
+      outlines[rec.g] = { d, bb, name: hbFont.glyphName(rec.g) };
     }
   }
 
-  // ── 4. НЕЗАВИСИМЫЕ ГЛАСНЫЕ в изоляции ────────────────────────────────────
-  const indepVowels = {};
-  for (const cp of KHMER_INDEP_VOWELS) {
-    const char = String.fromCodePoint(cp);
-    const [rec] = shapeString(hbFont, otFont, char);
-    if (rec && (rec.bb.x2 - rec.bb.x1 > 0)) {
-      indepVowels[cp] = { glyphId: rec.glyphId, bb: rec.bb };
+  return { text, fontId: fontEntry.id, variations, unitsPerEm: otFont.unitsPerEm, stages, outlines };
+}
+
+// ─── API v2: конверт ответа, JSON Schema, структурированные ошибки ─────────
+
+const HTTP_ERROR_CODES = { 400: 'invalid_request', 404: 'not_found' };
+const schemaCache = new Map();
+
+function loadSchema(name) {
+  if (!schemaCache.has(name)) {
+    schemaCache.set(name, JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, name), 'utf8')));
+  }
+  return schemaCache.get(name);
+}
+
+function listSchemaFiles() {
+  return fs.readdirSync(SCHEMAS_DIR).filter((name) => name.endsWith('.schema.json')).sort();
+}
+
+// v2 всегда строгий, независимо от STRICT_FONTS
+function resolveFontIdStrict(fontId) {
+  if (!fontId || fontId === 'auto') return 'auto';
+  if (!getAvailableFonts().some((font) => font.id === fontId)) throw createFontNotFoundError(fontId);
+  return fontId;
+}
+
+// Предупреждения v2: фичи, которых нет в шрифте, fallback-шрифты и .notdef
+async function collectShapeWarnings(glyphs, fontId, features) {
+  const { collectShapeWarnings: collectWarnings } = await loadSharedLib();
+  const { features: fontFeatureTags } = await getFontFeatures(fontId);
+  return collectWarnings(glyphs, fontId, features, fontFeatureTags);
+}
+
+/**
+ * GET /api/v2/shape — тот же шейпинг, что /api/shape, в конверте
+ * { text, font, features, clusterLevel, glyphs, warnings }.
+ */
+async function shapeTextV2(query) {
+  const params = await loadSharedLib();
+  const text = (typeof query.text === 'string' ? query.text : '').normalize('NFC');
+  params.assertTextLength(text, MAX_TEXT_LENGTH);
+  const features = params.parseFeatures(query.features, MAX_FEATURES);
+  const clusterLevel = params.parseClusterLevel(query.clusterLevel);
+  const { fontEntry, otFont, variations } = await getShaperForFont(
+    resolveFontIdStrict(query.font),
+    params.parseVariations(query.variations)
+  );
+
+  const glyphs = await shapeText(text, {
+    features: features.length ? features : null,
+    clusterLevel,
+    fontId: fontEntry.id,
+    variations,
+    script: params.parseScript(query.script),
+    language: params.parseLanguage(query.language),
+    direction: params.parseDirection(query.direction),
+    fallback: params.parseFallback(query.fallback),
+    contours: wantsContours(query),
+    quiet: true,
+  });
+
+  const warnings = await collectShapeWarnings(glyphs, fontEntry.id, features);
+  const { compactGlyphOutlines } = await loadSharedLib();
+  return {
+    text,
+    font: { id: fontEntry.id, label: fontEntry.label, unitsPerEm: otFont.unitsPerEm, variations: variations || null },
+    features,
+    clusterLevel,
+    ...(wantsOutlineDict(query) ? compactGlyphOutlines(glyphs) : { glyphs }),
+    warnings,
+  };
+}
+
+// Ошибка v2: { error: { code, message } }; без statusCode — internal_error (500)
+function sendApiError(res, error, logTag) {
+  if (error.statusCode) {
+    const code = error.code || HTTP_ERROR_CODES[error.statusCode] || 'invalid_request';
+    json(res, error.statusCode, { error: { code, message: error.message, ...error.details } });
+    return;
+  }
+  console.error(logTag, error);
+  json(res, 500, { error: { code: 'internal_error', message: error.message } });
+}
+
+/**
+ * Отправить ответ, в режиме VALIDATE_RESPONSES=1 предварительно проверив его
+ * по схеме: несоответствие — 500 с путями ошибок вместо молча неверных данных.
+ */
+async function sendValidated(res, schemaName, payload, fontId = null) {
+  if (VALIDATE_RESPONSES) {
+    const { validateJsonSchema } = await loadSharedLib();
+    const errors = validateJsonSchema(loadSchema(schemaName), payload);
+    if (errors.length) {
+      console.error(`[schema:error] ${schemaName}`, errors.slice(0, 20));
+      json(res, 500, {
+        error: { code: 'internal_error', message: `Response does not match ${schemaName}`, details: errors.slice(0, 20) },
+      });
+      return;
     }
   }
+  json(res, 200, payload, fontId);
+}
 
-  // ── 5. ДИАКРИТИКИ: шейпим "ក + диакритик" ────────────────────────────────
-  const diacritics = {};
+// ─── Персистентный кэш метрик ──────────────────────────────────────────────
+// Файл на инстанс: <sha256 байтов шрифта>-hb<версия HarfBuzz>-v<схема>[@<оси>].json.
+// Хэш по содержимому — переименование файла шрифта кэш не сбрасывает,
+// новая сборка шрифта или HarfBuzz даёт новый ключ.
 
-  for (const cp of KHMER_DIACRITICS) {
-    const diaStr = String.fromCodePoint(BASE_CONSONANT, cp);
-    const records = shapeString(hbFont, otFont, diaStr);
+// variationsKey — toVariationsKey(variations), '' для дефолтного инстанса
+function getMetricsCacheKey(fontEntry, variationsKey) {
+  return variationsKey ? `${fontEntry.id}@${variationsKey}` : fontEntry.id;
+}
 
-    if (!records.length) continue;
+function getMetricsCacheFilePrefix(contentHash) {
+  return `${contentHash.slice(0, 32)}-hb${hb.version_string()}-v${METRICS_SCHEMA_VERSION}`;
+}
 
-    const clusterBB = {
-      x1: Math.min(...records.map(r => r.bb.x1)),
-      y1: Math.min(...records.map(r => r.bb.y1)),
-      x2: Math.max(...records.map(r => r.bb.x2)),
-      y2: Math.max(...records.map(r => r.bb.y2)),
-    };
+function getMetricsCacheFile(contentHash, variationsKey) {
+  const variationsSuffix = variationsKey ? `@${variationsKey.replace(/[^a-zA-Z0-9.-]+/g, '_')}` : '';
+  return path.join(METRICS_CACHE_DIR, `${getMetricsCacheFilePrefix(contentHash)}${variationsSuffix}.json`);
+}
+
+function readPersistedMetrics(cacheFile) {
+  try {
+    const payload = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    if (payload.schemaVersion !== METRICS_SCHEMA_VERSION || payload.hbVersion !== hb.version_string()) return null;
+    return payload;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn('[metrics:warn] unreadable cache file', path.basename(cacheFile), error.message);
+    return null;
+  }
+}
+
+function writePersistedMetrics(cacheFile, payload) {
+  try {
+    fs.mkdirSync(METRICS_CACHE_DIR, { recursive: true });
+    // Пишем во временный файл и переименовываем — без полузаписанного JSON при падении
+    const tmpFile = `${cacheFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(payload));
+    fs.renameSync(tmpFile, cacheFile);
+  } catch (error) {
+    console.warn('[metrics:warn] failed to persist metrics', path.basename(cacheFile), error.message);
+  }
+}
+
+function createPersistedMetrics(shaper, metrics) {
+  return {
+    schemaVersion: METRICS_SCHEMA_VERSION,
+    hbVersion: hb.version_string(),
+    fontHash: shaper.contentHash,
+    fontFile: shaper.fontEntry.file,
+    variations: shaper.variations,
+    metrics,
+  };
+}
 
-    const baseGlyphId = consonants[BASE_CONSONANT]?.glyphId;
-    if (records.length >= 2) {
-      const diaComp = records.find(r => r.glyphId !== baseGlyphId) || records[records.length - 1];
-      diacritics[cp] = { glyphId: diaComp.glyphId, bb: diaComp.bb, clusterBB };
+function listPersistedMetricsFiles(contentHash) {
+  if (!fs.existsSync(METRICS_CACHE_DIR)) return [];
+  const prefix = getMetricsCacheFilePrefix(contentHash);
+  return fs.readdirSync(METRICS_CACHE_DIR)
+    .filter((fileName) => fileName.startsWith(prefix) && fileName.endsWith('.json'))
+    .map((fileName) => path.join(METRICS_CACHE_DIR, fileName));
+}
+
+/**
+ * Метрики инстанса шрифта: память → диск → buildFontMetrics (с записью на диск).
+ * pairs — дополнительно матрицы «база × подписная/гласная» (buildPairMetrics);
+ * строятся при первом запросе и дописываются в тот же файл кэша.
+ * anchors — якоря GPOS по glyphId (на диск не пишутся: читаются за миллисекунды).
+ */
+async function getFontMetrics(fontId, variations = null, { pairs = false, anchors = false } = {}) {
+  const shaper = await getShaperForFont(fontId, variations);
+  const { toVariationsKey } = await loadSharedLib();
+  const variationsKey = toVariationsKey(shaper.variations);
+  const cacheKey = getMetricsCacheKey(shaper.fontEntry, variationsKey);
+
+  if (!metricsCache.has(cacheKey)) {
+    const cacheFile = getMetricsCacheFile(shaper.contentHash, variationsKey);
+    const persisted = readPersistedMetrics(cacheFile);
+    if (persisted) {
+      console.log('[metrics] Loaded from disk cache:', cacheKey);
+      metricsCache.set(cacheKey, persisted.metrics);
     } else {
-      // Слитный — диакритик выступает сверху
-      const baseBB = consonants[BASE_CONSONANT]?.bb;
-      diacritics[cp] = {
-        glyphId: records[0].glyphId,
-        bb: records[0].bb,
-        clusterBB,
-        merged: true,
-        delta: baseBB ? {
-          top: baseBB.y1 - clusterBB.y1,
-        } : null,
-      };
+      console.log('[metrics] Building metrics for font:', cacheKey);
+      const { buildFontMetrics } = await loadSharedLib();
+      const metrics = await buildFontMetrics(hb, shaper.hbFont, shaper.otFont, shaper.variations ? shaper.hbFont : null);
+      metricsCache.set(cacheKey, metrics);
+      console.log('[metrics] Done. Consonants:', Object.keys(metrics.consonants).length,
+        'Subscripts:', Object.keys(metrics.subscripts).length,
+        'Vowels:', Object.keys(metrics.vowels).length,
+        'Diacritics:', Object.keys(metrics.diacritics).length);
+      writePersistedMetrics(cacheFile, createPersistedMetrics(shaper, metrics));
     }
   }
 
-  return { unitsPerEm, consonants, subscripts, vowels, indepVowels, diacritics };
+  if (pairs && !metricsCache.get(cacheKey).pairs) {
+    console.log('[metrics] Building pair matrices for font:', cacheKey);
+    const { buildPairMetrics } = await loadSharedLib();
+    const metrics = metricsCache.get(cacheKey);
+    const withPairs = {
+      ...metrics,
+      pairs: await buildPairMetrics(hb, shaper.hbFont, shaper.otFont, metrics, shaper.variations ? shaper.hbFont : null),
+    };
+    metricsCache.set(cacheKey, withPairs);
+    writePersistedMetrics(getMetricsCacheFile(shaper.contentHash, variationsKey), createPersistedMetrics(shaper, withPairs));
+  }
+
+  const { pairs: pairMetrics, ...metrics } = metricsCache.get(cacheKey);
+  if (pairs) metrics.pairs = pairMetrics;
+  if (anchors) metrics.anchors = await getMarkAnchorIndex(shaperCache.get(shaper.fontEntry.id));
+  return { fontEntry: shaper.fontEntry, variations: shaper.variations, metrics };
 }
 
-function parseFeaturesFromQuery(featuresStr) {
-  if (!featuresStr) return null;
-  const features = [];
-  const pairs = featuresStr.split(',');
-  for (const pair of pairs) {
-    const [tag, valueStr] = pair.trim().split(':');
-    if (tag && valueStr !== undefined) {
-      features.push({ tag: tag.trim(), value: parseInt(valueStr, 10) || 0 });
+/**
+ * При старте подхватываем с диска метрики всех доступных шрифтов
+ * (включая сохранённые инстансы вариаций).
+ */
+async function loadPersistedMetrics() {
+  const { toVariationsKey } = await loadSharedLib();
+  for (const font of getAvailableFonts()) {
+    const { fontEntry, contentHash } = await getShaperForFont(font.id);
+    for (const cacheFile of listPersistedMetricsFiles(contentHash)) {
+      const persisted = readPersistedMetrics(cacheFile);
+      if (!persisted) continue;
+      metricsCache.set(getMetricsCacheKey(fontEntry, toVariationsKey(persisted.variations)), persisted.metrics);
     }
   }
-  return features.length > 0 ? features : null;
+  console.log('[metrics] Disk cache entries loaded:', metricsCache.size);
 }
 
-async function shapeText(rawText, options = {}) {
-  const text = (rawText || '').normalize('NFC');
-  if (!text) return [];
+/**
+ * Пересобрать метрики шрифта: удаляем его записи из памяти и с диска
+ * и строим заново дефолтный инстанс и ранее сохранённые инстансы вариаций.
+ */
+async function rebuildFontMetrics(fontId) {
+  const { fontEntry, contentHash } = await getShaperForFont(fontId);
+  const instances = [null];
+  for (const cacheFile of listPersistedMetricsFiles(contentHash)) {
+    const persisted = readPersistedMetrics(cacheFile);
+    if (persisted?.variations) instances.push(persisted.variations);
+    fs.rmSync(cacheFile, { force: true });
+  }
+  for (const key of Array.from(metricsCache.keys())) {
+    if (key === fontEntry.id || key.startsWith(`${fontEntry.id}@`)) metricsCache.delete(key);
+  }
 
-  const { hbFont, otFont, fontEntry } = await getShaperForFont(options.fontId);
-  const buffer = hb.createBuffer();
-  const clusterLevel = options.clusterLevel !== undefined ? options.clusterLevel : 0;
-  buffer.setClusterLevel(clusterLevel);
-  buffer.addText(text);
-  buffer.guessSegmentProperties();
-
-  const features = options.features || null;
-  if (features && Array.isArray(features)) {
-    console.log('[shape] Using features:', features);
-    hb.shape(hbFont, buffer, { features });
-  } else {
-    console.log('[shape] No features, default shaping');
-    hb.shape(hbFont, buffer);
-  }
-
-  const shaped = buffer.json();
-  console.log('[shape] Shaped glyphs:', shaped.length, 'font:', fontEntry.id);
-
-  const clusters = new Map();
-  let globalX = 0;
-
-  for (let i = 0; i < shaped.length; i++) {
-    const glyph = shaped[i];
-    const cl = glyph.cl;
-    if (!clusters.has(cl)) clusters.set(cl, { glyphRecords: [], baseX: globalX });
-    clusters.get(cl).glyphRecords.push(glyph);
-  }
-
-  const sortedClusters = Array.from(clusters.entries()).sort((a, b) => a[0] - b[0]);
-  const result = [];
-
-  for (const [cl, { glyphRecords }] of sortedClusters) {
-    const nextCluster = sortedClusters.find(c => c[0] > cl)?.[0] ?? text.length;
-    const clusterStart = cl;
-    const clusterEnd = nextCluster;
-    const clusterText = text.slice(clusterStart, clusterEnd);
-    const chars = Array.from(clusterText);
-    const codePoints = chars.map(c => c.codePointAt(0));
-    const primaryChar = chars.find(c => isKhmerConsonantChar(c)) || chars[0] || '';
-    const hasCoeng = codePoints.includes(0x17d2);
-    const hasSubscriptConsonant = chars.some((c, i) => codePoints[i - 1] === 0x17d2 && isKhmerConsonantChar(c));
-    const hasDependentVowel = chars.some(c => isKhmerDependentVowel(c));
-    const hasDiacritic = chars.some(c => isKhmerDiacriticOrSign(c));
-
-    const components = [];
-    let clusterAdvance = 0;
-    let clusterPenX = globalX;
-
-    for (let i = 0; i < glyphRecords.length; i++) {
-      const rec = glyphRecords[i];
-      const { d, bb } = getGlyphPathAndBBox(otFont, rec.g);
-      const x = clusterPenX + rec.dx;
-      const y = -rec.dy;
-
-      components.push({
-        hbGlyphId: rec.g,
-        d,
-        bb,
-        x,
-        y,
-        advance: rec.ax,
-        clusterIndex: i,
-      });
+  const startedAt = Date.now();
+  for (const variations of instances) await getFontMetrics(fontEntry.id, variations);
+  return { fontId: fontEntry.id, instances: instances.length, ms: Date.now() - startedAt };
+}
 
-      clusterPenX += rec.ax;
-      clusterAdvance += rec.ax;
-    }
+// ─── Загрузка и управление шрифтами ────────────────────────────────────────
 
-    const glyphObj = {
-      id: result.length,
-      cluster: cl,
-      clusterStart,
-      clusterEnd,
-      clusterText,
-      chars,
-      codePoints,
-      primaryChar,
-      hasCoeng,
-      hasSubscriptConsonant,
-      hasDependentVowel,
-      hasDiacritic,
-      components,
-      d: components[0]?.d || '',
-      bb: components[0]?.bb || { x1: 0, y1: 0, x2: 0, y2: 0 },
-      advance: clusterAdvance,
-      x: components[0]?.x || globalX,
-      y: components[0]?.y || 0,
-      fontInfo: {
-        fontId: fontEntry.id,
-        fontLabel: fontEntry.label,
-        fontFile: path.basename(fontEntry.path),
-        fontName: otFont.names.fullName?.en || 'Unknown',
-        fontVersion: otFont.names.version?.en || 'Unknown',
-        unitsPerEm: otFont.unitsPerEm
+function createHttpError(statusCode, message, code = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  // code — машинный код ошибки (font_not_found, text_too_long, font_exists, ...)
+  if (code) error.code = code;
+  return error;
+}
+
+function readRequestBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Остаток тела дочитываем вхолостую: сокет жив, и клиент получит 413 от обработчика
+        req.removeListener('data', onData);
+        req.resume();
+        chunks.length = 0;
+        reject(createHttpError(413, `Request body exceeds ${maxBytes} bytes`, 'body_too_large'));
+        return;
       }
+      chunks.push(chunk);
     };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
 
-    result.push(glyphObj);
-    globalX += clusterAdvance;
+// ─── Доступ к изменяющим маршрутам ─────────────────────────────────────────
+
+/**
+ * Маршруты, которые меняют каталог шрифтов или кэш на диске. Им не отдаётся
+ * wildcard CORS, и без FONT_ADMIN_TOKEN они принимают только свой origin.
+ */
+function isChangingRoute(method, pathname) {
+  if (pathname === '/api/fonts') return method === 'POST';
+  if (/^\/api\/fonts\/[^/]+$/.test(pathname)) return method === 'PATCH' || method === 'DELETE';
+  return pathname === '/api/metrics/rebuild' && method === 'POST';
+}
+
+// Origin совпадает с Host: лаборатория на этом же сервере или за прокси Vite
+function isSameOriginRequest(req) {
+  const { origin } = req.headers;
+  if (!origin) return false;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
   }
+}
 
-  buffer.destroy();
-  return result;
+function hasFontAdminToken(req) {
+  const match = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!FONT_ADMIN_TOKEN || !match) return false;
+  const expected = Buffer.from(FONT_ADMIN_TOKEN);
+  const actual = Buffer.from(match[1].trim());
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Пускаем запрос со своего origin или с токеном (Authorization: Bearer <FONT_ADMIN_TOKEN>).
+ * Запрос без Origin (curl, скрипты) без настроенного токена пропускается —
+ * браузер чужой страницы Origin всегда присылает.
+ */
+function assertFontAdminAccess(req) {
+  if (isSameOriginRequest(req) || hasFontAdminToken(req)) return;
+  if (FONT_ADMIN_TOKEN) throw createHttpError(401, 'Font admin token required: Authorization: Bearer <token>', 'unauthorized');
+  if (req.headers.origin) throw createHttpError(403, `Origin ${req.headers.origin} may not change fonts`, 'forbidden_origin');
+}
+
+/**
+ * Имя файла для public/fonts: только basename, безопасные символы,
+ * расширение из UPLOAD_FONT_EXTENSIONS.
+ */
+function toUploadFileName(rawName) {
+  const baseName = path.basename(String(rawName || '')).replace(/[^A-Za-z0-9._,-]+/g, '_');
+  const extension = path.extname(baseName).toLowerCase();
+  if (!baseName || baseName.startsWith('.') || !UPLOAD_FONT_EXTENSIONS.has(extension)) {
+    throw createHttpError(400, `Font file name must end with ${Array.from(UPLOAD_FONT_EXTENSIONS).join(' or ')}`, 'invalid_file_name');
+  }
+  return baseName;
 }
 
-function json(res, statusCode, payload) {
+/**
+ * Кхмерские code points, которых нет в cmap: согласные U+1780–U+17A2 и coeng.
+ */
+async function findMissingKhmerCodePoints(fontData) {
+  if (!hb) hb = await require('harfbuzzjs');
+  const arrayBuffer = fontData.buffer.slice(fontData.byteOffset, fontData.byteOffset + fontData.byteLength);
+  const hbBlob = hb.createBlob(arrayBuffer);
+  const hbFace = hb.createFace(hbBlob, 0);
+  const unicodes = new Set(hbFace.collectUnicodes());
+  hbFace.destroy();
+  hbBlob.destroy();
+  return [...KHMER_CONSONANTS, COENG].filter((cp) => !unicodes.has(cp)).map(toCodePointLabel);
+}
+
+/**
+ * Проверка через canParseFontFile требует путь — пишем во временный файл вне
+ * public/fonts, чтобы watcher и каталог его не видели. Проверяем все face
+ * коллекции; покрытие Khmer — по первому face.
+ */
+async function probeUploadedFont(fileName, fontData) {
+  const probePath = path.join(os.tmpdir(), `khmer-lab-upload-${process.pid}-${Date.now()}-${fileName}`);
+  fs.writeFileSync(probePath, fontData);
+  try {
+    await prepareFontFile(probePath);
+    const faceCount = getFontFaceCount(probePath);
+    const parsable = Array.from({ length: faceCount }, (_, faceIndex) => canParseFontFile(probePath, faceIndex)).every(Boolean);
+    if (!parsable) return { parsable, missing: [] };
+    return { parsable, missing: await findMissingKhmerCodePoints(readFontFaceData(probePath, 0)) };
+  } finally {
+    for (const cache of [fontValidationCache, fontAxesCache, decodedFontCache]) deleteKeysWithPrefix(cache, `${probePath}:`);
+    fs.rmSync(probePath, { force: true });
+  }
+}
+
+/**
+ * Сохраняем загруженный шрифт в public/fonts: пишем во временный файл без
+ * шрифтового расширения и ставим его под итоговое имя через link — watcher
+ * видит уже готовый файл, а link, в отличие от rename, не перезапишет файл,
+ * появившийся под тем же именем (EEXIST → 409).
+ */
+async function installUploadedFont(fileName, fontData, label) {
+  const targetPath = path.join(FONTS_DIR, fileName);
+  if (fontData.length === 0) throw createHttpError(400, 'Empty font file', 'empty_font');
+  const { parsable, missing } = await probeUploadedFont(fileName, fontData);
+  if (!parsable) throw createHttpError(422, 'Font file could not be parsed', 'invalid_font');
+  if (missing.length > 0) {
+    throw createHttpError(422, `Font does not cover Khmer: missing ${missing.join(', ')}`, 'missing_khmer_coverage');
+  }
+
+  fs.mkdirSync(FONTS_DIR, { recursive: true });
+  const tmpPath = `${targetPath}.${crypto.randomBytes(4).toString('hex')}.upload`;
+  fs.writeFileSync(tmpPath, fontData);
+  try {
+    fs.linkSync(tmpPath, targetPath);
+  } catch (error) {
+    if (error.code === 'EEXIST') throw createHttpError(409, `Font file already exists: ${fileName}`, 'font_exists');
+    throw error;
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+  await prepareFontFile(targetPath);
+
+  if (label) saveFontLabel(fileName, label);
+  const font = discoverFontCatalog().find((entry) => entry.path === targetPath);
+  console.log('[fonts] Uploaded:', fileName, '→', font.id);
+  return getFontStatus(font);
+}
+
+function findCatalogFont(fontId) {
+  const font = discoverFontCatalog().find((entry) => entry.id === fontId);
+  if (!font) throw createHttpError(404, `Unknown font id: ${fontId}`, 'font_not_found');
+  return font;
+}
+
+/**
+ * Удаляется файл целиком: для коллекции — все её face (они перечислены в
+ * deletedFontIds). Id отдельного face (id#1) не принимаем, чтобы не снести
+ * коллекцию по ссылке на один face.
+ */
+function deleteFont(fontId) {
+  const font = findCatalogFont(fontId);
+  if (font.faceIndex !== 0) {
+    throw createHttpError(400, `${fontId} is face ${font.faceIndex} of ${font.file}; delete the file by its first face id`, 'collection_face');
+  }
+  const deletedFontIds = discoverFontCatalog().filter((entry) => entry.path === font.path).map((entry) => entry.id);
+  fs.rmSync(font.path, { force: true });
+  if (readFontLabels()[font.file]) saveFontLabel(font.file, null);
+  const evictedFontIds = evictFontCaches(new Set([font.path]));
+  console.log('[fonts] Deleted:', font.file, 'evicted:', evictedFontIds.join(', ') || '—');
+  return { deleted: font.id, file: font.file, deletedFontIds };
+}
+
+function setFontLabel(fontId, label) {
+  const font = findCatalogFont(fontId);
+  const trimmed = typeof label === 'string' ? label.trim() : '';
+  saveFontLabel(font.file, trimmed || null);
+  broadcastEvent('fonts-changed', { files: [font.file], evictedFontIds: [] });
+  return getFontStatus(discoverFontCatalog().find((entry) => entry.path === font.path));
+}
+
+function sendHttpError(res, error, logTag) {
+  if (error.statusCode) {
+    json(res, error.statusCode, { error: error.message, ...(error.code && { code: error.code }), ...error.details });
+    return;
+  }
+  console.error(logTag, error);
+  json(res, 500, { error: error.message });
+}
+
+// Wildcard CORS — только для чтения (GET и POST /api/shape/batch)
+const READ_ONLY_CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Expose-Headers': 'X-Font-Id',
+};
+
+// fontId — id шрифта, которым фактически обработан запрос (заголовок X-Font-Id)
+function json(res, statusCode, payload, fontId = null) {
+  const { method, url: requestUrl } = res.req;
   res.writeHead(statusCode, {
     'Content-Type': 'application/json; charset=utf-8',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
+    ...(!isChangingRoute(method, url.parse(requestUrl).pathname) && READ_ONLY_CORS_HEADERS),
+    ...(fontId && { 'X-Font-Id': fontId })
   });
   res.end(JSON.stringify(payload));
 }
@@ -505,64 +1502,264 @@ function json(res, statusCode, payload) {
 const server = http.createServer(async (req, res) => {
   const parsed = url.parse(req.url, true);
 
+  // Preflight изменяющих маршрутов без CORS-заголовков: браузер чужой страницы запрос не отправит
   if (req.method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
-    });
+    const requestedMethod = String(req.headers['access-control-request-method'] || '').toUpperCase();
+    res.writeHead(204, isChangingRoute(requestedMethod, parsed.pathname) ? {} : READ_ONLY_CORS_HEADERS);
     res.end();
     return;
   }
 
+  if (isChangingRoute(req.method, parsed.pathname)) {
+    try {
+      assertFontAdminAccess(req);
+    } catch (error) {
+      sendHttpError(res, error, '[fonts:error]');
+      return;
+    }
+  }
+
   if (parsed.pathname === '/health') {
     res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Access-Control-Allow-Origin': '*' });
     res.end('OK');
     return;
   }
 
+  // ── /api/events — SSE: "fonts-changed" при изменении public/fonts ────────
+  if (parsed.pathname === '/api/events' && req.method === 'GET') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.write(': connected\n\n');
+    eventClients.add(res);
+    req.on('close', () => eventClients.delete(res));
+    return;
+  }
+
   if (parsed.pathname === '/api/fonts' && req.method === 'GET') {
-    json(res, 200, { fonts: getFontOptions(), defaultFontId: getAvailableFonts()[0]?.id || null });
+    try {
+      await sendValidated(res, 'fonts.schema.json', await buildFontsPayload());
+    } catch (error) {
+      sendHttpError(res, error, '[fonts:error]');
+    }
+    return;
+  }
+
+  // ── POST /api/fonts?name=MyFont.ttf[&label=...] — тело: байты TTF/OTF ─────
+  if (parsed.pathname === '/api/fonts' && req.method === 'POST') {
+    try {
+      const fileName = toUploadFileName(parsed.query.name || req.headers['x-font-name']);
+      const fontData = await readRequestBody(req, MAX_FONT_UPLOAD_BYTES);
+      const label = typeof parsed.query.label === 'string' ? parsed.query.label.trim() : '';
+      json(res, 201, { font: await installUploadedFont(fileName, fontData, label) });
+    } catch (error) {
+      sendHttpError(res, error, '[fonts:error]');
+    }
+    return;
+  }
+
+  // ── DELETE /api/fonts/:id, PATCH /api/fonts/:id { label } ───────────────
+  const fontItemMatch = parsed.pathname.match(/^\/api\/fonts\/([^/]+)$/);
+  if (fontItemMatch && (req.method === 'DELETE' || req.method === 'PATCH')) {
+    try {
+      const fontId = decodeURIComponent(fontItemMatch[1]);
+      if (req.method === 'DELETE') {
+        json(res, 200, deleteFont(fontId));
+      } else {
+        const body = await readRequestBody(req, 64 * 1024);
+        let payload;
+        try {
+          payload = JSON.parse(body.toString('utf8') || '{}');
+        } catch {
+          throw createHttpError(400, 'Request body must be JSON: { "label": "..." }', 'invalid_json');
+        }
+        json(res, 200, { font: setFontLabel(fontId, payload.label) });
+      }
+    } catch (error) {
+      sendHttpError(res, error, '[fonts:error]');
+    }
+    return;
+  }
+
+  // ── /api/fonts/:id/features ───────────────────────────────────────────────
+  const fontFeaturesMatch = parsed.pathname.match(/^\/api\/fonts\/([^/]+)\/features$/);
+  if (fontFeaturesMatch && req.method === 'GET') {
+    const fontId = decodeURIComponent(fontFeaturesMatch[1]);
+    // Шрифт в пути — это ресурс: неизвестный id не подменяем шрифтом по умолчанию
+    if (fontId !== 'auto' && !getAvailableFonts().some((font) => font.id === fontId)) {
+      sendHttpError(res, createFontNotFoundError(fontId), '[features:error]');
+      return;
+    }
+    try {
+      const features = await getFontFeatures(fontId);
+      json(res, 200, features, features.fontId);
+    } catch (error) {
+      sendHttpError(res, error, '[features:error]');
+    }
     return;
   }
 
   if (parsed.pathname === '/api/shape' && req.method === 'GET') {
     try {
-      const features = parseFeaturesFromQuery(parsed.query.features);
-      const clusterLevel = parsed.query.clusterLevel ? parseInt(parsed.query.clusterLevel, 10) : 0;
+      const { text, ...options } = await parseShapeQuery(parsed.query);
+      const wantsParts = parsed.query.parts === '1';
+      // segmentation=contours — части из целых контуров; контуры нужны мапперу
+      const strategy = parsed.query.segmentation === 'contours' ? 'contours' : 'rects';
+      let shaped = await shapeText(text, { ...options, contours: options.contours || (wantsParts && strategy === 'contours') });
+      if (wantsParts) {
+        const enableSegmentation = parsed.query.segmentation !== '0';
+        const { fontId, variations } = options;
+        shaped = await mapShapedGlyphsToParts(shaped, text, { fontId, variations, enableSegmentation, strategy });
+      }
+      // outlines=dict: вместо массива — { glyphs, outlines }
+      if (wantsOutlineDict(parsed.query)) {
+        const { compactGlyphOutlines } = await loadSharedLib();
+        shaped = compactGlyphOutlines(shaped);
+      }
+      json(res, 200, shaped, options.fontId);
+    } catch (error) {
+      sendHttpError(res, error, '[shape:error]');
+    }
+    return;
+  }
+
+  // ── GET /api/v2/shape?text=...&font=...&features=liga:0&clusterLevel=0 ────
+  if (parsed.pathname === '/api/v2/shape' && req.method === 'GET') {
+    try {
+      const shaped = await shapeTextV2(parsed.query);
+      await sendValidated(res, 'shape.v2.schema.json', shaped, shaped.font.id);
+    } catch (error) {
+      sendApiError(res, error, '[shape:error]');
+    }
+    return;
+  }
+
+  // ── GET /api/v2/schemas[/shape.v2.schema.json] — опубликованные JSON Schema ──
+  const schemaMatch = parsed.pathname.match(/^\/api\/v2\/schemas(?:\/([^/]+))?$/);
+  if (schemaMatch && req.method === 'GET') {
+    const schemaName = schemaMatch[1] ? decodeURIComponent(schemaMatch[1]) : null;
+    if (!schemaName) {
+      json(res, 200, { schemas: listSchemaFiles() });
+    } else if (listSchemaFiles().includes(schemaName)) {
+      json(res, 200, loadSchema(schemaName));
+    } else {
+      sendApiError(res, createHttpError(404, `Unknown schema: ${schemaName}`), '[schema:error]');
+    }
+    return;
+  }
+
+  // ── POST /api/shape/batch — [{ text, font, features, clusterLevel }] ─────
+  // Ответ: { results: [...] } или NDJSON (?stream=ndjson / Accept: application/x-ndjson).
+  if (parsed.pathname === '/api/shape/batch' && req.method === 'POST') {
+    let items;
+    try {
+      const body = await readRequestBody(req, MAX_BATCH_BODY_BYTES);
+      let payload;
+      try {
+        payload = JSON.parse(body.toString('utf8'));
+      } catch {
+        throw createHttpError(400, 'Request body must be JSON: an array of items or { items: [...] }');
+      }
+      items = Array.isArray(payload) ? payload : payload?.items;
+      if (!Array.isArray(items)) throw createHttpError(400, 'Request body must be an array of items or { items: [...] }');
+      if (items.length > MAX_BATCH_ITEMS) throw createHttpError(413, `Batch exceeds ${MAX_BATCH_ITEMS} items`);
+    } catch (error) {
+      sendHttpError(res, error, '[batch:error]');
+      return;
+    }
+
+    if (wantsNdjson(req, parsed.query)) {
+      res.writeHead(200, {
+        'Content-Type': 'application/x-ndjson; charset=utf-8',
+        'Access-Control-Allow-Origin': '*'
+      });
+      try {
+        await shapeBatch(items, (result) => writeWithBackpressure(res, `${JSON.stringify(result)}\n`), { outlineDict: wantsOutlineDict(parsed.query) });
+      } catch (error) {
+        console.error('[batch:error]', error);
+        res.write(`${JSON.stringify({ error: error.message })}\n`);
+      }
+      res.end();
+      return;
+    }
+
+    try {
+      const results = [];
+      await shapeBatch(items, (result) => { results.push(result); }, { outlineDict: wantsOutlineDict(parsed.query) });
+      json(res, 200, { results });
+    } catch (error) {
+      sendHttpError(res, error, '[batch:error]');
+    }
+    return;
+  }
+
+  // ── /api/glyph?font=auto&id=435 | &name=uni178F.sub ───────────────────────
+  if (parsed.pathname === '/api/glyph' && req.method === 'GET') {
+    try {
       const fontId = typeof parsed.query.font === 'string' ? parsed.query.font : 'auto';
-      const shaped = await shapeText(parsed.query.text || '', { features, clusterLevel, fontId });
-      json(res, 200, shaped);
+      const { parseVariations } = await loadSharedLib();
+      const variations = parseVariations(parsed.query.variations);
+      let glyph;
+      if (typeof parsed.query.name === 'string' && parsed.query.name) {
+        glyph = { name: parsed.query.name };
+      } else if (typeof parsed.query.id === 'string' && /^\d+$/.test(parsed.query.id)) {
+        glyph = { id: Number(parsed.query.id) };
+      } else {
+        throw createHttpError(400, 'Specify glyph by id (non-negative integer) or name', 'invalid_glyph');
+      }
+      const inspected = await inspectGlyph(fontId, glyph, variations);
+      json(res, 200, inspected, inspected.fontId);
+    } catch (error) {
+      sendHttpError(res, error, '[glyph:error]');
+    }
+    return;
+  }
+
+  // ── /api/shape/trace?text=ន្ត្រា&font=auto ───────────────────────────────
+  // Пошаговый шейпинг: глифовый буфер после каждого lookup GSUB/GPOS.
+  if (parsed.pathname === '/api/shape/trace' && req.method === 'GET') {
+    try {
+      const { text, ...options } = await parseShapeQuery(parsed.query);
+      json(res, 200, await traceShaping(text, options), options.fontId);
     } catch (error) {
-      console.error('[shape:error]', error);
-      json(res, 500, { error: error.message });
+      sendHttpError(res, error, '[trace:error]');
     }
     return;
   }
 
-  // ── /api/metrics?font=auto ───────────────────────────────────────────────
+  // ── /api/metrics?font=auto&variations=wght:700&pairs=1&anchors=1 ────────
   // Возвращает реальные bbox всех кхмерских символов для данного шрифта.
-  // Результат кэшируется на время работы сервера (пересчитывается при смене шрифта).
+  // pairs=1 — плюс матрицы «база × подписная» и «база × гласная»,
+  // anchors=1 — якоря GPOS (mark-to-base/mark-to-mark) по glyphId.
+  // Результат кэшируется в памяти и на диске (отдельно для каждого инстанса вариаций).
   if (parsed.pathname === '/api/metrics' && req.method === 'GET') {
     try {
       const fontId = typeof parsed.query.font === 'string' ? parsed.query.font : 'auto';
-      const { hbFont, otFont, fontEntry } = await getShaperForFont(fontId);
-      const cacheKey = fontEntry.id;
-
-      if (!metricsCache.has(cacheKey)) {
-        console.log('[metrics] Building metrics for font:', fontEntry.id);
-        const metrics = await buildFontMetrics(hbFont, otFont);
-        metricsCache.set(cacheKey, metrics);
-        console.log('[metrics] Done. Consonants:', Object.keys(metrics.consonants).length,
-          'Subscripts:', Object.keys(metrics.subscripts).length,
-          'Vowels:', Object.keys(metrics.vowels).length,
-          'Diacritics:', Object.keys(metrics.diacritics).length);
-      }
+      const { parseVariations } = await loadSharedLib();
+      const { fontEntry, variations, metrics } = await getFontMetrics(fontId, parseVariations(parsed.query.variations), {
+        pairs: parsed.query.pairs === '1',
+        anchors: parsed.query.anchors === '1',
+      });
+      await sendValidated(res, 'metrics.schema.json', { fontId: fontEntry.id, variations, ...metrics }, fontEntry.id);
+    } catch (error) {
+      sendHttpError(res, error, '[metrics:error]');
+    }
+    return;
+  }
 
-      json(res, 200, { fontId: fontEntry.id, ...metricsCache.get(cacheKey) });
+  // ── POST /api/metrics/rebuild?font=khmeros-battambang (без font — все) ──
+  if (parsed.pathname === '/api/metrics/rebuild' && req.method === 'POST') {
+    try {
+      const fontId = typeof parsed.query.font === 'string' && parsed.query.font !== 'all' ? parsed.query.font : null;
+      const fontIds = fontId ? [fontId] : getAvailableFonts().map((font) => font.id);
+      const rebuilt = [];
+      for (const id of fontIds) rebuilt.push(await rebuildFontMetrics(id));
+      json(res, 200, { rebuilt });
     } catch (error) {
-      console.error('[metrics:error]', error);
-      json(res, 500, { error: error.message });
+      sendHttpError(res, error, '[metrics:error]');
     }
     return;
   }
@@ -570,9 +1767,30 @@ const server = http.createServer(async (req, res) => {
   json(res, 404, { error: 'Not found' });
 });
 
-server.listen(PORT, () => {
-  console.log(`Khmer Glyph Lab API listening on http://localhost:${PORT}`);
-  console.log('Fonts API:   /api/fonts');
-  console.log('Shape API:   /api/shape?text=កៅ&font=auto');
-  console.log('Metrics API: /api/metrics?font=auto');
-});
+// vite.config.js подключает модуль ради buildFontsPayload — тогда сервер не стартует
+module.exports = { buildFontsPayload };
+
+if (require.main === module) {
+  // WOFF2 раскодируем до старта: запросы его уже не ждут
+  prepareFontFiles()
+    .catch((error) => console.error('[fonts:error] failed to prepare font files', error))
+    .then(startServer);
+}
+
+function startServer() {
+  server.listen(PORT, () => {
+    console.log(`Khmer Glyph Lab API listening on http://localhost:${PORT}`);
+    console.log('Fonts API:   /api/fonts');
+    console.log('Features:    /api/fonts/:id/features');
+    console.log('Shape API:   /api/shape?text=កៅ&font=auto[&variations=wght:700,wdth:80]');
+    console.log('Shape v2:    /api/v2/shape?text=កៅ&font=auto (schemas: /api/v2/schemas)');
+    console.log('Trace API:   /api/shape/trace?text=ន្ត្រា&font=auto');
+    console.log('Batch API:   POST /api/shape/batch [&stream=ndjson]');
+    console.log('Glyph API:   /api/glyph?font=auto&id=435 | &name=uni178F.sub');
+    console.log('Metrics API: /api/metrics?font=auto[&variations=wght:700][&pairs=1][&anchors=1]');
+    console.log('Rebuild:     POST /api/metrics/rebuild[?font=id]');
+    console.log('Events:      /api/events (SSE)');
+    watchFontsDir();
+    loadPersistedMetrics().catch((error) => console.error('[metrics:error] failed to load disk cache', error));
+  });
+}
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from "react";
+import { apiUrl } from "../lib/apiBase.js";
+
+const PREVIEW_SIZE = 180;
+
+/**
+ * Просмотр одного глифа шрифта по id (/api/glyph):
+ * имя, контур, bbox, advance, класс GDEF, code points, GSUB-подстановки
+ * и якоря GPOS (○ — якорь знака, ● — якорь, к которому крепятся другие).
+ */
+export default function GlyphInspectorPanel({ fontId, glyphId, variations = '', onInspect, onClose }) {
+  const [glyph, setGlyph] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (glyphId === null || glyphId === undefined) return undefined;
+    const controller = new AbortController();
+    let url = apiUrl(`/api/glyph?font=${encodeURIComponent(fontId || 'auto')}&id=${glyphId}`);
+    if (variations) url += `&variations=${encodeURIComponent(variations)}`;
+
+    setError("");
+    fetch(url, { signal: controller.signal })
+      .then(async (response) => {
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(payload.error || `HTTP ${response.status}`);
+        setGlyph(payload);
+      })
+      .catch((fetchError) => {
+        if (fetchError.name !== 'AbortError') setError(fetchError.message);
+      });
+    return () => controller.abort();
+  }, [fontId, glyphId, variations]);
+
+  if (glyphId === null || glyphId === undefined) return null;
+
+  // Вписываем bbox (или em-квадрат для пустого глифа) в превью
+  const bb = glyph?.bb;
+  const hasOutline = bb && bb.x2 > bb.x1 && bb.y2 > bb.y1;
+  const boxWidth = hasOutline ? bb.x2 - bb.x1 : glyph?.unitsPerEm || 1000;
+  const boxHeight = hasOutline ? bb.y2 - bb.y1 : glyph?.unitsPerEm || 1000;
+  const scale = (PREVIEW_SIZE - 20) / Math.max(boxWidth, boxHeight);
+  const offsetX = 10 - (hasOutline ? bb.x1 : 0) * scale;
+  const offsetY = 10 - (hasOutline ? bb.y1 : -boxHeight) * scale;
+
+  return (
+    <div style={{ marginTop: 12, padding: 12, background: '#fff', border: '1px solid #c7d2fe', borderRadius: 4 }}>
+      <div style={{ display: 'flex', gap: 12, alignItems: 'center', marginBottom: 8 }}>
+        <strong>🔎 Глиф #{glyphId}</strong>
+        {glyph && glyph.glyphId === glyphId && <code>{glyph.name}</code>}
+        <span style={{ fontSize: 12, color: '#6b7280' }}>{fontId}</span>
+        <button type="button" onClick={onClose} style={{ marginLeft: 'auto', padding: '2px 8px' }}>✕</button>
+      </div>
+
+      {error && <div style={{ color: "crimson" }}>{error}</div>}
+
+      {glyph && glyph.glyphId === glyphId && (
+        <div style={{ display: 'flex', gap: 16, alignItems: 'flex-start' }}>
+          <svg width={PREVIEW_SIZE} height={PREVIEW_SIZE} style={{ background: '#f9fafb', border: '1px solid #e5e7eb', flexShrink: 0 }}>
+            {glyph.d && (
+              <path d={glyph.d} transform={`matrix(${scale},0,0,${scale},${offsetX},${offsetY})`} fill="#111" />
+            )}
+            {['mark', 'base'].flatMap((role) => (glyph.anchors?.[role] || []).map((anchor, idx) => (
+              <circle
+                key={`${role}-${idx}`}
+                cx={offsetX + anchor.x * scale}
+                cy={offsetY + anchor.y * scale}
+                r={role === 'mark' ? 5 : 3}
+                fill={role === 'mark' ? 'none' : '#7c3aed'}
+                stroke="#7c3aed"
+                strokeWidth="1.5"
+              >
+                <title>{`${role} · lookup #${anchor.lookupIndex} · класс ${anchor.markClass}`}</title>
+              </circle>
+            )))}
+          </svg>
+          <div style={{ fontSize: 13, lineHeight: 1.6 }}>
+            <div><strong>Advance:</strong> {glyph.advance}</div>
+            <div><strong>BBox:</strong> {`${glyph.bb.x1}, ${glyph.bb.y1} → ${glyph.bb.x2}, ${glyph.bb.y2}`}</div>
+            <div><strong>GDEF:</strong> {glyph.gdefClass ? `${glyph.gdefClass.name} (${glyph.gdefClass.value})` : '—'}
+              {glyph.markAttachClass ? ` · mark attach class ${glyph.markAttachClass}` : ''}</div>
+            <div><strong>Code points:</strong> {glyph.codePoints.length
+              ? glyph.codePoints.map((cp) => `${cp.char} ${cp.codePoint}`).join(', ')
+              : '— (только через GSUB)'}</div>
+            <div><strong>GSUB:</strong>{glyph.substitutions.length === 0 && ' —'}</div>
+            {glyph.substitutions.length > 0 && (
+              <ul style={{ margin: 0, paddingLeft: 18 }}>
+                {glyph.substitutions.map((sub, idx) => (
+                  <li key={`${sub.lookupIndex}-${idx}`}>
+                    {sub.features.join(', ') || 'без фичи'} · lookup #{sub.lookupIndex} ({sub.type}):{' '}
+                    {sub.from.map((gid, gidIdx) => (
+                      <button
+                        key={`${gid}-${gidIdx}`}
+                        type="button"
+                        onClick={() => onInspect?.(gid)}
+                        style={{ padding: '0 4px', marginRight: 4, fontSize: 12, cursor: 'pointer' }}
+                        title={`Открыть глиф #${gid}`}
+                      >
+                        {sub.fromNames[gidIdx] || gid}
+                      </button>
+                    ))}
+                    → {glyph.name}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div><strong>Якоря GPOS:</strong>{!glyph.anchors?.mark.length && !glyph.anchors?.base.length && ' —'}</div>
+            {(glyph.anchors?.mark.length > 0 || glyph.anchors?.base.length > 0) && (
+              <ul style={{ margin: 0, paddingLeft: 18 }}>
+                {['mark', 'base'].flatMap((role) => glyph.anchors[role].map((anchor, idx) => (
+                  <li key={`${role}-${idx}`}>
+                    {role === 'mark' ? '○ знак' : '● база'} · {anchor.features.join(', ') || 'без фичи'} · lookup #{anchor.lookupIndex} ({anchor.type})
+                    {' '}· класс {anchor.markClass}{anchor.component !== undefined ? ` · компонент ${anchor.component}` : ''}:
+                    {' '}{anchor.x}, {anchor.y}
+                  </li>
+                )))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from "react";
+import { LESSONS } from "../lib/lessons.js";
+import {
+  cacheFontForOffline,
+  cacheLessonSounds,
+  clearOfflineCache,
+  formatBytes,
+  getOfflineCacheSize,
+  getOfflineStatus,
+  isOfflineCacheSupported,
+} from "../lib/offlineCache.js";
+
+/**
+ * Уроки и офлайн-кэш: какие уроки откроются без сети (оболочка, выбранный
+ * шрифт и все звуки урока в кэше), размер кэша и его очистка.
+ * Выбранный шрифт сохраняется в кэш, когда страницей управляет service worker.
+ */
+export default function OfflinePanel({ font, refreshKey, onOpenLesson }) {
+  const [status, setStatus] = useState(null);
+  const [cacheSize, setCacheSize] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+  const supported = isOfflineCacheSupported();
+  const [controlled, setControlled] = useState(() => Boolean(globalThis.navigator?.serviceWorker?.controller));
+
+  // Первая установка: воркер берёт страницу под контроль уже после загрузки
+  useEffect(() => {
+    const container = globalThis.navigator?.serviceWorker;
+    if (!container) return undefined;
+    const onControllerChange = () => setControlled(Boolean(container.controller));
+    container.addEventListener('controllerchange', onControllerChange);
+    return () => container.removeEventListener('controllerchange', onControllerChange);
+  }, []);
+
+  async function refresh() {
+    if (!supported) return;
+    const [nextStatus, nextSize] = await Promise.all([getOfflineStatus(LESSONS, font), getOfflineCacheSize()]);
+    setStatus(nextStatus);
+    setCacheSize(nextSize);
+  }
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      if (controlled && font) await cacheFontForOffline(font);
+      if (!cancelled) await refresh();
+    })().catch((error) => console.warn('[offline] status failed', error));
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [font?.file, refreshKey, controlled]);
+
+  async function runAction(action, doneMessage) {
+    setBusy(true);
+    setMessage("");
+    try {
+      setMessage(await action() || doneMessage);
+      await refresh();
+    } catch (error) {
+      setMessage(`Ошибка: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleDownload(lesson) {
+    return runAction(async () => {
+      const failed = await cacheLessonSounds(lesson);
+      return failed ? `«${lesson.title}»: не скачано файлов — ${failed}` : null;
+    }, `«${lesson.title}» сохранён для офлайна`);
+  }
+
+  function handleClear() {
+    return runAction(async () => {
+      await clearOfflineCache();
+      // Выбранный шрифт нужен для работы офлайн — сразу кладём обратно
+      if (controlled && font) await cacheFontForOffline(font);
+      return null;
+    }, 'Кэш шрифтов и звуков очищен');
+  }
+
+  return (
+    <details style={{ marginTop: 16 }}>
+      <summary style={{ cursor: "pointer", fontWeight: "bold", padding: 8, background: "#f3f4f6" }}>
+        📚 Уроки и офлайн
+        {supported && <span style={{ fontWeight: 'normal', fontSize: 12, color: '#6b7280' }}> · кэш {formatBytes(cacheSize)}</span>}
+      </summary>
+      <div style={{ padding: 12, background: "#fafafa" }}>
+        {!controlled && (
+          <div style={{ fontSize: 12, color: '#6b7280', marginBottom: 8 }}>
+            Офлайн-режим работает в собранной версии (<code>npm run build</code>, <code>npm run preview</code>) после первой загрузки страницы.
+          </div>
+        )}
+        {status && (
+          <div style={{ fontSize: 13, marginBottom: 8 }}>
+            Приложение: {status.shell ? '✅ в кэше' : '⏳ не сохранено'} · Шрифт {font?.label || font?.id || '—'}: {status.font ? '✅ в кэше' : '⏳ не сохранён'}
+          </div>
+        )}
+
+        <ul style={{ margin: 0, paddingLeft: 0, listStyle: 'none' }}>
+          {LESSONS.map((lesson) => {
+            const lessonStatus = status?.lessons[lesson.id];
+            return (
+              <li key={lesson.id} style={{ display: 'flex', gap: 8, alignItems: 'center', padding: '4px 0' }}>
+                <span title={lessonStatus?.ready ? 'Доступен офлайн' : 'Нужна сеть'}>
+                  {lessonStatus?.ready ? '✅' : '☁️'}
+                </span>
+                <button type="button" onClick={() => onOpenLesson(lesson)} style={{ padding: '2px 8px' }}>
+                  {lesson.title}
+                </button>
+                <span style={{ fontSize: 18 }}>{lesson.text}</span>
+                {lessonStatus && (
+                  <span style={{ fontSize: 12, color: '#6b7280' }}>
+                    🔊 {lessonStatus.cachedSounds}/{lessonStatus.totalSounds}
+                  </span>
+                )}
+                {lessonStatus && lessonStatus.cachedSounds < lessonStatus.totalSounds && (
+                  <button
+                    type="button"
+                    onClick={() => handleDownload(lesson)}
+                    disabled={busy}
+                    style={{ padding: '0 6px', fontSize: 12 }}
+                    title="Скачать звуки урока заранее"
+                  >
+                    ⬇️
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+
+        {supported && (
+          <div style={{ display: 'flex', gap: 12, alignItems: 'center', marginTop: 8 }}>
+            <span style={{ fontSize: 13 }}>Кэш: <strong>{formatBytes(cacheSize)}</strong></span>
+            <button type="button" onClick={handleClear} disabled={busy} style={{ padding: '2px 8px' }}>
+              🗑 Очистить кэш
+            </button>
+            {message && <span style={{ fontSize: 12, color: '#6b7280' }}>{message}</span>}
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
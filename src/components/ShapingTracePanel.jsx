@@ -0,0 +1,150 @@
+import React, { useMemo, useState } from "react";
+import { apiUrl } from "../lib/apiBase.js";
+
+const SCALE = 0.1;
+const TABLE_COLORS = { GSUB: '#2563eb', GPOS: '#16a34a' };
+
+// Раскладка глифов стадии: перо сдвигается на ax, марки смещены на dx/dy
+function layoutStageGlyphs(stage) {
+  let penX = 0;
+  return stage.glyphs.map((rec) => {
+    const placed = { ...rec, x: penX + rec.dx, y: -rec.dy };
+    penX += rec.ax;
+    return placed;
+  });
+}
+
+/**
+ * Пошаговый просмотр шейпинга HarfBuzz (/api/shape/trace):
+ * глифовый буфер после каждого lookup GSUB/GPOS.
+ */
+export default function ShapingTracePanel({ buildQuery }) {
+  const [trace, setTrace] = useState(null);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [onlyChanged, setOnlyChanged] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const visibleStages = useMemo(() => {
+    if (!trace) return [];
+    return onlyChanged ? trace.stages.filter((stage) => stage.changed) : trace.stages;
+  }, [trace, onlyChanged]);
+
+  const stage = visibleStages[Math.min(stepIndex, visibleStages.length - 1)] || null;
+  const placedGlyphs = useMemo(() => (stage ? layoutStageGlyphs(stage) : []), [stage]);
+
+  async function handleTrace() {
+    setLoading(true);
+    setError("");
+    try {
+      const response = await fetch(apiUrl(`/api/shape/trace?${buildQuery()}`));
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(payload.error || `HTTP ${response.status}`);
+      setTrace(payload);
+      setStepIndex(0);
+    } catch (traceError) {
+      setError(traceError.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function handleOnlyChangedToggle(checked) {
+    setOnlyChanged(checked);
+    setStepIndex(0);
+  }
+
+  const totalAdvance = placedGlyphs.reduce((sum, g) => sum + g.ax, 0);
+  const unitsPerEm = trace?.unitsPerEm || 1000;
+  const svgWidth = Math.max(300, 100 + totalAdvance * SCALE);
+  const svgHeight = 100 + unitsPerEm * 1.6 * SCALE;
+  const baselineY = 50 + unitsPerEm * 1.0 * SCALE;
+
+  return (
+    <details style={{ marginTop: 16 }}>
+      <summary style={{ cursor: "pointer", fontWeight: "bold", padding: 8, background: "#f3f4f6" }}>
+        🔬 Трассировка шейпинга (GSUB/GPOS)
+      </summary>
+      <div style={{ padding: 12, background: "#fafafa", display: 'flex', flexDirection: 'column', gap: 8 }}>
+        <div style={{ display: 'flex', gap: 12, alignItems: 'center', padding: '8px', background: '#f0f9ff', borderRadius: '4px' }}>
+          <button type="button" onClick={handleTrace} disabled={loading} style={{ padding: "6px 12px" }}>
+            {loading ? "..." : "Trace"}
+          </button>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 13 }}>
+            <input type="checkbox" checked={onlyChanged} onChange={(e) => handleOnlyChangedToggle(e.target.checked)} />
+            Только изменившие буфер
+          </label>
+          {trace && (
+            <span style={{ fontSize: 12, color: '#6b7280' }}>
+              Шрифт: {trace.fontId} · стадий: {visibleStages.length} из {trace.stages.length}
+            </span>
+          )}
+        </div>
+
+        {error && <div style={{ color: "crimson" }}>{error}</div>}
+
+        {stage && (
+          <>
+            <div style={{ display: 'flex', gap: 12, alignItems: 'center' }}>
+              <button type="button" onClick={() => setStepIndex((i) => Math.max(0, i - 1))} disabled={stepIndex === 0}>
+                ◀
+              </button>
+              <input
+                type="range"
+                min={0}
+                max={visibleStages.length - 1}
+                value={Math.min(stepIndex, visibleStages.length - 1)}
+                onChange={(e) => setStepIndex(Number(e.target.value))}
+                style={{ flex: 1 }}
+              />
+              <button
+                type="button"
+                onClick={() => setStepIndex((i) => Math.min(visibleStages.length - 1, i + 1))}
+                disabled={stepIndex >= visibleStages.length - 1}
+              >
+                ▶
+              </button>
+              <span style={{ fontSize: 12, minWidth: 60 }}>
+                {Math.min(stepIndex, visibleStages.length - 1) + 1} / {visibleStages.length}
+              </span>
+            </div>
+
+            <div style={{ fontSize: 13 }}>
+              {stage.table && (
+                <strong style={{ color: TABLE_COLORS[stage.table] || '#111', marginRight: 8 }}>{stage.table}</strong>
+              )}
+              {stage.feature && <code style={{ marginRight: 8 }}>{stage.feature}</code>}
+              {stage.lookupIndex !== null && <span style={{ marginRight: 8 }}>lookup #{stage.lookupIndex}</span>}
+              <span style={{ color: '#6b7280' }}>{stage.message}</span>
+            </div>
+
+            <svg width={svgWidth} height={svgHeight} style={{ background: '#fff', border: '1px solid #e5e7eb' }}>
+              <line x1={0} y1={baselineY} x2={svgWidth} y2={baselineY} stroke="#e5e7eb" />
+              {placedGlyphs.map((g, idx) => {
+                const outline = trace.outlines[g.g];
+                if (!outline?.d) return null;
+                const x = 50 + g.x * SCALE;
+                const y = baselineY + g.y * SCALE;
+                return (
+                  <path
+                    key={`${g.g}-${idx}`}
+                    d={outline.d}
+                    transform={`matrix(${SCALE},0,0,${SCALE},${x},${y})`}
+                    fill="#111"
+                    fillOpacity={0.85}
+                  />
+                );
+              })}
+            </svg>
+
+            <pre style={{ fontSize: "11px", overflow: "auto", maxHeight: "200px", background: "#fff", padding: 8, margin: 0 }}>
+              {placedGlyphs.map((g) => (
+                `gid=${g.g} ${trace.outlines[g.g]?.name || ''} cl=${g.cl} ax=${g.ax} dx=${g.dx} dy=${g.dy}`
+              )).join('\n')}
+            </pre>
+          </>
+        )}
+      </div>
+    </details>
+  );
+}
@@ -1,15 +1,36 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { buildEduUnits } from "../lib/eduUnits.js";
 import { mapGlyphsToParts } from "../lib/glyphPartMapper.js";
+import { expandGlyphOutlines } from "../lib/glyphOutlines.js";
 import { getStrokeForCategory } from "../lib/glyphCombinationRules.js";
-import { loadMetrics, isMetricsLoaded, getRawMetrics } from "../lib/khmerConsonantMetrics.js";
+import { loadMetrics, isMetricsLoaded, getRawMetrics, resetMetrics } from "../lib/khmerConsonantMetrics.js";
 import { getSoundFileForChar } from "../lib/audioMap.js";
+import { getSoundUrl } from "../lib/offlineCache.js";
+import { apiUrl } from "../lib/apiBase.js";
+import { getShapingBackend } from "../lib/shapingBackend.js";
+import { buildClusterSvg, buildPartSvg } from "../lib/partOutlines.js";
+import { getMarkAttachments } from "../lib/gposAnchors.js";
+import ShapingTracePanel from "./ShapingTracePanel.jsx";
+import GlyphInspectorPanel from "./GlyphInspectorPanel.jsx";
+import OfflinePanel from "./OfflinePanel.jsx";
 
 const DEBUG = Boolean(globalThis.window?.__EDU_DEBUG__);
+// Пауза после последней правки перед перешейпом (live-режим и смена параметров)
+const LIVE_SHAPE_DEBOUNCE_MS = 250;
+
+function downloadSvg(fileName, svg) {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
 export default function VisualDecoderLab() {
   const [text, setText] = useState("កៅ");
   const [glyphs, setGlyphs] = useState([]);
+  const [shapeWarnings, setShapeWarnings] = useState([]);
   const [selectedGlyphId, setSelectedGlyphId] = useState(null);
   const [selectedChar, setSelectedChar] = useState(null);
   const [error, setError] = useState("");
@@ -17,10 +38,30 @@ export default function VisualDecoderLab() {
   const [didAutoload, setDidAutoload] = useState(false);
   const [disableLigatures, setDisableLigatures] = useState(false);
   const [features, setFeatures] = useState('');
+  const [fontFeatures, setFontFeatures] = useState(null);
+  const [disabledFeatureTags, setDisabledFeatureTags] = useState([]);
   const [clusterLevel, setClusterLevel] = useState(1);
+  const [shapeScript, setShapeScript] = useState('');
+  const [shapeLanguage, setShapeLanguage] = useState('');
+  const [shapeDirection, setShapeDirection] = useState('');
+  const [fallbackEnabled, setFallbackEnabled] = useState(true);
+  const [fallbackOrder, setFallbackOrder] = useState('');
+  const [fontLabelDraft, setFontLabelDraft] = useState('');
+  const [fontAdminStatus, setFontAdminStatus] = useState('');
+  const [inspectedGlyph, setInspectedGlyph] = useState(null);
+  const [liveShaping, setLiveShaping] = useState(false);
+  // 'server' | 'wasm' — выбирается при старте (см. shapingBackend.js); null — ещё не выбран
+  const [backendKind, setBackendKind] = useState(null);
+  const shapeAbortRef = useRef(null);
+  const shapeRequestIdRef = useRef(0);
+  const shapeParamsReadyRef = useRef(false);
   const [enableSegmentation, setEnableSegmentation] = useState(true);
+  // 'rects' — резка прямоугольниками, 'contours' — целые контуры (нужен contours=1)
+  const [segmentationStrategy, setSegmentationStrategy] = useState('rects');
   const [fontOptions, setFontOptions] = useState([]);
   const [selectedFont, setSelectedFont] = useState('auto');
+  const [defaultFontId, setDefaultFontId] = useState(null);
+  const [fontVariations, setFontVariations] = useState({});
   const [metricsReady, setMetricsReady] = useState(false);
   const [greenStrokeMode, setGreenStrokeMode] = useState('all');
   const [autoFitMode, setAutoFitMode] = useState('contain');
@@ -30,93 +71,311 @@ export default function VisualDecoderLab() {
   const [soundStatus, setSoundStatus] = useState('');
   const [cardScale, setCardScale] = useState(1.25);
   const [autoMaxCardScale, setAutoMaxCardScale] = useState(true);
+  const [mapperConsoleLog, setMapperConsoleLog] = useState(false);
+  const [showAnchors, setShowAnchors] = useState(false);
   const audioRef = useRef(null);
+  const appliedVariationsRef = useRef('');
+  const metricsRequestIdRef = useRef(0);
 
   const units = useMemo(() => buildEduUnits(text), [text]);
 
+  // Оси вариаций выбранного шрифта ('auto' → первый доступный шрифт сервера)
+  const selectedFontOption = useMemo(() => {
+    const fontId = selectedFont === 'auto' ? defaultFontId : selectedFont;
+    return fontOptions.find((font) => font.id === fontId) || null;
+  }, [fontOptions, selectedFont, defaultFontId]);
+
+  const selectedFontAxes = selectedFontOption?.axes || [];
+
+  // "wght:700,wdth:80" — только оси, отличные от default
+  const variationsQuery = useMemo(() => {
+    return selectedFontAxes
+      .filter((axis) => fontVariations[axis.tag] !== undefined && fontVariations[axis.tag] !== axis.default)
+      .map((axis) => `${axis.tag}:${fontVariations[axis.tag]}`)
+      .join(',');
+  }, [selectedFontAxes, fontVariations]);
+
   const glyphsWithParts = useMemo(() => {
-    return mapGlyphsToParts(glyphs, units, { enableSegmentation });
+    return mapGlyphsToParts(glyphs, units, {
+      enableSegmentation,
+      strategy: segmentationStrategy,
+      logTrace: mapperConsoleLog,
+    });
     // metricsReady в зависимостях — чтобы пересчитать после загрузки метрик
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [glyphs, units, enableSegmentation, metricsReady]);
+  }, [glyphs, units, enableSegmentation, segmentationStrategy, mapperConsoleLog, metricsReady]);
+
+  // Крепления знаков по якорям GPOS: glyph.id → [{ markIndex, baseIndex, type, markPoint, basePoint }].
+  // Якоря в метриках — только основного шрифта, глифы из fallback пропускаем.
+  const markAttachments = useMemo(() => {
+    const metrics = getRawMetrics();
+    const byGlyph = new Map();
+    if (!showAnchors || !metrics?.anchors) return byGlyph;
+    for (const glyph of glyphsWithParts) {
+      if (glyph.fontInfo?.fontId && glyph.fontInfo.fontId !== metrics.fontId) continue;
+      byGlyph.set(glyph.id, getMarkAttachments(glyph, metrics.anchors));
+    }
+    return byGlyph;
+  }, [glyphsWithParts, showAnchors]);
 
   // ── Загружаем метрики при смене шрифта ───────────────────────────────────
-  async function fetchMetrics(fontId) {
+  async function fetchMetrics(fontId, variations = '') {
+    const requestId = ++metricsRequestIdRef.current;
     setMetricsReady(false);
-    await loadMetrics(fontId);
+    // wasm-бэкенд подменяет источник метрик — дожидаемся выбора бэкенда
+    await getShapingBackend();
+    await loadMetrics(fontId, undefined, variations);
+    // Пока грузились, выбрали другой шрифт — готовность выставит его запрос
+    if (requestId !== metricsRequestIdRef.current) return;
     setMetricsReady(isMetricsLoaded());
   }
 
   async function loadFonts() {
     try {
-      const response = await fetch('http://localhost:3001/api/fonts');
-      if (!response.ok) return;
-      const payload = await response.json();
+      const backend = await getShapingBackend();
+      setBackendKind(backend.kind);
+      const payload = await backend.fetchFonts();
       const fonts = Array.isArray(payload.fonts) ? payload.fonts : [];
       setFontOptions(fonts);
+      setDefaultFontId(payload.defaultFontId || null);
     } catch (fontError) {
       console.warn('[fonts] failed to load fonts', fontError);
     }
   }
 
+  // Параметры шейпинга без текста: их смена перешейпивает автоматически
+  const shapeParamsQuery = useMemo(() => {
+    let query = '';
+    if (clusterLevel !== 0) query += `&clusterLevel=${clusterLevel}`;
+    if (segmentationStrategy === 'contours') query += '&contours=1';
+    if (selectedFont && selectedFont !== 'auto') query += `&font=${encodeURIComponent(selectedFont)}`;
+    if (variationsQuery) query += `&variations=${encodeURIComponent(variationsQuery)}`;
+    if (shapeScript) query += `&script=${encodeURIComponent(shapeScript)}`;
+    if (shapeLanguage.trim()) query += `&language=${encodeURIComponent(shapeLanguage.trim())}`;
+    if (shapeDirection) query += `&direction=${encodeURIComponent(shapeDirection)}`;
+    if (!fallbackEnabled) {
+      query += '&fallback=none';
+    } else if (fallbackOrder.trim()) {
+      query += `&fallback=${encodeURIComponent(fallbackOrder.trim())}`;
+    }
+
+    if (disableLigatures) {
+      query += '&features=liga:0,ccmp:0,pres:0,abvs:0,psts:0';
+    } else {
+      const featureList = [
+        ...disabledFeatureTags.map((tag) => `${tag}:0`),
+        ...(features.trim() ? [features.trim()] : []),
+      ].join(',');
+      if (featureList) query += `&features=${encodeURIComponent(featureList)}`;
+    }
+    return query;
+  }, [
+    clusterLevel, segmentationStrategy, selectedFont, variationsQuery, shapeScript, shapeLanguage, shapeDirection,
+    fallbackEnabled, fallbackOrder, disableLigatures, disabledFeatureTags, features,
+  ]);
+
+  // Общие параметры шейпинга для /api/v2/shape (или wasm-бэкенда) и /api/shape/trace
+  function buildShapeQuery() {
+    return `text=${encodeURIComponent(text)}${shapeParamsQuery}`;
+  }
+
+  // ── Управление шрифтами: загрузка, подпись, удаление ─────────────────────
+  // Относительные пути — через прокси Vite: сервер принимает изменения только со своего origin
+  async function requestFontAdmin(url, init) {
+    const response = await fetch(url, init);
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(payload.error || `HTTP ${response.status}`);
+    return payload;
+  }
+
+  async function handleFontUpload(file) {
+    if (!file) return;
+    setFontAdminStatus(`⏳ Загрузка ${file.name}…`);
+    try {
+      let url = apiUrl(`/api/fonts?name=${encodeURIComponent(file.name)}`);
+      if (fontLabelDraft.trim()) url += `&label=${encodeURIComponent(fontLabelDraft.trim())}`;
+      const { font } = await requestFontAdmin(url, { method: 'POST', body: file });
+      setFontAdminStatus(`✅ Загружен: ${font.label}`);
+      setFontLabelDraft('');
+      await loadFonts();
+      await handleFontChange(font.id);
+    } catch (uploadError) {
+      setFontAdminStatus(`❌ ${uploadError.message}`);
+    }
+  }
+
+  async function handleFontLabelSave() {
+    if (!selectedFontOption) return;
+    try {
+      const { font } = await requestFontAdmin(apiUrl(`/api/fonts/${encodeURIComponent(selectedFontOption.id)}`), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ label: fontLabelDraft }),
+      });
+      setFontAdminStatus(`✅ Подпись: ${font.label}`);
+      setFontLabelDraft('');
+      await loadFonts();
+    } catch (labelError) {
+      setFontAdminStatus(`❌ ${labelError.message}`);
+    }
+  }
+
+  async function handleFontDelete() {
+    if (!selectedFontOption || !window.confirm(`Удалить шрифт ${selectedFontOption.label}?`)) return;
+    try {
+      await requestFontAdmin(apiUrl(`/api/fonts/${encodeURIComponent(selectedFontOption.id)}`), { method: 'DELETE' });
+      setFontAdminStatus(`🗑 Удалён: ${selectedFontOption.label}`);
+      await loadFonts();
+      await handleFontChange('auto');
+    } catch (deleteError) {
+      setFontAdminStatus(`❌ ${deleteError.message}`);
+    }
+  }
+
+  // Фичи GSUB/GPOS, которые определяет выбранный шрифт
+  async function loadFontFeatures(fontId) {
+    try {
+      const backend = await getShapingBackend();
+      setFontFeatures(await backend.fetchFontFeatures(fontId));
+    } catch (featuresError) {
+      console.warn('[features] failed to load font features', featuresError);
+    }
+  }
+
+  function toggleFeatureTag(tag, enabled) {
+    setDisabledFeatureTags((prev) => (enabled ? prev.filter((t) => t !== tag) : [...prev, tag]));
+  }
+
+  // Новый запрос отменяет предыдущий; ответ, обогнанный более новым запросом, игнорируется
   async function handleShape() {
+    shapeAbortRef.current?.abort();
+    const controller = new AbortController();
+    shapeAbortRef.current = controller;
+    const requestId = ++shapeRequestIdRef.current;
+    const isStale = () => requestId !== shapeRequestIdRef.current;
+
     setLoading(true);
     setError("");
     setSelectedGlyphId(null);
     setSelectedChar(null);
 
     try {
-      let url = `http://localhost:3001/api/shape?text=${encodeURIComponent(text)}`;
-      if (clusterLevel !== 0) url += `&clusterLevel=${clusterLevel}`;
-      if (selectedFont && selectedFont !== 'auto') url += `&font=${encodeURIComponent(selectedFont)}`;
-
-      if (disableLigatures) {
-        url += '&features=liga:0,ccmp:0,pres:0,abvs:0,psts:0';
-      } else if (features.trim()) {
-        url += `&features=${encodeURIComponent(features.trim())}`;
-      }
+      const backend = await getShapingBackend();
+      const query = buildShapeQuery();
+      console.log(`[${backend.kind}] Shape query:`, query);
 
-      console.log('[API] Request URL:', url);
-
-      const response = await fetch(url);
-      if (!response.ok) {
-        const payload = await response.json().catch(() => ({}));
-        throw new Error(payload.error || `HTTP ${response.status}`);
-      }
-      const data = await response.json();
+      // v2: { text, font, features, clusterLevel, glyphs, warnings }; ошибка — Error "code: message"
+      const data = await backend.shape(query, { signal: controller.signal });
+      if (isStale()) return;
       if (DEBUG) console.log("[EDU_DEBUG] glyphs", data);
-      console.log("[GLYPHS RAW]", data);
-
-      const shapedGlyphs =
-        (Array.isArray(data) && data) ||
-        (Array.isArray(data?.glyphs) && data.glyphs) ||
-        (Array.isArray(data?.run?.glyphs) && data.run.glyphs) ||
-        (Array.isArray(data?.result?.glyphs) && data.result.glyphs) ||
-        [];
-
-      console.log("[GLYPHS PARSED]", {
-        count: shapedGlyphs.length,
-        first: shapedGlyphs[0] || null,
-        keys: data && typeof data === "object" ? Object.keys(data) : null,
-      });
-
-      setGlyphs(shapedGlyphs);
+      console.log("[GLYPHS PARSED]", { count: data.glyphs.length, font: data.font, warnings: data.warnings });
+
+      // Бэкенд сообщает, каким шрифтом шейпил — расхождение с выбранным показываем явно
+      const fontMismatch = selectedFont !== 'auto' && data.font.id !== selectedFont
+        ? [{ code: 'font_mismatch', message: `Запрошен шрифт ${selectedFont}, использован ${data.font.id}` }]
+        : [];
+      setShapeWarnings([...fontMismatch, ...data.warnings]);
+      setGlyphs(expandGlyphOutlines(data));
+    } catch (shapeError) {
+      if (shapeError.name === 'AbortError' || isStale()) return;
+      setShapeWarnings([]);
+      setError(shapeError.message);
     } finally {
-      setLoading(false);
+      if (!isStale()) setLoading(false);
     }
   }
 
-  // Обработчик смены шрифта — загружает метрики и перешейпит
+  // Шрифт, оси, фичи, clusterLevel, script и т.п. изменились — перешейпим.
+  // Первый рендер пропускаем: начальный шейпинг делает автозагрузка.
+  useEffect(() => {
+    if (!shapeParamsReadyRef.current) {
+      shapeParamsReadyRef.current = true;
+      return undefined;
+    }
+    const timer = setTimeout(handleShape, LIVE_SHAPE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [shapeParamsQuery]);
+
+  // Live-режим: шейпим текст по мере ввода, после паузы LIVE_SHAPE_DEBOUNCE_MS
+  useEffect(() => {
+    if (!liveShaping) return undefined;
+    const timer = setTimeout(handleShape, LIVE_SHAPE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [text, liveShaping]);
+
+  useEffect(() => () => shapeAbortRef.current?.abort(), []);
+
+  // Урок открыт — шейпим его текст сразу, не дожидаясь кнопки или Live
+  const shapeLessonRef = useRef(false);
+  useEffect(() => {
+    if (!shapeLessonRef.current) return;
+    shapeLessonRef.current = false;
+    handleShape();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [text]);
+
+  function handleOpenLesson(lesson) {
+    shapeLessonRef.current = true;
+    setSelectedChar(null);
+    setText(lesson.text);
+  }
+
+  // Обработчик смены шрифта — загружает метрики; перешейп — эффект по shapeParamsQuery
   async function handleFontChange(newFontId) {
     setSelectedFont(newFontId);
+    setFontVariations({});
+    setDisabledFeatureTags([]);
+    appliedVariationsRef.current = '';
+    loadFontFeatures(newFontId);
     await fetchMetrics(newFontId);
   }
 
+  // Метрики зависят от инстанса вариаций — перезагружаем с небольшой задержкой,
+  // чтобы не строить метрики на каждый шаг слайдера.
+  useEffect(() => {
+    if (appliedVariationsRef.current === variationsQuery) return undefined;
+    const timer = setTimeout(() => {
+      appliedVariationsRef.current = variationsQuery;
+      fetchMetrics(selectedFont, variationsQuery);
+    }, 400);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [variationsQuery]);
+
+  // Сервер сообщает об изменениях в public/fonts — перечитываем список шрифтов,
+  // метрики и перешейпим. Ref, чтобы обработчик видел актуальные шрифт/оси.
+  const fontsChangedHandlerRef = useRef(null);
+  fontsChangedHandlerRef.current = () => {
+    resetMetrics();
+    loadFonts();
+    loadFontFeatures(selectedFont);
+    fetchMetrics(selectedFont, variationsQuery);
+    handleShape();
+  };
+
+  useEffect(() => {
+    // События шлёт только Node-сервер
+    if (backendKind !== 'server' || typeof EventSource === 'undefined') return undefined;
+    const events = new EventSource(apiUrl('/api/events'));
+    const onFontsChanged = (event) => {
+      console.log('[fonts] changed on server', event.data);
+      fontsChangedHandlerRef.current?.();
+    };
+    events.addEventListener('fonts-changed', onFontsChanged);
+    return () => {
+      events.removeEventListener('fonts-changed', onFontsChanged);
+      events.close();
+    };
+  }, [backendKind]);
+
   useEffect(() => {
     if (didAutoload) return;
     setDidAutoload(true);
     Promise.all([
       loadFonts(),
+      loadFontFeatures('auto'),
       fetchMetrics('auto'),
       handleShape(),
     ]);
@@ -134,7 +393,7 @@ export default function VisualDecoderLab() {
 
     const audio = audioRef.current ?? new Audio();
     audioRef.current = audio;
-    audio.src = `/sounds/${soundFile}`;
+    audio.src = getSoundUrl(soundFile);
     audio.currentTime = 0;
     audio.play()
       .then(() => setSoundStatus(`▶️ ${soundFile}`))
@@ -146,6 +405,15 @@ export default function VisualDecoderLab() {
 
   const selectedSoundFile = useMemo(() => getSoundFileForChar(selectedChar), [selectedChar]);
 
+  // Runs, на которые сервер разбил текст (скрипт каждого run)
+  const shapedRuns = useMemo(() => {
+    const runs = new Map();
+    for (const glyph of glyphs) {
+      if (glyph.run && !runs.has(glyph.run.index)) runs.set(glyph.run.index, glyph.run);
+    }
+    return Array.from(runs.values());
+  }, [glyphs]);
+
   const SCALE = 0.1;
 
   const width = Math.max(
@@ -274,7 +542,8 @@ export default function VisualDecoderLab() {
       const lineShift = lineShiftByIndex.get(entry.lineIndex) || { shiftX: 0, shiftY: 0 };
       for (const part of entry.glyph.parts || []) {
         const source = part.component || entry.glyph;
-        const pathData = part.component ? part.component.d : (part.pathData || entry.glyph.d);
+        // Контурная сегментация отдаёт у компонента только его контуры (pathData)
+        const pathData = part.component ? (part.pathData || part.component.d) : (part.pathData || entry.glyph.d);
         const bb = source?.bb;
         if (!pathData || !bb) continue;
 
@@ -388,6 +657,18 @@ export default function VisualDecoderLab() {
           <button type="button" onClick={handleShape} disabled={loading} style={{ padding: "8px 16px" }}>
             {loading ? "Shaping..." : "Shape"}
           </button>
+          <label style={{ display: 'flex', gap: 6, alignItems: 'center', whiteSpace: 'nowrap' }} title="Шейпить по мере ввода">
+            <input type="checkbox" checked={liveShaping} onChange={(e) => setLiveShaping(e.target.checked)} />
+            <span style={{ fontSize: '14px' }}>⚡ Live</span>
+          </label>
+          {backendKind && (
+            <span
+              style={{ alignSelf: 'center', fontSize: '12px', color: '#6b7280', whiteSpace: 'nowrap' }}
+              title={backendKind === 'wasm' ? 'Сервер недоступен: HarfBuzz работает в браузере' : 'Шейпинг на Node-сервере'}
+            >
+              {backendKind === 'wasm' ? '🧩 wasm (в браузере)' : '🖥 сервер'}
+            </span>
+          )}
         </div>
 
         <div style={{ display: 'flex', gap: 12, alignItems: 'center', padding: '8px', background: '#f3f4f6', borderRadius: '4px' }}>
@@ -405,6 +686,87 @@ export default function VisualDecoderLab() {
           />
         </div>
 
+        {fontFeatures?.features?.length > 0 && (
+          <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', padding: '8px', background: '#f5f3ff', borderRadius: '4px' }}>
+            <span style={{ fontSize: '14px', fontWeight: 'bold' }}>🧩 Фичи шрифта:</span>
+            {['GSUB', 'GPOS'].map((table) => (
+              <span key={table} style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+                <span style={{ fontSize: '12px', color: '#6b7280' }}>{table}</span>
+                {(fontFeatures.tables?.[table]?.features ?? []).map((tag) => (
+                  <label key={`${table}-${tag}`} style={{ display: 'flex', gap: 4, alignItems: 'center', fontSize: '13px' }}>
+                    <input
+                      type="checkbox"
+                      checked={!disabledFeatureTags.includes(tag)}
+                      onChange={(e) => toggleFeatureTag(tag, e.target.checked)}
+                      disabled={disableLigatures}
+                    />
+                    <code>{tag}</code>
+                  </label>
+                ))}
+              </span>
+            ))}
+            <span style={{ fontSize: '12px', color: '#6d28d9' }}>
+              Скрипты: {(fontFeatures.tables?.GSUB?.scripts ?? []).map((script) => script.tag).join(', ') || '—'}
+            </span>
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', padding: '8px', background: '#fefce8', borderRadius: '4px' }}>
+          <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+            <span style={{ fontSize: '14px', fontWeight: 'bold' }}>📜 Скрипт:</span>
+            <select value={shapeScript} onChange={(e) => setShapeScript(e.target.value)} style={{ padding: '6px', fontSize: '14px' }}>
+              <option value="">Auto (по runs)</option>
+              <option value="Khmr">Khmr</option>
+              <option value="Latn">Latn</option>
+              <option value="Thai">Thai</option>
+              <option value="Zyyy">Zyyy (Common)</option>
+            </select>
+          </label>
+          <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+            <span style={{ fontSize: '14px' }}>Язык:</span>
+            <input
+              value={shapeLanguage}
+              onChange={(e) => setShapeLanguage(e.target.value)}
+              placeholder="km"
+              style={{ padding: '6px', fontSize: '14px', width: 60 }}
+            />
+          </label>
+          <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+            <span style={{ fontSize: '14px' }}>Направление:</span>
+            <select value={shapeDirection} onChange={(e) => setShapeDirection(e.target.value)} style={{ padding: '6px', fontSize: '14px' }}>
+              <option value="">Auto</option>
+              <option value="ltr">ltr</option>
+              <option value="rtl">rtl</option>
+              <option value="ttb">ttb</option>
+              <option value="btt">btt</option>
+            </select>
+          </label>
+          {shapedRuns.length > 0 && (
+            <span style={{ fontSize: '12px', color: '#a16207' }}>
+              Runs: {shapedRuns.map((run) => `${run.script || 'auto'} ${run.direction} [${run.start}–${run.end})`).join(' · ')}
+            </span>
+          )}
+        </div>
+
+        <div style={{ display: 'flex', gap: 12, alignItems: 'center', padding: '8px', background: '#fff7ed', borderRadius: '4px' }}>
+          <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+            <input type="checkbox" checked={fallbackEnabled} onChange={(e) => setFallbackEnabled(e.target.checked)} />
+            <span style={{ fontSize: '14px', fontWeight: 'bold' }}>🪂 Fallback шрифты</span>
+          </label>
+          <input
+            value={fallbackOrder}
+            onChange={(e) => setFallbackOrder(e.target.value)}
+            placeholder={fontOptions.filter((font) => font.available).map((font) => font.id).join(',') || 'порядок каталога'}
+            style={{ padding: '6px', fontSize: '14px', flex: 1 }}
+            disabled={!fallbackEnabled}
+          />
+          {glyphs.some((glyph) => glyph.fontInfo?.fallback) && (
+            <span style={{ fontSize: '12px', color: '#c2410c' }}>
+              Fallback: {Array.from(new Set(glyphs.filter((glyph) => glyph.fontInfo?.fallback).map((glyph) => glyph.fontInfo.fontId))).join(', ')}
+            </span>
+          )}
+        </div>
+
         <div style={{ display: 'flex', gap: 12, alignItems: 'center', padding: '8px', background: '#eff6ff', borderRadius: '4px' }}>
           <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
             <span style={{ fontSize: '14px', fontWeight: 'bold' }}>⚙️ Cluster Level:</span>
@@ -435,14 +797,108 @@ export default function VisualDecoderLab() {
           </label>
         </div>
 
+        {backendKind === 'server' && (
+          <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', padding: '8px', background: '#f8fafc', borderRadius: '4px' }}>
+            <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+              <span style={{ fontSize: '14px', fontWeight: 'bold' }}>⬆️ Загрузить шрифт:</span>
+              <input
+                type="file"
+                accept=".ttf,.otf,.ttc,.otc,.woff,.woff2"
+                onChange={(e) => {
+                  handleFontUpload(e.target.files?.[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+            <input
+              value={fontLabelDraft}
+              onChange={(e) => setFontLabelDraft(e.target.value)}
+              placeholder="Подпись шрифта"
+              style={{ padding: '6px', fontSize: '14px' }}
+            />
+            <button type="button" onClick={handleFontLabelSave} disabled={!selectedFontOption} style={{ padding: '4px 10px' }}>
+              ✏️ Подписать выбранный
+            </button>
+            <button type="button" onClick={handleFontDelete} disabled={!selectedFontOption} style={{ padding: '4px 10px' }}>
+              🗑 Удалить выбранный
+            </button>
+            {fontAdminStatus && <span style={{ fontSize: '12px', color: '#475569' }}>{fontAdminStatus}</span>}
+          </div>
+        )}
+
+        {selectedFontOption?.coverage && (() => {
+          const { names, coverage } = selectedFontOption;
+          const missing = [...coverage.khmer.missing, ...coverage.khmerSymbols.missing];
+          return (
+            <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', padding: '8px', background: '#f0fdf4', borderRadius: '4px', fontSize: '13px' }}>
+              <span style={{ fontWeight: 'bold' }}>📋 {names?.family || selectedFontOption.label}</span>
+              {names?.version && <span style={{ color: '#6b7280' }}>{names.version}</span>}
+              {names?.designer && <span style={{ color: '#6b7280' }}>✍️ {names.designer}</span>}
+              {names?.license && <span style={{ color: '#6b7280' }} title={names.license}>⚖️ {names.license.slice(0, 40)}{names.license.length > 40 ? '…' : ''}</span>}
+              <span>Khmer: {coverage.khmer.supported.length}/{coverage.khmer.total}</span>
+              <span>Symbols: {coverage.khmerSymbols.supported.length}/{coverage.khmerSymbols.total}</span>
+              <span style={{ color: coverage.subscripts.broken.length ? '#dc2626' : '#16a34a' }}>
+                Подписные: {coverage.subscripts.broken.length
+                  ? coverage.subscripts.broken.map((sub) => `្${sub.char} (${sub.reason})`).join(', ')
+                  : '✅'}
+              </span>
+              {missing.length > 0 && (
+                <span style={{ color: '#dc2626' }} title={missing.join(' ')}>
+                  Нет: {missing.map((label) => String.fromCodePoint(parseInt(label.slice(2), 16))).join(' ')}
+                </span>
+              )}
+            </div>
+          );
+        })()}
+
+        {selectedFontAxes.length > 0 && (
+          <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', padding: '8px', background: '#eef2ff', borderRadius: '4px' }}>
+            <span style={{ fontSize: '14px', fontWeight: 'bold' }}>🎚️ Оси шрифта:</span>
+            {selectedFontAxes.map((axis) => {
+              const value = fontVariations[axis.tag] ?? axis.default;
+              return (
+                <label key={axis.tag} style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                  <span style={{ fontSize: '14px' }}>{axis.name} ({axis.tag})</span>
+                  <input
+                    type="range"
+                    min={axis.min}
+                    max={axis.max}
+                    step={axis.max - axis.min > 10 ? 1 : 0.1}
+                    value={value}
+                    onChange={(e) => setFontVariations((prev) => ({ ...prev, [axis.tag]: parseFloat(e.target.value) }))}
+                  />
+                  <strong style={{ minWidth: 40, textAlign: 'right' }}>{value}</strong>
+                </label>
+              );
+            })}
+            <button type="button" onClick={() => setFontVariations({})} style={{ padding: '4px 10px' }}>
+              Сбросить
+            </button>
+          </div>
+        )}
+
         <div style={{ display: 'flex', gap: 12, alignItems: 'center', padding: '8px', background: '#dcfce7', borderRadius: '4px' }}>
           <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
             <input type="checkbox" checked={enableSegmentation} onChange={(e) => setEnableSegmentation(e.target.checked)} />
             <span style={{ fontSize: '14px', fontWeight: 'bold' }}>✂️ Визуальная сегментация глифов</span>
           </label>
+          <select
+            value={segmentationStrategy}
+            onChange={(e) => setSegmentationStrategy(e.target.value)}
+            disabled={!enableSegmentation}
+            style={{ padding: '4px', fontSize: '13px' }}
+          >
+            <option value="rects">Прямоугольники</option>
+            <option value="contours">Контуры</option>
+          </select>
           <span style={{ fontSize: '12px', color: '#16a34a' }}>
-            Разделяет составные глифы на части по геометрии (если нет компонент от сервера)
+            Разделяет составные глифы на части по геометрии (если нет компонент от сервера);
+            «Контуры» — раздаёт целые контуры глифа, режет только общие
           </span>
+          <label style={{ display: 'flex', gap: 6, alignItems: 'center', marginLeft: 'auto' }}>
+            <input type="checkbox" checked={showAnchors} onChange={(e) => setShowAnchors(e.target.checked)} />
+            <span style={{ fontSize: '13px' }}>⚓ Якоря GPOS</span>
+          </label>
         </div>
 
         <div style={{ display: 'flex', gap: 12, alignItems: 'center', padding: '8px', background: '#ecfeff', borderRadius: '4px' }}>
@@ -629,6 +1085,13 @@ export default function VisualDecoderLab() {
       </section>
 
       {error ? <p style={{ color: "crimson", fontWeight: "bold" }}>{error}</p> : null}
+      {shapeWarnings.length > 0 && (
+        <ul style={{ color: '#b45309', fontSize: 13, margin: '4px 0', paddingLeft: 20 }}>
+          {shapeWarnings.map((warning, idx) => (
+            <li key={`${warning.code}-${idx}`}>⚠️ {warning.message}</li>
+          ))}
+        </ul>
+      )}
 
       <svg
         width={width}
@@ -648,7 +1111,7 @@ export default function VisualDecoderLab() {
               if (part.component) {
                 xPos = 50 + part.component.x * SCALE;
                 yPos = verticalLayout.baselineY + part.component.y * SCALE;
-                pathData = part.component.d;
+                pathData = part.pathData || part.component.d;
               } else {
                 xPos = 50 + glyph.x * SCALE;
                 yPos = verticalLayout.baselineY + glyph.y * SCALE;
@@ -704,9 +1167,36 @@ export default function VisualDecoderLab() {
                 </g>
               );
             })}
+            {(markAttachments.get(glyph.id) || []).map((attachment) => {
+              const mark = glyph.components[attachment.markIndex];
+              const toX = (value) => 50 + value * SCALE;
+              const toY = (value) => verticalLayout.baselineY + value * SCALE;
+              const color = attachment.type === 'mark_to_mark' ? '#db2777' : '#7c3aed';
+              // Линия от центра знака к якорю базы: видно, к какому компоненту он прикреплён
+              const markCenterX = mark.x + (mark.bb.x1 + mark.bb.x2) / 2;
+              const markCenterY = mark.y + (mark.bb.y1 + mark.bb.y2) / 2;
+              return (
+                <g key={`anchor-${attachment.markIndex}`}>
+                  <line
+                    x1={toX(markCenterX)} y1={toY(markCenterY)}
+                    x2={toX(attachment.basePoint.x)} y2={toY(attachment.basePoint.y)}
+                    stroke={color} strokeWidth="1.5" strokeDasharray="4 2" pointerEvents="none"
+                  />
+                  <circle cx={toX(attachment.basePoint.x)} cy={toY(attachment.basePoint.y)} r="4" fill={color} pointerEvents="none" />
+                  <circle cx={toX(attachment.markPoint.x)} cy={toY(attachment.markPoint.y)} r="7" fill="none" stroke={color} strokeWidth="1.5">
+                    <title>{`${attachment.type} · класс ${attachment.markClass}`}</title>
+                  </circle>
+                </g>
+              );
+            })}
             <text x={glyph.x * SCALE + 50} y={verticalLayout.labelY} fontSize="12" fill="#6b7280" textAnchor="middle">
               #{glyph.id} ({glyph.parts.length} part{glyph.parts.length !== 1 ? 's' : ''})
             </text>
+            {glyph.fontInfo?.fallback && (
+              <text x={glyph.x * SCALE + 50} y={verticalLayout.labelY + 14} fontSize="10" fill="#c2410c" textAnchor="middle">
+                {glyph.fontInfo.fontId}
+              </text>
+            )}
           </g>
         ))}
 
@@ -729,10 +1219,19 @@ export default function VisualDecoderLab() {
             if (!glyph) return <p>Глиф не найден</p>;
             const selectedParts = glyph.parts.filter(p => p.char === selectedChar);
             if (selectedParts.length === 0) return <p>Части не найдены</p>;
+            const clusterName = glyph.clusterText || `glyph-${glyph.id}`;
             return (
               <div style={{ marginTop: 8 }}>
                 <p><strong>Количество частей:</strong> {selectedParts.length}</p>
                 <p><strong>Аудио:</strong> {selectedSoundFile || 'нет соответствия'}</p>
+                <button
+                  type="button"
+                  onClick={() => downloadSvg(`${clusterName}.svg`, buildClusterSvg(glyph))}
+                  style={{ padding: '2px 8px' }}
+                  title="Все части кластера, слой на категорию"
+                >
+                  ⬇️ SVG кластера {clusterName}
+                </button>
                 {selectedParts.map((part, idx) => (
                   <div key={part.partId} style={{ marginTop: 8, paddingTop: 8, borderTop: idx > 0 ? '1px solid #ddd' : 'none' }}>
                     <p><strong>Часть #{idx + 1}:</strong></p>
@@ -741,6 +1240,14 @@ export default function VisualDecoderLab() {
                       <strong>Зона:</strong> {part.zone}<br />
                       <strong>Цвет:</strong> <span style={{ color: part.color, fontWeight: 'bold' }}>■</span> {part.color}
                     </p>
+                    <button
+                      type="button"
+                      onClick={() => downloadSvg(`${clusterName}-${part.char}-${idx + 1}.svg`, buildPartSvg(part, glyph))}
+                      style={{ marginLeft: 12, padding: '2px 8px' }}
+                      title="Контур части, обрезанный по её зоне"
+                    >
+                      ⬇️ SVG части
+                    </button>
                   </div>
                 ))}
               </div>
@@ -749,17 +1256,83 @@ export default function VisualDecoderLab() {
         </div>
       )}
 
+      <OfflinePanel font={selectedFontOption} refreshKey={soundStatus} onOpenLesson={handleOpenLesson} />
+
+      {backendKind === 'server' && <ShapingTracePanel buildQuery={buildShapeQuery} />}
+
       <details style={{ marginTop: 16 }}>
         <summary style={{ cursor: "pointer", fontWeight: "bold", padding: 8, background: "#f3f4f6" }}>
           🐛 Debug panel
         </summary>
         <div style={{ padding: 12, background: "#fafafa" }}>
-          <h4 style={{ marginTop: 0 }}>Glyphs with Parts ({glyphsWithParts.length})</h4>
+          <h4 style={{ marginTop: 0 }}>HarfBuzz glyph ids</h4>
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', fontSize: 12 }}>
+            {glyphsWithParts.map((g) => (
+              <span key={g.id} style={{ display: 'flex', gap: 4, alignItems: 'center', padding: '2px 6px', background: '#fff', borderRadius: 4 }}>
+                <span style={{ color: '#6b7280' }}>#{g.id} {g.clusterText}:</span>
+                {(g.components || []).map((comp, idx) => (
+                  <button
+                    key={`${comp.hbGlyphId}-${idx}`}
+                    type="button"
+                    onClick={() => setInspectedGlyph({ fontId: g.fontInfo?.fontId, glyphId: comp.hbGlyphId })}
+                    disabled={backendKind !== 'server'}
+                    style={{ padding: '0 4px', fontSize: 12, cursor: 'pointer' }}
+                    title={backendKind === 'server' ? 'Открыть глиф в инспекторе' : 'Инспектор глифов работает только с сервером'}
+                  >
+                    {comp.hbGlyphId}
+                  </button>
+                ))}
+              </span>
+            ))}
+          </div>
+          {inspectedGlyph && (
+            <GlyphInspectorPanel
+              fontId={inspectedGlyph.fontId}
+              glyphId={inspectedGlyph.glyphId}
+              variations={variationsQuery}
+              onInspect={(glyphId) => setInspectedGlyph((prev) => ({ ...prev, glyphId }))}
+              onClose={() => setInspectedGlyph(null)}
+            />
+          )}
+
+          <h4>Решения маппера</h4>
+          <label style={{ display: 'flex', gap: 6, alignItems: 'center', fontSize: 12, marginBottom: 8 }}>
+            <input
+              type="checkbox"
+              checked={mapperConsoleLog}
+              onChange={(e) => setMapperConsoleLog(e.target.checked)}
+            />
+            Печатать решения маппера в консоль
+          </label>
+          {glyphsWithParts.map((g) => (
+            <div key={g.id} style={{ fontSize: 12, marginBottom: 8, padding: 6, background: '#fff', borderRadius: 4 }}>
+              <div>
+                <span style={{ color: '#6b7280' }}>#{g.id} {g.clusterText}:</span>{' '}
+                <strong>{g.mapperTrace?.rule ?? '—'}</strong>
+              </div>
+              <table style={{ borderCollapse: 'collapse', fontSize: 11, marginTop: 4 }}>
+                <tbody>
+                  {(g.mapperTrace?.steps || []).map((step, idx) => (
+                    <tr key={idx} style={{ color: step.matched ? '#111827' : '#9ca3af', verticalAlign: 'top' }}>
+                      <td style={{ padding: '1px 6px' }}>{step.matched ? '✅' : '—'}</td>
+                      <td style={{ padding: '1px 6px', fontFamily: 'monospace' }}>{step.rule}</td>
+                      <td style={{ padding: '1px 6px' }}>{step.reason}</td>
+                      <td style={{ padding: '1px 6px', fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                        {JSON.stringify(step.inputs)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+
+          <h4>Glyphs with Parts ({glyphsWithParts.length})</h4>
           <pre style={{ fontSize: "11px", overflow: "auto", maxHeight: "300px", background: "#fff", padding: 8 }}>
             {JSON.stringify(glyphsWithParts.map(g => ({
               id: g.id,
               parts: g.parts.map(p => ({
-                char: p.char, category: p.category,
+                char: p.char, category: p.category, hbGlyphId: p.hbGlyphId,
                 zone: p.zone, color: p.color,
                 validClip: p.clipRect ? 'YES' : 'NO'
               }))
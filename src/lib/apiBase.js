@@ -0,0 +1,17 @@
+/**
+ * apiBase.js
+ *
+ * Базовый адрес API. По умолчанию пустой: запросы идут на тот же origin,
+ * в dev их проксирует Vite (см. vite.config.js). Для отдельного сервера —
+ * переменная окружения сборки VITE_API_BASE, например "http://localhost:3001".
+ */
+
+export const API_BASE = (import.meta.env?.VITE_API_BASE || '').replace(/\/+$/, '');
+
+/**
+ * @param {string} pathAndQuery — путь API с query, например "/api/fonts"
+ * @returns {string}
+ */
+export function apiUrl(pathAndQuery) {
+  return `${API_BASE}${pathAndQuery}`;
+}
@@ -0,0 +1,542 @@
+/**
+ * colorFont.js
+ *
+ * Цветной шрифт (COLRv0/CPAL) из разбора кластеров: каждый глиф, который
+ * встретился в разобранных кластерах, получает слои — контуры его частей,
+ * обрезанные по clipRect (partOutlines.js), с цветами лаборатории.
+ *
+ *   parseClusterList(source)   → кластеры из списка (scripts/color-font-clusters.txt)
+ *   collectColorGlyphs(glyphs) → { colorGlyphs, issues } — слои по glyphId
+ *   buildColorPalettes()       → палитры CPAL (цвета getColorForCategory)
+ *   buildColorFont(fontData, colorGlyphs, options) → Uint8Array шрифта
+ *
+ * Исходные таблицы шрифта (GSUB, GPOS, хинтинг) копируются как есть — шейпинг
+ * не меняется, а COLRv0 привязывает слои к glyphId, которые он выдаёт.
+ * Поэтому один глиф красится одинаково во всех кластерах: если кластеры
+ * разбирают его по-разному, остаётся первый разбор (issues: glyph_conflict).
+ *
+ * Поддерживаются только статические TrueType-шрифты (glyf): в CFF и
+ * вариативный шрифт новые глифы так просто не добавить.
+ */
+
+import { getColorForCategory } from './glyphCombinationRules.js';
+import { getKhmerConsonantSeries } from './khmerClassifier.js';
+import { getPartPolygons } from './partOutlines.js';
+
+// ─── Палитры ─────────────────────────────────────────────────────────────────
+
+/**
+ * Записи палитры: по цвету на категорию, у согласных — отдельно по сериям.
+ * sample — символ, по которому цвет берётся из getColorForCategory.
+ */
+export const COLOR_PALETTE_ENTRIES = [
+  { key: 'base_consonant:a_series', category: 'base_consonant', sample: 'ក', series: 'a_series' },
+  { key: 'base_consonant:o_series', category: 'base_consonant', sample: 'គ', series: 'o_series' },
+  { key: 'subscript_consonant:a_series', category: 'subscript_consonant', sample: '្ក', series: 'a_series' },
+  { key: 'subscript_consonant:o_series', category: 'subscript_consonant', sample: '្គ', series: 'o_series' },
+  { key: 'vowel', category: 'dependent_vowel', sample: 'ា' },
+  { key: 'diacritic', category: 'diacritic_sign', sample: 'ំ' },
+  { key: 'numeral', category: 'numeral', sample: '១' },
+  { key: 'other', category: 'other', sample: '' },
+];
+
+/**
+ * Палитры CPAL: 0 — цвета лаборатории, 1 — выделена A-серия (согласные
+ * O-серии серые), 2 — выделена O-серия. Переключаются CSS font-palette.
+ */
+export const COLOR_PALETTE_NAMES = ['all', 'a_series', 'o_series'];
+
+/**
+ * @param {string} category
+ * @param {string} char — как в part.char (у подписной — с coeng)
+ * @returns {number} индекс записи в COLOR_PALETTE_ENTRIES
+ */
+export function getPaletteEntryIndex(category, char) {
+  let key = 'other';
+  if (category === 'base_consonant' || category === 'subscript_consonant') {
+    // Та же серия, что в getColorForCategory: всё, что не A-серия, красится как O
+    const series = getKhmerConsonantSeries(Array.from(char || '').pop()) === 'a_series' ? 'a_series' : 'o_series';
+    key = `${category}:${series}`;
+  } else if (category === 'dependent_vowel' || category === 'independent_vowel') {
+    key = 'vowel';
+  } else if (category === 'diacritic_sign' || category === 'diacritic') {
+    key = 'diacritic';
+  } else if (category === 'numeral') {
+    key = 'numeral';
+  }
+  return COLOR_PALETTE_ENTRIES.findIndex((entry) => entry.key === key);
+}
+
+/**
+ * @returns {string[][]} палитры в порядке COLOR_PALETTE_NAMES, цвета '#rrggbb'
+ */
+export function buildColorPalettes() {
+  const colors = COLOR_PALETTE_ENTRIES.map((entry) => getColorForCategory(entry.category, entry.sample));
+  const muted = getColorForCategory('other', '');
+  return COLOR_PALETTE_NAMES.map((name) => COLOR_PALETTE_ENTRIES.map((entry, index) => (
+    name === 'all' || !entry.series || entry.series === name ? colors[index] : muted
+  )));
+}
+
+// ─── Слои из разбора ─────────────────────────────────────────────────────────
+
+/**
+ * Кластеры через пробелы и переводы строк; '#' — комментарий до конца строки.
+ *
+ * @param {string} source
+ * @returns {string[]} без повторов, в NFC
+ */
+export function parseClusterList(source) {
+  return Array.from(new Set(
+    source
+      .split('\n')
+      .map((line) => line.replace(/#.*/, ''))
+      .flatMap((line) => line.split(/\s+/))
+      .map((cluster) => cluster.normalize('NFC'))
+      .filter(Boolean)
+  ));
+}
+
+// Многоугольники части в координатах глифа, которому она принадлежит
+function getPartLayerSource(part, glyph) {
+  if (part.component) {
+    return { glyphId: part.component.hbGlyphId, polygons: getPartPolygons(part, glyph, { origin: 'source' }) };
+  }
+  // Часть всего кластера — её можно отдать глифу, только если он в кластере один
+  const components = glyph.components || [];
+  if (components.length !== 1) return null;
+  const [component] = components;
+  const dx = (component.x || 0) - (glyph.x || 0);
+  const dy = (component.y || 0) - (glyph.y || 0);
+  return {
+    glyphId: component.hbGlyphId,
+    polygons: getPartPolygons(part, glyph).map((points) => points.map(([x, y]) => [x - dx, y - dy])),
+  };
+}
+
+/**
+ * Слои для COLR из глифов с частями (mapGlyphsToParts / buildGlyphPartsPayload).
+ *
+ * @param {Array} glyphs — глифы с parts; кластеры из fallback-шрифтов пропускаются
+ * @returns {{
+ *   colorGlyphs: Map<number, Array<{ polygons: Array, paletteIndex: number, char: string }>>,
+ *   issues: Array<{ code: 'glyph_conflict'|'shared_part'|'fallback_font', cluster: string, glyphId?: number, char?: string }>
+ * }}
+ */
+export function collectColorGlyphs(glyphs) {
+  const colorGlyphs = new Map();
+  const signatures = new Map();
+  const issues = [];
+
+  for (const glyph of glyphs || []) {
+    const cluster = glyph.clusterText || (glyph.chars || []).join('');
+    if (glyph.fontInfo?.fallback) {
+      issues.push({ code: 'fallback_font', cluster });
+      continue;
+    }
+
+    const layersByGlyph = new Map();
+    for (const part of glyph.parts || []) {
+      const source = getPartLayerSource(part, glyph);
+      if (!source) {
+        issues.push({ code: 'shared_part', cluster, char: part.char });
+        continue;
+      }
+      if (!Number.isInteger(source.glyphId) || source.polygons.length === 0) continue;
+      if (!layersByGlyph.has(source.glyphId)) layersByGlyph.set(source.glyphId, []);
+      // Тот же контур у двух частей (coeng и подписная на одном компоненте):
+      // виден только верхний слой — нижний не нужен
+      const polygonsKey = JSON.stringify(source.polygons);
+      const layers = layersByGlyph.get(source.glyphId).filter((layer) => JSON.stringify(layer.polygons) !== polygonsKey);
+      layers.push({
+        polygons: source.polygons,
+        paletteIndex: getPaletteEntryIndex(part.category, part.char),
+        char: part.char,
+      });
+      layersByGlyph.set(source.glyphId, layers);
+    }
+
+    for (const [glyphId, layers] of layersByGlyph) {
+      const signature = JSON.stringify(layers.map(({ polygons, paletteIndex }) => [paletteIndex, polygons]));
+      if (!signatures.has(glyphId)) {
+        signatures.set(glyphId, signature);
+        colorGlyphs.set(glyphId, layers);
+      } else if (signatures.get(glyphId) !== signature) {
+        issues.push({ code: 'glyph_conflict', cluster, glyphId });
+      }
+    }
+  }
+
+  return { colorGlyphs, issues };
+}
+
+// ─── Чтение и запись sfnt ────────────────────────────────────────────────────
+
+const TRUETYPE_VERSIONS = new Set([0x00010000, 0x74727565]); // 1.0, 'true'
+// Таблицы с массивами на число глифов, которые мы не пересчитываем, и подпись
+const DROPPED_TABLES = new Set(['hdmx', 'LTSH', 'vhea', 'vmtx', 'VORG', 'DSIG']);
+// Слой COLR без цвета палитры — текущий цвет текста
+const FOREGROUND_PALETTE_INDEX = 0xffff;
+
+function readTables(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint32(0);
+  if (version === 0x4f54544f) throw new Error('CFF-шрифты (OTTO) не поддерживаются — нужен TrueType (glyf)');
+  if (!TRUETYPE_VERSIONS.has(version)) throw new Error('Не sfnt-шрифт (TTC/WOFF не поддерживаются)');
+
+  const tables = new Map();
+  const numTables = view.getUint16(4);
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    const tag = String.fromCharCode(...bytes.subarray(record, record + 4));
+    const offset = view.getUint32(record + 8);
+    const length = view.getUint32(record + 12);
+    tables.set(tag, bytes.slice(offset, offset + length));
+  }
+  for (const tag of ['head', 'maxp', 'loca', 'glyf', 'hhea', 'hmtx']) {
+    if (!tables.has(tag)) throw new Error(`В шрифте нет таблицы ${tag}`);
+  }
+  if (tables.has('fvar')) throw new Error('Вариативные шрифты не поддерживаются — используйте статический инстанс');
+  return { version, tables };
+}
+
+function viewOf(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function concatBytes(chunks) {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+function padTo4(bytes) {
+  if (bytes.length % 4 === 0) return bytes;
+  const padded = new Uint8Array(bytes.length + (4 - (bytes.length % 4)));
+  padded.set(bytes);
+  return padded;
+}
+
+function tableChecksum(bytes) {
+  const padded = padTo4(bytes);
+  const view = viewOf(padded);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) sum = (sum + view.getUint32(i)) >>> 0;
+  return sum;
+}
+
+/**
+ * Простой глиф glyf из многоугольников пути (ось Y вниз): только точки на
+ * контуре, координаты int16. Пустой массив — глиф без контуров.
+ */
+function encodeSimpleGlyph(polygons) {
+  const contours = polygons
+    .map((points) => {
+      const rounded = [];
+      for (const [x, y] of points) {
+        const point = [Math.round(x), Math.round(-y)];
+        const last = rounded[rounded.length - 1];
+        if (!last || last[0] !== point[0] || last[1] !== point[1]) rounded.push(point);
+      }
+      const first = rounded[0];
+      const last = rounded[rounded.length - 1];
+      if (rounded.length > 1 && first[0] === last[0] && first[1] === last[1]) rounded.pop();
+      return rounded;
+    })
+    .filter((points) => points.length >= 3);
+  if (contours.length === 0) return { bytes: new Uint8Array(0), xMin: 0, points: 0, contours: 0 };
+
+  const points = contours.flat();
+  const xs = points.map((p) => p[0]);
+  const ys = points.map((p) => p[1]);
+  const bytes = new Uint8Array(10 + contours.length * 2 + 2 + points.length * 5);
+  const view = viewOf(bytes);
+  view.setInt16(0, contours.length);
+  view.setInt16(2, Math.min(...xs));
+  view.setInt16(4, Math.min(...ys));
+  view.setInt16(6, Math.max(...xs));
+  view.setInt16(8, Math.max(...ys));
+
+  let offset = 10;
+  let endPoint = -1;
+  for (const contour of contours) {
+    endPoint += contour.length;
+    view.setUint16(offset, endPoint);
+    offset += 2;
+  }
+  view.setUint16(offset, 0); // instructionLength
+  offset += 2;
+  bytes.fill(0x01, offset, offset + points.length); // ON_CURVE_POINT, x/y — int16
+  offset += points.length;
+  for (const axis of [0, 1]) {
+    let previous = 0;
+    for (const point of points) {
+      view.setInt16(offset, point[axis] - previous);
+      previous = point[axis];
+      offset += 2;
+    }
+  }
+  return { bytes: padTo4(bytes), xMin: Math.min(...xs), points: points.length, contours: contours.length };
+}
+
+function readLocaOffsets(tables, numGlyphs) {
+  const loca = viewOf(tables.get('loca'));
+  const isLong = viewOf(tables.get('head')).getInt16(50) === 1;
+  const offsets = [];
+  for (let i = 0; i <= numGlyphs; i++) offsets.push(isLong ? loca.getUint32(i * 4) : loca.getUint16(i * 2) * 2);
+  return offsets;
+}
+
+function readHorizontalMetrics(tables, numGlyphs) {
+  const hmtx = viewOf(tables.get('hmtx'));
+  const numberOfHMetrics = viewOf(tables.get('hhea')).getUint16(34);
+  const metrics = [];
+  for (let i = 0; i < numGlyphs; i++) {
+    if (i < numberOfHMetrics) {
+      metrics.push([hmtx.getUint16(i * 4), hmtx.getInt16(i * 4 + 2)]);
+    } else {
+      const lsbOffset = numberOfHMetrics * 4 + (i - numberOfHMetrics) * 2;
+      metrics.push([metrics[numberOfHMetrics - 1][0], hmtx.getInt16(lsbOffset)]);
+    }
+  }
+  return metrics;
+}
+
+// post 2.0: дописываем индексы и имена новых глифов; 1.0 (только стандартные
+// имена) не расширить — переводим в 3.0 без имён
+function extendPostTable(post, numGlyphs, newNames) {
+  const view = viewOf(post);
+  const version = view.getUint32(0);
+  if (version !== 0x00020000) {
+    const header = post.slice(0, 32);
+    viewOf(header).setUint32(0, 0x00030000);
+    return header;
+  }
+
+  const indicesEnd = 34 + numGlyphs * 2;
+  let customNames = 0;
+  for (let offset = indicesEnd; offset < post.length; offset += post[offset] + 1) customNames += 1;
+
+  const header = post.slice(0, 34);
+  viewOf(header).setUint16(32, numGlyphs + newNames.length);
+  const newIndices = new Uint8Array(newNames.length * 2);
+  newNames.forEach((_, i) => viewOf(newIndices).setUint16(i * 2, 258 + customNames + i));
+  const newStrings = newNames.map((name) => Uint8Array.from([name.length, ...Array.from(name, (ch) => ch.charCodeAt(0))]));
+  return concatBytes([header, post.slice(34, indicesEnd), newIndices, post.slice(indicesEnd), ...newStrings]);
+}
+
+// Суффикс к именам семейства, чтобы цветной шрифт ставился рядом с исходным
+function renameFamily(name, familySuffix) {
+  const view = viewOf(name);
+  if (view.getUint16(0) !== 0) return name; // format 1 (language tags) не трогаем
+  const count = view.getUint16(2);
+  const stringOffset = view.getUint16(4);
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    const record = 6 + i * 12;
+    const platformId = view.getUint16(record);
+    const nameId = view.getUint16(record + 6);
+    const length = view.getUint16(record + 8);
+    const offset = view.getUint16(record + 10);
+    let bytes = name.slice(stringOffset + offset, stringOffset + offset + length);
+    if ([1, 3, 4, 6, 16].includes(nameId)) {
+      const suffix = nameId === 6 ? familySuffix.replace(/\s+/g, '-') : familySuffix;
+      const isUtf16 = platformId === 0 || platformId === 3;
+      const suffixBytes = isUtf16
+        ? Uint8Array.from(Array.from(suffix).flatMap((ch) => [ch.charCodeAt(0) >> 8, ch.charCodeAt(0) & 0xff]))
+        : Uint8Array.from(Array.from(suffix, (ch) => ch.charCodeAt(0)));
+      bytes = concatBytes([bytes, suffixBytes]);
+    }
+    records.push({ header: name.slice(record, record + 12), bytes });
+  }
+
+  const header = new Uint8Array(6 + count * 12);
+  const headerView = viewOf(header);
+  headerView.setUint16(2, count);
+  headerView.setUint16(4, header.length);
+  let offset = 0;
+  records.forEach(({ header: recordHeader, bytes }, i) => {
+    header.set(recordHeader, 6 + i * 12);
+    headerView.setUint16(6 + i * 12 + 8, bytes.length);
+    headerView.setUint16(6 + i * 12 + 10, offset);
+    offset += bytes.length;
+  });
+  return concatBytes([header, ...records.map(({ bytes }) => bytes)]);
+}
+
+function buildColrTable(baseRecords) {
+  const layerCount = baseRecords.reduce((sum, record) => sum + record.layers.length, 0);
+  const baseOffset = 14;
+  const layerOffset = baseOffset + baseRecords.length * 6;
+  const bytes = new Uint8Array(layerOffset + layerCount * 4);
+  const view = viewOf(bytes);
+  view.setUint16(0, 0);
+  view.setUint16(2, baseRecords.length);
+  view.setUint32(4, baseOffset);
+  view.setUint32(8, layerOffset);
+  view.setUint16(12, layerCount);
+
+  let layerIndex = 0;
+  baseRecords.forEach((record, i) => {
+    view.setUint16(baseOffset + i * 6, record.glyphId);
+    view.setUint16(baseOffset + i * 6 + 2, layerIndex);
+    view.setUint16(baseOffset + i * 6 + 4, record.layers.length);
+    for (const layer of record.layers) {
+      view.setUint16(layerOffset + layerIndex * 4, layer.glyphId);
+      view.setUint16(layerOffset + layerIndex * 4 + 2, layer.paletteIndex);
+      layerIndex += 1;
+    }
+  });
+  return bytes;
+}
+
+function buildCpalTable(palettes) {
+  const entries = palettes[0].length;
+  const recordsOffset = 12 + palettes.length * 2;
+  const bytes = new Uint8Array(recordsOffset + palettes.length * entries * 4);
+  const view = viewOf(bytes);
+  view.setUint16(0, 0);
+  view.setUint16(2, entries);
+  view.setUint16(4, palettes.length);
+  view.setUint16(6, palettes.length * entries);
+  view.setUint32(8, recordsOffset);
+  palettes.forEach((palette, p) => {
+    view.setUint16(12 + p * 2, p * entries);
+    palette.forEach((hex, e) => {
+      const value = parseInt(hex.slice(1), 16);
+      const record = recordsOffset + (p * entries + e) * 4;
+      bytes[record] = value & 0xff; // B
+      bytes[record + 1] = (value >> 8) & 0xff; // G
+      bytes[record + 2] = (value >> 16) & 0xff; // R
+      bytes[record + 3] = 0xff; // A
+    });
+  });
+  return bytes;
+}
+
+function writeSfnt(version, tables) {
+  const tags = Array.from(tables.keys()).sort();
+  const numTables = tags.length;
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange = 2 ** entrySelector * 16;
+  const header = new Uint8Array(12 + numTables * 16);
+  const view = viewOf(header);
+  view.setUint32(0, version);
+  view.setUint16(4, numTables);
+  view.setUint16(6, searchRange);
+  view.setUint16(8, entrySelector);
+  view.setUint16(10, numTables * 16 - searchRange);
+
+  const chunks = [header];
+  let offset = header.length;
+  tags.forEach((tag, i) => {
+    const bytes = tables.get(tag);
+    const record = 12 + i * 16;
+    for (let c = 0; c < 4; c++) header[record + c] = tag.charCodeAt(c);
+    view.setUint32(record + 4, tableChecksum(bytes));
+    view.setUint32(record + 8, offset);
+    view.setUint32(record + 12, bytes.length);
+    const padded = padTo4(bytes);
+    chunks.push(padded);
+    offset += padded.length;
+  });
+
+  const font = concatBytes(chunks);
+  const headOffset = view.getUint32(12 + tags.indexOf('head') * 16 + 8);
+  viewOf(font).setUint32(headOffset + 8, (0xb1b0afba - tableChecksum(font)) >>> 0);
+  return font;
+}
+
+/**
+ * Добавить в TrueType-шрифт глифы слоёв и таблицы COLR (v0) и CPAL (v0).
+ * Первый слой каждого цветного глифа — сам глиф цветом текста: места, не
+ * покрытые частями, не пропадают.
+ *
+ * @param {ArrayBuffer|Uint8Array} fontData — исходный шрифт
+ * @param {Map<number, Array<{ polygons: Array, paletteIndex: number }>>} colorGlyphs — из collectColorGlyphs
+ * @param {{ palettes?: string[][], familySuffix?: string }} [options]
+ * @returns {Uint8Array}
+ */
+export function buildColorFont(fontData, colorGlyphs, { palettes = buildColorPalettes(), familySuffix = ' Color' } = {}) {
+  const source = fontData instanceof Uint8Array ? fontData : new Uint8Array(fontData);
+  const { version, tables } = readTables(source);
+  const numGlyphs = viewOf(tables.get('maxp')).getUint16(4);
+  if (numGlyphs + colorGlyphs.size * 8 > 0xffff) throw new Error('Слишком много глифов для одного шрифта');
+
+  // Слои: одинаковые контуры (тот же компонент в разных кластерах) — один глиф
+  const newGlyphs = [];
+  const glyphIdByOutline = new Map();
+  const baseRecords = Array.from(colorGlyphs.keys()).sort((a, b) => a - b).map((glyphId) => {
+    const layers = [{ glyphId, paletteIndex: FOREGROUND_PALETTE_INDEX }];
+    for (const layer of colorGlyphs.get(glyphId)) {
+      const encoded = encodeSimpleGlyph(layer.polygons);
+      if (encoded.contours === 0) continue;
+      const key = Array.from(encoded.bytes).join(',');
+      if (!glyphIdByOutline.has(key)) {
+        glyphIdByOutline.set(key, numGlyphs + newGlyphs.length);
+        newGlyphs.push(encoded);
+      }
+      layers.push({ glyphId: glyphIdByOutline.get(key), paletteIndex: layer.paletteIndex });
+    }
+    return { glyphId, layers };
+  }).filter((record) => record.layers.length > 1);
+
+  const totalGlyphs = numGlyphs + newGlyphs.length;
+
+  // glyf + loca (длинный формат)
+  const oldOffsets = readLocaOffsets(tables, numGlyphs);
+  const oldGlyf = padTo4(tables.get('glyf').slice(0, oldOffsets[numGlyphs]));
+  const loca = new Uint8Array((totalGlyphs + 1) * 4);
+  oldOffsets.forEach((offset, i) => viewOf(loca).setUint32(i * 4, offset));
+  let glyfEnd = oldGlyf.length;
+  viewOf(loca).setUint32(numGlyphs * 4, glyfEnd);
+  newGlyphs.forEach((glyph, i) => {
+    glyfEnd += glyph.bytes.length;
+    viewOf(loca).setUint32((numGlyphs + i + 1) * 4, glyfEnd);
+  });
+  tables.set('glyf', concatBytes([oldGlyf, ...newGlyphs.map((glyph) => glyph.bytes)]));
+  tables.set('loca', loca);
+
+  const head = tables.get('head').slice();
+  viewOf(head).setInt16(50, 1);
+  viewOf(head).setUint32(8, 0);
+  tables.set('head', head);
+
+  // hmtx: все метрики длинные, у слоёв advance 0
+  const metrics = readHorizontalMetrics(tables, numGlyphs);
+  newGlyphs.forEach((glyph) => metrics.push([0, glyph.xMin]));
+  const hmtx = new Uint8Array(totalGlyphs * 4);
+  metrics.forEach(([advance, lsb], i) => {
+    viewOf(hmtx).setUint16(i * 4, advance);
+    viewOf(hmtx).setInt16(i * 4 + 2, lsb);
+  });
+  tables.set('hmtx', hmtx);
+  const hhea = tables.get('hhea').slice();
+  viewOf(hhea).setUint16(34, totalGlyphs);
+  tables.set('hhea', hhea);
+
+  const maxp = tables.get('maxp').slice();
+  viewOf(maxp).setUint16(4, totalGlyphs);
+  if (viewOf(maxp).getUint32(0) === 0x00010000) {
+    const maxPoints = Math.max(viewOf(maxp).getUint16(6), ...newGlyphs.map((glyph) => glyph.points));
+    const maxContours = Math.max(viewOf(maxp).getUint16(8), ...newGlyphs.map((glyph) => glyph.contours));
+    viewOf(maxp).setUint16(6, maxPoints);
+    viewOf(maxp).setUint16(8, maxContours);
+  }
+  tables.set('maxp', maxp);
+
+  if (tables.has('post')) {
+    tables.set('post', extendPostTable(tables.get('post'), numGlyphs, newGlyphs.map((_, i) => `colr.layer${i + 1}`)));
+  }
+  if (tables.has('name') && familySuffix) tables.set('name', renameFamily(tables.get('name'), familySuffix));
+  for (const tag of DROPPED_TABLES) tables.delete(tag);
+
+  tables.set('COLR', buildColrTable(baseRecords));
+  tables.set('CPAL', buildCpalTable(palettes));
+  return writeSfnt(version, tables);
+}
@@ -38,7 +38,8 @@ export function getSubscriptVowelRule(subscriptText, vowelChar) {
 export function getColorForCategory(category, char) {
   // 1. Согласные (Базовые и Подписные)
   if (category === 'base_consonant' || category === 'subscript_consonant') {
-    const series = getKhmerConsonantSeries(char);
+    // У подписной char начинается с coeng (្ក) — серию определяет согласная
+    const series = getKhmerConsonantSeries(category === 'subscript_consonant' ? Array.from(char || '').pop() : char);
 
     if (series === 'a_series') {
       // ПЕРВЫЙ ТИП (A-series)
@@ -99,7 +100,8 @@ export function getStrokeForCategory(category, char, options = {}) {
   if (isGreenModeMatch(category, greenMode)) return '#16a34a';
 
   if (category === 'base_consonant' || category === 'subscript_consonant') {
-    const series = getKhmerConsonantSeries(char);
+    // У подписной char начинается с coeng (្ក) — серию определяет согласная
+    const series = getKhmerConsonantSeries(category === 'subscript_consonant' ? Array.from(char || '').pop() : char);
     return series === 'a_series' ? '#ea580c' : '#7c3aed';
   }
 
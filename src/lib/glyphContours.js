@@ -0,0 +1,147 @@
+/**
+ * glyphContours.js
+ *
+ * Разбор контура глифа (SVG path из shapingCore) на отдельные замкнутые
+ * контуры: у каждого свой d, bbox и вложенность. Контур внутри нечётного
+ * числа других — дырка (counter буквы), parent — ближайший охватывающий.
+ *
+ *   splitGlyphContours(d) → [{ d, bb: { x1, y1, x2, y2 }, hole, parent }]
+ *   getContourPolygons(d)  → [[[x, y], …], …] — контуры ломаными (partOutlines.js)
+ *
+ * Пути от opentype.js и HarfBuzz абсолютные и состоят из M/L/Q/C/Z —
+ * другие команды здесь не встречаются.
+ */
+
+const TOKEN_RE = /[MLQCZ]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+// Сколько отрезков на кривую при построении bbox и многоугольника
+const CURVE_STEPS = 8;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function quadAt(p0, c, p, t) {
+  const u = 1 - t;
+  return [u * u * p0[0] + 2 * u * t * c[0] + t * t * p[0], u * u * p0[1] + 2 * u * t * c[1] + t * t * p[1]];
+}
+
+function cubicAt(p0, c1, c2, p, t) {
+  const u = 1 - t;
+  const a = u * u * u;
+  const b = 3 * u * u * t;
+  const c = 3 * u * t * t;
+  const e = t * t * t;
+  return [a * p0[0] + b * c1[0] + c * c2[0] + e * p[0], a * p0[1] + b * c1[1] + c * c2[1] + e * p[1]];
+}
+
+// Точки одного контура (кривые — ломаной)
+function flattenSubpath(d, curveSteps = CURVE_STEPS) {
+  const tokens = d.match(TOKEN_RE) || [];
+  const points = [];
+  let index = 0;
+  let command = null;
+  const next = () => [Number(tokens[index++]), Number(tokens[index++])];
+
+  while (index < tokens.length) {
+    if (/^[a-z]$/i.test(tokens[index])) command = tokens[index++].toUpperCase();
+    if (command === 'Z') continue;
+    const last = points[points.length - 1];
+    if (command === 'M' || command === 'L') {
+      points.push(next());
+    } else if (command === 'Q') {
+      const c = next();
+      const p = next();
+      for (let step = 1; step <= curveSteps; step++) points.push(quadAt(last, c, p, step / curveSteps));
+    } else if (command === 'C') {
+      const c1 = next();
+      const c2 = next();
+      const p = next();
+      for (let step = 1; step <= curveSteps; step++) points.push(cubicAt(last, c1, c2, p, step / curveSteps));
+    } else {
+      break;
+    }
+  }
+  return points;
+}
+
+function getPointsBBox(points) {
+  const xs = points.map((p) => p[0]);
+  const ys = points.map((p) => p[1]);
+  return { x1: round(Math.min(...xs)), y1: round(Math.min(...ys)), x2: round(Math.max(...xs)), y2: round(Math.max(...ys)) };
+}
+
+function getPolygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(area) / 2;
+}
+
+function isPointInPolygon([x, y], polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function isBBoxInside(inner, outer) {
+  return inner.x1 >= outer.x1 && inner.y1 >= outer.y1 && inner.x2 <= outer.x2 && inner.y2 <= outer.y2;
+}
+
+function getSubpaths(d) {
+  return (d || '').match(/M[^M]*/gi) || [];
+}
+
+/**
+ * @param {string} d — SVG path глифа
+ * @param {number} [curveSteps] — отрезков на кривую
+ * @returns {Array<Array<[number, number]>>} по многоугольнику на контур
+ */
+export function getContourPolygons(d, curveSteps = CURVE_STEPS) {
+  return getSubpaths(d)
+    .map((subpath) => flattenSubpath(subpath, curveSteps))
+    .filter((points) => points.length > 0);
+}
+
+/**
+ * @param {string} d — SVG path глифа
+ * @returns {Array<{ d: string, bb: object, hole: boolean, parent: number|null }>}
+ */
+export function splitGlyphContours(d) {
+  const subpaths = getSubpaths(d);
+  const contours = subpaths
+    .map((subpath) => {
+      const points = flattenSubpath(subpath);
+      return { d: subpath.trim(), points };
+    })
+    .filter((contour) => contour.points.length > 0)
+    .map((contour) => ({ ...contour, bb: getPointsBBox(contour.points), area: getPolygonArea(contour.points) }));
+
+  return contours.map((contour, index) => {
+    // Охватывающие контуры: bbox внутри и первая точка внутри многоугольника
+    const containers = contours
+      .map((other, otherIndex) => ({ other, otherIndex }))
+      .filter(({ other, otherIndex }) => (
+        otherIndex !== index
+        && other.area > contour.area
+        && isBBoxInside(contour.bb, other.bb)
+        && isPointInPolygon(contour.points[0], other.points)
+      ));
+    const parent = containers.reduce(
+      (best, candidate) => (!best || candidate.other.area < best.other.area ? candidate : best),
+      null
+    );
+    return {
+      d: contour.d,
+      bb: contour.bb,
+      hole: containers.length % 2 === 1,
+      parent: parent ? parent.otherIndex : null,
+    };
+  });
+}
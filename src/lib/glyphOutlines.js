@@ -0,0 +1,84 @@
+/**
+ * glyphOutlines.js
+ *
+ * Компактный формат ответа шейпинга (outlines=dict): контур каждого глифа
+ * передаётся один раз в словаре, компоненты ссылаются на него по hbGlyphId.
+ *
+ *   { glyphs: [...без d у компонентов и кластеров...],
+ *     outlines: { [fontId]: { [glyphId]: { d, bb, contours? } } } }
+ *
+ * Словарь разбит по шрифтам: fallback-кластеры рисуются другим шрифтом,
+ * и один и тот же glyphId там означает другой глиф. Контуры уже приведены
+ * к unitsPerEm основного шрифта (как d/bb в полном формате). Отдельные
+ * контуры (contours=1) тоже уезжают в словарь.
+ */
+
+/**
+ * Полный формат → компактный.
+ *
+ * @param {Array} glyphs — глифы в формате /api/shape
+ * @returns {{ glyphs: Array, outlines: object }}
+ */
+export function compactGlyphOutlines(glyphs) {
+  const outlines = {};
+  const compactGlyphs = (glyphs || []).map((glyph) => {
+    const fontId = glyph.fontInfo?.fontId ?? '';
+    const fontOutlines = outlines[fontId] || (outlines[fontId] = {});
+    const components = (glyph.components || []).map(({ d, bb, contours, ...component }) => {
+      if (!fontOutlines[component.hbGlyphId]) fontOutlines[component.hbGlyphId] = { d, bb, ...(contours && { contours }) };
+      return component;
+    });
+    const { d, ...rest } = glyph;
+    return { ...rest, components };
+  });
+  return { glyphs: compactGlyphs, outlines };
+}
+
+/**
+ * Компактный формат → полный: d/bb компонентов и d кластера из словаря.
+ * Массив глифов полного формата возвращается как есть.
+ *
+ * @param {Array|{ glyphs: Array, outlines: object }} payload
+ * @returns {Array}
+ */
+export function expandGlyphOutlines(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (!payload?.outlines) return payload?.glyphs || [];
+
+  return (payload.glyphs || []).map((glyph) => {
+    const fontOutlines = payload.outlines[glyph.fontInfo?.fontId ?? ''] || {};
+    const components = (glyph.components || []).map((component) => {
+      const outline = fontOutlines[component.hbGlyphId];
+      if (!outline) return component;
+      return { ...component, d: outline.d, bb: outline.bb, ...(outline.contours && { contours: outline.contours }) };
+    });
+    return { ...glyph, components, d: glyph.d ?? components[0]?.d ?? '' };
+  });
+}
+
+/**
+ * LRU-кэш контуров. Map хранит порядок вставки: при попадании запись
+ * переставляется в конец, при переполнении удаляется самая старая.
+ * Сервер держит по кэшу на шрифт, поэтому ключ — только "variationsKey:glyphId".
+ *
+ * @param {number} maxSize — максимум записей
+ * @returns {{ get: (key: string, build: () => object) => object, keys: () => string[] }}
+ */
+export function createOutlineCache(maxSize) {
+  const entries = new Map();
+  return {
+    get(key, build) {
+      if (entries.has(key)) {
+        const cached = entries.get(key);
+        entries.delete(key);
+        entries.set(key, cached);
+        return cached;
+      }
+      const outline = build();
+      entries.set(key, outline);
+      if (entries.size > maxSize) entries.delete(entries.keys().next().value);
+      return outline;
+    },
+    keys: () => [...entries.keys()],
+  };
+}
@@ -4,7 +4,8 @@ import {
   shouldSplitBaseForDependentVowel,
   getSubscriptVowelRule
 } from './glyphCombinationRules.js';
-import { getConsonantBodyRect, getRawMetrics, getVowelMetrics } from './khmerConsonantMetrics.js';
+import { getConsonantBodyRect, getRawMetrics, getSubscriptMetrics, getVowelMetrics } from './khmerConsonantMetrics.js';
+import { expandGlyphOutlines } from './glyphOutlines.js';
 
 
 const ENABLE_NARROW_STACKED_MODE = true;
@@ -525,32 +526,46 @@ function createFullGlyphPart(glyph) {
   };
 }
 
-function getComponentBasedParts(glyph, units, enableSegmentation) {
-  console.log('[MAPPER] Processing glyph:', glyph.id, 'chars:', glyph.chars);
-  console.log('[MAPPER] Components count:', glyph.components?.length);
-  console.log('[MAPPER] Components have bb?', glyph.components?.map((c) => ({
-    id: c.hbGlyphId,
-    hasBB: !!c.bb,
-    bb: c.bb,
-  })));
+// ─── Decision trace ─────────────────────────────────────────────────────────
+// Explains why a glyph got its split. Steps are the rules checked, in order:
+// { rule, matched, inputs, reason } — inputs are the values the condition
+// looked at, reason says what the rule means. `rule` is the rule that built
+// the parts; a step can match and still fall through (e.g. no bbox to cut).
 
-  const uniqueGlyphIds = new Set((glyph.components || []).map((c) => c.hbGlyphId));
+function createDecisionTrace() {
+  return {
+    rule: null,
+    steps: [],
+    check(rule, matched, inputs, reason) {
+      this.steps.push({ rule, matched: Boolean(matched), inputs, reason });
+      return Boolean(matched);
+    },
+    done(rule, parts) {
+      this.rule = rule;
+      return parts;
+    },
+  };
+}
 
-  console.log(
-    '[MAPPER] Unique IDs:',
-    uniqueGlyphIds.size,
-    'Should fallback?',
-    uniqueGlyphIds.size === 1 && glyph.chars.length > 1 && glyph.components.length === 1
-  );
+function getComponentBasedParts(glyph, units, enableSegmentation, trace) {
+  const uniqueGlyphIds = new Set((glyph.components || []).map((c) => c.hbGlyphId));
 
   const shouldUseGeometryFallback =
     uniqueGlyphIds.size === 1 &&
     glyph.chars.length > 1 &&
     glyph.components.length === 1;
 
-  if (shouldUseGeometryFallback) {
-    console.log('[MAPPER] → Using geometry fallback');
-    if (!enableSegmentation) return [createFullGlyphPart(glyph)];
+  const fallbackInputs = {
+    components: glyph.components.map((c) => ({ hbGlyphId: c.hbGlyphId, bb: c.bb ?? null })),
+    uniqueGlyphIds: uniqueGlyphIds.size,
+    chars: glyph.chars.length,
+  };
+  if (trace.check('geometry_fallback', shouldUseGeometryFallback, fallbackInputs,
+    'one component covers several chars: nothing to assign per component, split by geometry')) {
+    if (!trace.check('segmentation_enabled', enableSegmentation, { enableSegmentation },
+      'geometric segmentation is switched off')) {
+      return trace.done('full_glyph', [createFullGlyphPart(glyph)]);
+    }
 
     // If this glyph starts with coeng and contains NO dependent vowel,
     // it's a pure subscript form (e.g. ្ញ in ញ្ញុំ). Skip createClipPathParts
@@ -563,13 +578,13 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
       const cp = ch?.codePointAt(0);
       return cp >= 0x17B6 && cp <= 0x17C8;
     });
-    if (glyphHasCoeng && !glyphHasVowel) {
-      console.log('[MAPPER] → Pure subscript glyph (coeng, no vowel) → full unclipped part');
+    if (trace.check('pure_subscript_glyph', glyphHasCoeng && !glyphHasVowel, { glyphHasCoeng, glyphHasVowel },
+      'coeng without a dependent vowel: the glyph is a subscript form, keep it unclipped')) {
       const subUnit = (units || []).find((u) =>
         (u.codePoints || []).some((cp) => (glyph.codePoints || []).includes(cp)) &&
         u.category === 'subscript_consonant'
       ) || null;
-      return [{
+      return trace.done('pure_subscript_glyph', [{
         partId: `${glyph.id}-subscript-full`,
         component: glyph.components?.[0] || null,
         char: subUnit?.text || glyphChars.filter(ch => ch !== COENG).join('') || '',
@@ -579,7 +594,7 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
         hbGlyphId: glyph.components?.[0]?.hbGlyphId,
         clipRect: null,
         pathData: glyph.d,
-      }];
+      }]);
     }
 
     // Coeng + subscript + RIGHT vowel (e.g. ្+ស+ា in ក្សា):
@@ -590,8 +605,9 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
       .map(ch => ch?.codePointAt(0))
       .find(cp => RIGHT_VOWELS.has(cp)) ?? null;
 
-    if (glyphHasCoeng && glyphVowelCp != null && glyph.components?.[0]?.bb) {
-      console.log('[MAPPER] → Geometry fallback: coeng+subscript+vowel → manual narrow split');
+    const isCoengVowelFallback = glyphHasCoeng && glyphVowelCp != null && Boolean(glyph.components?.[0]?.bb);
+    if (trace.check('coeng_vowel_narrow_split', isCoengVowelFallback, { glyphHasCoeng, vowelCp: glyphVowelCp },
+      'coeng + subscript + right vowel in one glyph: narrow subscript-aware vowel tail')) {
       const comp = glyph.components[0];
       const bb = comp.bb;
       const bbW = Math.max(0, (bb.x2 || 0) - (bb.x1 || 0));
@@ -651,7 +667,7 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
       }
 
       if (fallbackParts.length > 0) {
-        return normalizeAndFilterParts(fallbackParts);
+        return trace.done('coeng_vowel_narrow_split', normalizeAndFilterParts(fallbackParts));
       }
     }
 
@@ -659,7 +675,7 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
       ...part,
       partId: `${glyph.id}-${idx}`,
     }));
-    return normalizeAndFilterParts(geoParts);
+    return trace.done('geometry_clip_parts', normalizeAndFilterParts(geoParts));
   }
 
   const glyphCps = new Set(glyph.codePoints || []);
@@ -675,8 +691,6 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
     return codePointHit && isInCluster;
   });
 
-  console.log('[MAPPER] Relevant units:', relevantUnits.map((u) => ({ text: u.text, category: u.category })));
-
   let charMeta = relevantUnits.map((unit, unitIdx) => ({
     char: unit.text,
     unitIdx,
@@ -684,8 +698,6 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
     category: unit.category,
   }));
 
-  console.log('[MAPPER] Char meta from units:', charMeta);
-
   // Normalize: U+17D2 is the only real coeng mark. Any unit tagged 'coeng'
   // whose codepoint is NOT U+17D2 is a consonant in subscript role — fix on
   // the unit object itself so clusterHasSubscript and all downstream checks work.
@@ -732,8 +744,9 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
 
   // Fallback: if no units matched this glyph, render it as a single full part
   // to avoid returning 0 parts (fixes e.g. isolated vowel glyphs in ក្សោ)
-  if (charMeta.length === 0) {
-    return [createFullGlyphPart(glyph)];
+  const unitInputs = { units: charMeta.map((m) => `${m.char}:${m.category}`) };
+  if (trace.check('no_units', charMeta.length === 0, unitInputs, 'no edu unit of the text falls into this glyph')) {
+    return trace.done('full_glyph', [createFullGlyphPart(glyph)]);
   }
 
   // Determine if the whole cluster contains a subscript consonant
@@ -747,7 +760,8 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
   const clusterHasBase =
     charMeta.some((m) => m.category === 'base_consonant' || m.category === 'independent_vowel');
 
-  if (!clusterHasBase && charMeta.length > 0) {
+  if (trace.check('no_base_direct', !clusterHasBase, unitInputs,
+    'no base consonant in the glyph: each component goes to a mark unit directly')) {
     const directParts = (glyph.components || []).map((comp, idx) => {
       const meta = charMeta.find((m) =>
         m.category === 'subscript_consonant' ||
@@ -770,7 +784,7 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
       return part;
     });
 
-    return normalizeAndFilterParts(directParts);
+    return trace.done('no_base_direct', normalizeAndFilterParts(directParts));
   }
 
   if (ENABLE_NARROW_STACKED_MODE) {
@@ -818,15 +832,23 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
       LOWER_DEP_VOWELS.has(depCp) &&
       isMergedShape;
 
-    if (isNarrowStackedCase) {
+    const stackedInputs = {
+      clusterText,
+      inWhitelist,
+      inBlacklist,
+      hasBase,
+      hasCoeng,
+      hasSub,
+      hasTopMark,
+      dependentVowelCp: depCp,
+      isMergedShape,
+      areaRatio: biggestArea / Math.max(1, secondArea),
+    };
+    if (trace.check('narrow_stacked', isNarrowStackedCase, stackedInputs,
+      'whitelisted base + coeng + subscript + lower vowel + top mark merged into one large component')) {
       const stackedParts = buildStackedClusterParts(glyph, charMeta);
       if (stackedParts?.length) {
-        console.log(
-          '[MAPPER] ✅ USING NARROW STACKED MODE:',
-          charMeta.map((m) => `${m.char}:${m.category}`).join(' | '),
-          { clusterText, biggestArea, secondArea, ratio: biggestArea / Math.max(1, secondArea) }
-        );
-        return normalizeAndFilterParts(stackedParts);
+        return trace.done('narrow_stacked', normalizeAndFilterParts(stackedParts));
       }
     }
   }
@@ -838,10 +860,16 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
       ? getSubscriptVowelRule(subscriptMeta.char, vowelMeta.char)
       : null;
 
-  if (comboRule) {
-    console.log('[MAPPER] ✨ COMBO RULE DETECTED:', comboRule.description);
+  trace.check('combo_rule', Boolean(comboRule), {
+    subscript: subscriptMeta?.char ?? null,
+    vowel: vowelMeta?.char ?? null,
+    rule: comboRule?.description ?? null,
+  }, 'subscript + vowel pair listed in SUBSCRIPT_VOWEL_COMBINATIONS');
 
-    if (comboRule.splitMode === 'three-way' && glyph.components.length >= 2) {
+  if (comboRule) {
+    const isThreeWay = comboRule.splitMode === 'three-way' && glyph.components.length >= 2;
+    if (trace.check('combo_three_way', isThreeWay, { splitMode: comboRule.splitMode, components: glyph.components.length },
+      'three-way combo rule: base component, subscript components, vowel tail cut from the base')) {
       const comboBaseCP = charMeta.find(
         (item) => item.category === 'base_consonant' || item.category === 'independent_vowel'
       )?.char?.codePointAt(0) ?? null;
@@ -918,8 +946,7 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
         });
       }
 
-      console.log('[MAPPER] Created', parts.length, 'parts with combo rule');
-      return normalizeAndFilterParts(parts);
+      return trace.done('combo_three_way', normalizeAndFilterParts(parts));
     }
   }
 
@@ -947,7 +974,12 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
     (item) => item.category === 'base_consonant' || item.category === 'independent_vowel'
   );
 
-  if (hasBase && leftVowelMeta && rightVowelMeta && baseMeta && mainCharMeta.length === 3) {
+  const isCompoundVowel = Boolean(hasBase && leftVowelMeta && rightVowelMeta && baseMeta && mainCharMeta.length === 3);
+  if (trace.check('compound_left_right_vowel', isCompoundVowel, {
+    leftVowel: leftVowelMeta?.char ?? null,
+    rightVowel: rightVowelMeta?.char ?? null,
+    mainUnits: mainCharMeta.length,
+  }, 'base + separate LEFT and RIGHT vowel units (e.g. េ + ា)')) {
     const ligBaseCP = baseMeta.char?.codePointAt(0) ?? null;
     const baseComponent = pickBaseComponent(glyph.components, ligBaseCP, charMeta);
     if (baseComponent?.bb) {
@@ -1025,8 +1057,7 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
         });
       });
 
-      console.log('[MAPPER] ✅ COMPOUND LEFT+RIGHT vowel split:', compoundParts.length, 'parts');
-      return normalizeAndFilterParts(compoundParts);
+      return trace.done('compound_left_right_vowel', normalizeAndFilterParts(compoundParts));
     }
   }
 
@@ -1041,6 +1072,13 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
 
   let parts = [];
 
+  trace.check('area_mapping', useAreaMapping, {
+    hasBase,
+    hasDependent,
+    components: glyph.components.length,
+    mainUnits: mainCharMeta.length,
+  }, 'base + one dependent vowel over 2–6 components: components picked by area');
+
   if (useAreaMapping && baseMeta && dependentMeta) {
     const ligBaseCP = baseMeta?.char?.codePointAt(0) ?? null;
     const baseComponent = pickBaseComponent(glyph.components, ligBaseCP, charMeta);
@@ -1064,12 +1102,13 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
 
     const hasBaseBB = !!baseComponent?.bb;
 
-    if (forceSplit && hasBaseBB) {
-      console.log(
-        '[MAPPER] ✅ USING SPLIT LOGIC (AA ligature or other):',
-        dependentMeta.char
-      );
-
+    if (trace.check('area_split', forceSplit && hasBaseBB, {
+      vowel: dependentMeta.char,
+      splitBaseVowel: shouldSplitBaseForDependentVowel(dependentMeta?.char),
+      isAALigature,
+      isDependentEmpty,
+      hasBaseBB,
+    }, 'vowel fused into the base component (ា ligature, split vowel or LEFT vowel): cut the base')) {
       const bb = baseComponent.bb;
       const bbWidth = Math.max(0, (bb.x2 || 0) - (bb.x1 || 0));
       const bbHeight = Math.max(0, (bb.y2 || 0) - (bb.y1 || 0));
@@ -1244,8 +1283,7 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
         });
       });
 
-      console.log('[MAPPER] Created split parts:', parts.length);
-      return normalizeAndFilterParts(parts);
+      return trace.done('area_split', normalizeAndFilterParts(parts));
     }
   }
 
@@ -1267,7 +1305,14 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
     dependentCpForCoeng != null &&
     [0x17B6, 0x17C4, 0x17C5].includes(dependentCpForCoeng);
 
-  if (isRightSplitVowelCase) {
+  const coengInputs = {
+    base: baseMetaForCoeng?.char ?? null,
+    coeng: Boolean(coengMeta),
+    subscript: subscriptMetaForCoeng?.char ?? null,
+    vowelCp: dependentCpForCoeng,
+  };
+  if (trace.check('coeng_right_vowel_split', isRightSplitVowelCase, coengInputs,
+    'base + coeng + subscript + right vowel (ា ោ ៅ): vowel tail cut from the base')) {
     const baseCP = baseMetaForCoeng.char?.codePointAt(0) ?? null;
     const baseComponent = pickBaseForCoengRightSplit(glyph.components, baseCP);
 
@@ -1456,7 +1501,7 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
         });
       });
 
-      return normalizeAndFilterParts(structuredParts);
+      return trace.done('coeng_right_vowel_split', normalizeAndFilterParts(structuredParts));
     }
   }
 
@@ -1470,7 +1515,8 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
     getVowelZones(dependentCpForCoeng).includes('LEFT') &&
     !getVowelZones(dependentCpForCoeng).includes('RIGHT');
 
-  if (isLeftSplitVowelCase) {
+  if (trace.check('coeng_left_vowel_split', isLeftSplitVowelCase, coengInputs,
+    'base + coeng + subscript + LEFT vowel: vowel from the leftmost non-base component')) {
     const baseCP = baseMetaForCoeng.char?.codePointAt(0) ?? null;
     const baseComponent = pickBaseForCoengRightSplit(glyph.components, baseCP);
 
@@ -1608,13 +1654,10 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
           });
         });
 
-      console.log('[MAPPER] isLeftSplitVowelCase → parts:', structuredParts.length);
-      return normalizeAndFilterParts(structuredParts);
+      return trace.done('coeng_left_vowel_split', normalizeAndFilterParts(structuredParts));
     }
   }
 
-  console.log('[MAPPER] → Using simple mapping (no split)');
-
   const metaBaseCP =
     charMeta.find(m => m.category === 'base_consonant' || m.category === 'independent_vowel')
       ?.char?.codePointAt(0) ?? null;
@@ -1645,7 +1688,8 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
       component = pickComponentForCategory(glyph, category, unitIdx, charMeta, allocator);
     }
 
-    if (useAreaMapping && isComplexVowel) {
+    if (isComplexVowel && trace.check('complex_vowel_components', useAreaMapping, { vowel: char },
+      'split vowel under area mapping: every non-largest component becomes a vowel part')) {
       const dependentComponents = glyph.components.filter((c) => {
         const componentsByArea = [...glyph.components].sort((a, b) =>
           getComponentArea(b) - getComponentArea(a)
@@ -1653,14 +1697,6 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
         return c !== componentsByArea[0];
       });
 
-      console.log(
-        '[MAPPER] Complex vowel detected:',
-        char,
-        '- creating',
-        dependentComponents.length,
-        'parts'
-      );
-
       dependentComponents.forEach((comp, idx) => {
         parts.push({
           partId: `${glyph.id}-${unitIdx}-dep${idx}`,
@@ -1689,16 +1725,283 @@ function getComponentBasedParts(glyph, units, enableSegmentation) {
     }
   }
 
-  return normalizeAndFilterParts(parts);
+  return trace.done('simple_mapping', normalizeAndFilterParts(parts));
 }
 
-function mapSingleGlyphToParts(glyph, units, enableSegmentation) {
+// ─── Contour strategy (segmentation: 'contours') ───────────────────────────
+// Whole contours (shaped with contours=1) are assigned to edu units instead of
+// cutting the outline with rectangles. The base consonant is found first (its
+// isolated glyph id, or the contour closest in size to the isolated glyph from
+// /api/metrics); its body rect then defines TOP/BOTTOM/LEFT/RIGHT zones, and
+// every other contour goes to the unit claiming the zone it overlaps most.
+// Only a contour that must also serve a unit left without contours of its own
+// — a single contour spanning several units — is split by rectangles.
+
+function getUnitZoneNames(unit) {
+  const cat = unit.category;
+  if (cat === 'base_consonant' || cat === 'independent_vowel') return ['BASE'];
+  if (cat === 'subscript_consonant' || cat === 'coeng') return ['BOTTOM'];
+  if (cat === 'dependent_vowel' || cat === 'diacritic_sign' || cat === 'diacritic') {
+    return getVowelZones(unit.codePoints?.[0]);
+  }
+  return [];
+}
+
+// Isolated glyph of the base from /api/metrics: { glyphId, bb } or null
+function getIsolatedBaseMetrics(baseUnit) {
+  const metrics = getRawMetrics();
+  const cp = baseUnit.codePoints?.[0];
+  return metrics?.consonants?.[cp] || metrics?.indepVowels?.[cp] || null;
+}
+
+// Metrics bbox a unit's contour is expected to resemble (size only),
+// measured under the cluster's own base when the pair matrices are loaded
+function getUnitMetricsBBox(unit, baseCP) {
+  const metrics = getRawMetrics();
+  if (!metrics) return null;
+  const cp = unit.codePoints?.[0];
+  if (unit.category === 'subscript_consonant') return getSubscriptMetrics(unit.codePoints?.[1], baseCP)?.bb ?? null;
+  if (unit.category === 'dependent_vowel') return getVowelMetrics(cp, baseCP)?.bb ?? null;
+  return metrics.diacritics?.[cp]?.bb ?? null;
+}
+
+function getSizeDistance(rect, bb) {
+  if (!bb) return Infinity;
+  const w = Math.max(1, bb.x2 - bb.x1);
+  const h = Math.max(1, bb.y2 - bb.y1);
+  return Math.abs(Math.log(Math.max(1, rect.width) / w)) + Math.abs(Math.log(Math.max(1, rect.height) / h));
+}
+
+function bboxToRect(bb) {
+  return { x: bb.x1, y: bb.y1, width: Math.max(0, bb.x2 - bb.x1), height: Math.max(0, bb.y2 - bb.y1) };
+}
+
+function offsetRect(rect, dx, dy) {
+  return { x: rect.x + dx, y: rect.y + dy, width: rect.width, height: rect.height };
+}
+
+function getRectsUnion(rects) {
+  const x1 = Math.min(...rects.map((r) => r.x));
+  const y1 = Math.min(...rects.map((r) => r.y));
+  const x2 = Math.max(...rects.map((r) => r.x + r.width));
+  const y2 = Math.max(...rects.map((r) => r.y + r.height));
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+function intersectRects(a, b) {
+  const x1 = Math.max(a.x, b.x);
+  const y1 = Math.max(a.y, b.y);
+  const x2 = Math.min(a.x + a.width, b.x + b.width);
+  const y2 = Math.min(a.y + a.height, b.y + b.height);
+  if (x2 <= x1 || y2 <= y1) return null;
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+function getOverlapArea(a, b) {
+  const hit = intersectRects(a, b);
+  return hit ? hit.width * hit.height : 0;
+}
+
+// Outer contours with their holes; rect is in cluster coordinates
+function collectContourPieces(glyph) {
+  const pieces = [];
+  (glyph.components || []).forEach((component) => {
+    const contours = component.contours || [];
+    const dx = (component.x || 0) - (glyph.x || 0);
+    const dy = component.y || 0;
+    contours.forEach((contour, index) => {
+      if (contour.hole) return;
+      const holes = contours.filter((other) => other.hole && other.parent === index);
+      pieces.push({
+        component,
+        d: [contour, ...holes].map((c) => c.d).join(' '),
+        localRect: bboxToRect(contour.bb),
+        rect: offsetRect(bboxToRect(contour.bb), dx, dy),
+        dx,
+        dy,
+      });
+    });
+  });
+  return pieces;
+}
+
+// Base pieces: the isolated base glyph if present, else the contour of the closest size
+function pickBasePieces(pieces, baseUnit) {
+  const isolated = getIsolatedBaseMetrics(baseUnit);
+  if (isolated?.glyphId != null) {
+    const byGlyph = pieces.filter((piece) => piece.component.hbGlyphId === isolated.glyphId);
+    if (byGlyph.length) return byGlyph;
+  }
+  const area = (piece) => piece.rect.width * piece.rect.height;
+  const best = [...pieces].sort((a, b) => (
+    getSizeDistance(a.rect, isolated?.bb) - getSizeDistance(b.rect, isolated?.bb) || area(b) - area(a)
+  ))[0];
+  return [best];
+}
+
+function getContourZones(clusterRect, body) {
+  const cx2 = clusterRect.x + clusterRect.width;
+  const cy2 = clusterRect.y + clusterRect.height;
+  const bx2 = body.x + body.width;
+  const by2 = body.y + body.height;
+  return {
+    BASE: body,
+    TOP: { x: clusterRect.x, y: clusterRect.y, width: clusterRect.width, height: Math.max(0, body.y - clusterRect.y) },
+    BOTTOM: { x: clusterRect.x, y: by2, width: clusterRect.width, height: Math.max(0, cy2 - by2) },
+    LEFT: { x: clusterRect.x, y: clusterRect.y, width: Math.max(0, body.x - clusterRect.x), height: clusterRect.height },
+    RIGHT: { x: bx2, y: clusterRect.y, width: Math.max(0, cx2 - bx2), height: clusterRect.height },
+  };
+}
+
+// Best zone (of zoneNames) for a piece: largest overlap, nearest centre if none overlaps
+function pickZoneForPiece(piece, zones, zoneNames) {
+  let best = null;
+  for (const zoneName of zoneNames) {
+    const overlap = getOverlapArea(piece.rect, zones[zoneName]);
+    if (overlap > 0 && (!best || overlap > best.overlap)) best = { zoneName, overlap };
+  }
+  if (best) return best.zoneName;
+
+  const center = (r) => [r.x + r.width / 2, r.y + r.height / 2];
+  const [px, py] = center(piece.rect);
+  return [...zoneNames].sort((a, b) => {
+    const [ax, ay] = center(zones[a]);
+    const [bx, by] = center(zones[b]);
+    return Math.hypot(ax - px, ay - py) - Math.hypot(bx - px, by - py);
+  })[0];
+}
+
+function getContourBasedParts(glyph, units, trace) {
+  const reject = (inputs, reason) => {
+    trace.check('contours', false, inputs, reason);
+    return null;
+  };
+  if (!(glyph.components || []).some((c) => Array.isArray(c.contours))) {
+    return reject({ hasContours: false }, 'no contours in the glyph (shape with contours=1)');
+  }
+
+  const relevantUnits = (units || []).filter((u) => {
+    const hasRange = Number.isInteger(u.sourceStart) && Number.isInteger(glyph.clusterStart);
+    if (hasRange) return u.sourceStart < glyph.clusterEnd && u.sourceEnd > glyph.clusterStart;
+    return (u.codePoints || []).some((cp) => (glyph.codePoints || []).includes(cp));
+  });
+  const unitInputs = { units: relevantUnits.map((u) => `${u.text}:${u.category}`) };
+  if (relevantUnits.length < 2 || relevantUnits.some((u) => getUnitZoneNames(u).length === 0)) {
+    return reject(unitInputs, 'fewer than two units, or a unit without a zone');
+  }
+  const baseIdx = relevantUnits.findIndex((u) => u.category === 'base_consonant' || u.category === 'independent_vowel');
+  if (baseIdx < 0) return reject(unitInputs, 'no base consonant to anchor the zones');
+
+  const pieces = collectContourPieces(glyph);
+  if (pieces.length === 0) return reject(unitInputs, 'the glyph has no outer contours');
+
+  // Body of the base: left edge of its contour, height and width of the isolated glyph
+  const baseCP = relevantUnits[baseIdx].codePoints?.[0] ?? null;
+  const basePieces = pickBasePieces(pieces, relevantUnits[baseIdx]);
+  const baseRect = getRectsUnion(basePieces.map((piece) => piece.rect));
+  const bodyBB = getConsonantBodyRect(
+    { x1: baseRect.x, y1: baseRect.y, x2: baseRect.x + baseRect.width, y2: baseRect.y + baseRect.height },
+    baseCP
+  );
+  const body = { x: bodyBB.bodyX1, y: bodyBB.bodyY1, width: bodyBB.bodyX2 - bodyBB.bodyX1, height: bodyBB.bodyY2 - bodyBB.bodyY1 };
+  const zones = getContourZones(getRectsUnion(pieces.map((piece) => piece.rect)), body);
+
+  const unitZoneNames = relevantUnits.map(getUnitZoneNames);
+  const claimedZones = Array.from(new Set(unitZoneNames.flat()));
+
+  for (const piece of pieces) {
+    if (basePieces.includes(piece)) {
+      piece.unitIdx = baseIdx;
+      piece.zoneName = 'BASE';
+      continue;
+    }
+    piece.zoneName = pickZoneForPiece(piece, zones, claimedZones);
+    const candidates = relevantUnits
+      .map((unit, unitIdx) => ({ unit, unitIdx }))
+      .filter(({ unitIdx }) => unitZoneNames[unitIdx].includes(piece.zoneName));
+    // Several units in one zone (្ញ and ុ below the base): free units first, then by metrics size
+    const isFree = ({ unitIdx }) => !pieces.some((other) => other.unitIdx === unitIdx);
+    candidates.sort((a, b) => (
+      Number(isFree(b)) - Number(isFree(a))
+      || getSizeDistance(piece.rect, getUnitMetricsBBox(a.unit, baseCP)) - getSizeDistance(piece.rect, getUnitMetricsBBox(b.unit, baseCP))
+    ));
+    piece.unitIdx = candidates[0].unitIdx;
+  }
+
+  // Units left without a contour share the contour covering their zone
+  for (let unitIdx = 0; unitIdx < relevantUnits.length; unitIdx++) {
+    if (pieces.some((piece) => piece.unitIdx === unitIdx)) continue;
+    let best = null;
+    for (const zoneName of unitZoneNames[unitIdx]) {
+      for (const piece of pieces) {
+        const overlap = getOverlapArea(piece.rect, zones[zoneName]);
+        if (overlap > 0 && (!best || overlap > best.overlap)) best = { piece, zoneName, overlap };
+      }
+    }
+    if (!best) return reject({ ...unitInputs, unit: relevantUnits[unitIdx].text }, 'a unit without contours overlaps none of its zones');
+    best.piece.sharedWith = [...(best.piece.sharedWith || []), { unitIdx, zoneName: best.zoneName }];
+  }
+
+  const parts = [];
+  relevantUnits.forEach((unit, unitIdx) => {
+    const owned = pieces.filter((piece) => piece.unitIdx === unitIdx && !piece.sharedWith);
+    for (const component of new Set(owned.map((piece) => piece.component))) {
+      const componentPieces = owned.filter((piece) => piece.component === component);
+      parts.push({
+        partId: `${glyph.id}-contour-${unitIdx}-${component.clusterIndex ?? parts.length}`,
+        component,
+        char: unit.text,
+        category: unit.category,
+        color: getColorForCategory(unit.category, unit.text),
+        zone: componentPieces[0].zoneName,
+        hbGlyphId: component.hbGlyphId,
+        pathData: componentPieces.map((piece) => piece.d).join(' '),
+      });
+    }
+  });
+
+  // Spanning contours: rectangles, each unit clipped to its own zone
+  pieces.filter((piece) => piece.sharedWith).forEach((piece, pieceIdx) => {
+    const sharers = [{ unitIdx: piece.unitIdx, zoneName: piece.zoneName }, ...piece.sharedWith];
+    for (const { unitIdx, zoneName } of sharers) {
+      const unit = relevantUnits[unitIdx];
+      const clip = intersectRects(offsetRect(zones[zoneName], -piece.dx, -piece.dy), piece.localRect);
+      parts.push({
+        partId: `${glyph.id}-contour-split-${pieceIdx}-${unitIdx}`,
+        component: piece.component,
+        char: unit.text,
+        category: unit.category,
+        color: getColorForCategory(unit.category, unit.text),
+        zone: zoneName,
+        hbGlyphId: piece.component.hbGlyphId,
+        pathData: piece.d,
+        clipRect: clip || piece.localRect,
+      });
+    }
+  });
+
+  trace.check('contours', true, {
+    ...unitInputs,
+    contours: pieces.length,
+    basePieces: basePieces.length,
+    sharedContours: pieces.filter((piece) => piece.sharedWith).length,
+  }, 'whole contours assigned by zones around the base body; shared contours split by rectangles');
+  return trace.done('contours', normalizeAndFilterParts(parts));
+}
+
+function mapSingleGlyphToParts(glyph, units, enableSegmentation, strategy, trace) {
+  if (enableSegmentation && strategy === 'contours') {
+    const contourParts = getContourBasedParts(glyph, units, trace);
+    if (contourParts) return contourParts;
+  }
+
   if (glyph.components && glyph.components.length > 0) {
-    return getComponentBasedParts(glyph, units, enableSegmentation);
+    return getComponentBasedParts(glyph, units, enableSegmentation, trace);
   }
 
-  if (!enableSegmentation) {
-    return [createFullGlyphPart(glyph)];
+  if (!trace.check('segmentation_enabled', enableSegmentation, { enableSegmentation },
+    'geometric segmentation is switched off')) {
+    return trace.done('full_glyph', [createFullGlyphPart(glyph)]);
   }
 
   const glyphCps = new Set(glyph.codePoints || []);
@@ -1707,8 +2010,8 @@ function mapSingleGlyphToParts(glyph, units, enableSegmentation) {
     (u.codePoints || []).some((cp) => glyphCps.has(cp))
   );
 
-  if (relevantUnits.length === 0) {
-    return [createFullGlyphPart(glyph)];
+  if (trace.check('no_units', relevantUnits.length === 0, { units: [] }, 'no edu unit of the text falls into this glyph')) {
+    return trace.done('full_glyph', [createFullGlyphPart(glyph)]);
   }
 
   const baseUnit = relevantUnits.find(
@@ -1767,12 +2070,30 @@ function mapSingleGlyphToParts(glyph, units, enableSegmentation) {
     }
   });
 
-  return normalizeAndFilterParts(parts);
+  trace.check('topology_split', true, {
+    units: relevantUnits.map((u) => `${u.text}:${u.category}`),
+    bb: rawBB,
+  }, 'glyph without components: units clipped to metrics topology zones');
+  return trace.done('topology_split', normalizeAndFilterParts(parts));
 }
 
-export function mapGlyphsToParts(glyphs, units, { enableSegmentation = true } = {}) {
-  return (glyphs || []).map((glyph) => ({
-    ...glyph,
-    parts: mapSingleGlyphToParts(glyph, units, enableSegmentation),
-  }));
+/**
+ * Accepts either the /api/shape glyph array or the compact outlines=dict payload
+ * ({ glyphs, outlines }); compact outlines are expanded before mapping.
+ *
+ * strategy: 'rects' (default) cuts outlines with rectangular clip regions;
+ * 'contours' assigns whole contours to units (glyphs need contours=1) and
+ * falls back to 'rects' for glyphs it cannot decompose.
+ *
+ * Every mapped glyph carries `mapperTrace` (see createDecisionTrace);
+ * logTrace also prints it to the console.
+ */
+export function mapGlyphsToParts(glyphs, units, { enableSegmentation = true, strategy = 'rects', logTrace = false } = {}) {
+  return expandGlyphOutlines(glyphs).map((glyph) => {
+    const trace = createDecisionTrace();
+    const parts = mapSingleGlyphToParts(glyph, units, enableSegmentation, strategy, trace);
+    const mapperTrace = { rule: trace.rule, steps: trace.steps };
+    if (logTrace) console.log('[MAPPER]', glyph.id, glyph.clusterText ?? glyph.chars?.join(''), '→', trace.rule, mapperTrace.steps);
+    return { ...glyph, parts, mapperTrace };
+  });
 }
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * glyphPartsPayload.js
+ *
+ * Декомпозиция глифов на части в сериализуемом виде — для /api/shape?parts=1.
+ * Сервер импортирует этот модуль и считает части тем же mapGlyphsToParts,
+ * что и React-компонент, поэтому результат совпадает с клиентским.
+ *
+ * В JSON часть ссылается на компонент глифа индексом (componentIndex),
+ * а не копией объекта; hydrateGlyphParts() восстанавливает ссылку.
+ */
+
+import { buildEduUnits } from './eduUnits.js';
+import { mapGlyphsToParts } from './glyphPartMapper.js';
+import { setMetricsData } from './khmerConsonantMetrics.js';
+
+// Эду-юнит кластера, из которого пришла часть: сперва юнит той же категории
+// (ញ подписной → «្ញ», а не базовая ញ), затем любой юнит с этим символом.
+function findSourceUnit(glyph, units, part) {
+  const { char, category } = part;
+  if (!char) return null;
+  const inCluster = units.filter((u) => (
+    u.sourceStart < glyph.clusterEnd && u.sourceEnd > glyph.clusterStart
+  ));
+  const sameCategory = inCluster.filter((u) => u.category === category);
+  return sameCategory.find((u) => u.text === char)
+    || sameCategory.find((u) => u.text.includes(char))
+    || inCluster.find((u) => u.text === char)
+    || inCluster.find((u) => u.text.includes(char))
+    || null;
+}
+
+// Индекс компонента в glyph.components; копии компонента ищем по glyphId и позиции
+function getComponentIndex(glyph, component) {
+  if (!component) return -1;
+  const components = glyph.components || [];
+  const index = components.indexOf(component);
+  if (index >= 0) return index;
+  return components.findIndex((c) => (
+    c.hbGlyphId === component.hbGlyphId && c.x === component.x && c.y === component.y
+  ));
+}
+
+function serializePart(part, glyph, units) {
+  const { component, ...rest } = part;
+  const componentIndex = getComponentIndex(glyph, component);
+  const unit = findSourceUnit(glyph, units, part);
+
+  return {
+    ...rest,
+    componentIndex: componentIndex >= 0 ? componentIndex : null,
+    sourceStart: unit ? unit.sourceStart : null,
+    sourceEnd: unit ? unit.sourceEnd : null,
+  };
+}
+
+/**
+ * Разложить глифы /api/shape на части.
+ *
+ * @param {Array} glyphs   — глифы в формате ответа /api/shape
+ * @param {string} text    — исходный текст (для эду-юнитов)
+ * @param {object} metrics — объект в формате ответа /api/metrics
+ * @param {{ enableSegmentation?: boolean, strategy?: 'rects'|'contours' }} [options]
+ * @returns {Array} глифы с полем parts
+ */
+export function buildGlyphPartsPayload(glyphs, text, metrics, { enableSegmentation = true, strategy = 'rects' } = {}) {
+  // mapGlyphsToParts читает метрики из состояния модуля — подставляем и считаем
+  // синхронно, чтобы параллельные запросы с другими шрифтами не вклинились.
+  setMetricsData(metrics);
+  const units = buildEduUnits(text);
+
+  return mapGlyphsToParts(glyphs, units, { enableSegmentation, strategy }).map((glyph) => ({
+    ...glyph,
+    parts: glyph.parts.map((part) => serializePart(part, glyph, units)),
+  }));
+}
+
+/**
+ * Восстановить part.component по componentIndex — после этого части из ответа
+ * сервера можно отдавать тем же компонентам, что и результат mapGlyphsToParts.
+ */
+export function hydrateGlyphParts(glyphs) {
+  return (glyphs || []).map((glyph) => ({
+    ...glyph,
+    parts: (glyph.parts || []).map(({ componentIndex, ...part }) => ({
+      ...part,
+      component: componentIndex === null || componentIndex === undefined
+        ? null
+        : glyph.components?.[componentIndex] ?? null,
+    })),
+  }));
+}
@@ -0,0 +1,257 @@
+/**
+ * gposAnchors.js
+ *
+ * Якоря GPOS, к которым крепятся кхмерские гласные и диакритики:
+ * mark-to-base (lookup 4), mark-to-ligature (5) и mark-to-mark (6), в том
+ * числе завёрнутые в extension (9). opentype.js эти lookup не разбирает,
+ * поэтому таблица читается здесь напрямую.
+ *
+ *   readMarkAnchors(gposBytes)       → { [glyphId]: { mark: [...], base: [...] } }
+ *   readFontMarkAnchors(hbFace)      → то же для face HarfBuzz
+ *   getMarkAttachments(glyph, anchors) → пары «знак → база» в кластере
+ *
+ * mark — якоря, которыми глиф крепится как знак; base — якоря, к которым
+ * крепятся другие (для mark-to-mark это знак-основа). Якорь знака и якорь
+ * базы совпадают, если у них один lookup, subtable и markClass.
+ *
+ * Координаты в единицах шрифта, ось Y вниз — как у контуров из shapingCore.
+ * Берутся значения по умолчанию: device-таблицы и вариации не учитываются.
+ */
+
+// Lookup из скрипта khmr; если его нет — DFLT, иначе все
+const MARK_SCRIPT_TAGS = ['khmr', 'DFLT'];
+
+const MARK_LOOKUP_TYPES = {
+  4: 'mark_to_base',
+  5: 'mark_to_ligature',
+  6: 'mark_to_mark',
+};
+const EXTENSION_LOOKUP_TYPE = 9;
+
+function createReader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return {
+    u16: (offset) => view.getUint16(offset),
+    i16: (offset) => view.getInt16(offset),
+    u32: (offset) => view.getUint32(offset),
+    tag: (offset) => String.fromCharCode(
+      view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    ),
+  };
+}
+
+// Coverage → glyphId по индексу покрытия
+function readCoverage(r, offset) {
+  const format = r.u16(offset);
+  const glyphs = [];
+  if (format === 1) {
+    const count = r.u16(offset + 2);
+    for (let i = 0; i < count; i++) glyphs.push(r.u16(offset + 4 + i * 2));
+  } else if (format === 2) {
+    const rangeCount = r.u16(offset + 2);
+    for (let i = 0; i < rangeCount; i++) {
+      const record = offset + 4 + i * 6;
+      const start = r.u16(record);
+      const end = r.u16(record + 2);
+      const startIndex = r.u16(record + 4);
+      for (let gid = start; gid <= end; gid++) glyphs[startIndex + gid - start] = gid;
+    }
+  }
+  return glyphs;
+}
+
+function readAnchor(r, offset) {
+  return { x: r.i16(offset + 2), y: -r.i16(offset + 4) };
+}
+
+function readLookupIndexesForScripts(r, scriptListOffset, featureListOffset) {
+  const scripts = new Map();
+  const scriptCount = r.u16(scriptListOffset);
+  for (let i = 0; i < scriptCount; i++) {
+    const record = scriptListOffset + 2 + i * 6;
+    scripts.set(r.tag(record), scriptListOffset + r.u16(record + 4));
+  }
+  const scriptTag = MARK_SCRIPT_TAGS.find((tag) => scripts.has(tag));
+  if (!scriptTag) return { lookups: null, features: new Map() };
+
+  // Все LangSys скрипта: по умолчанию и языковые
+  const scriptOffset = scripts.get(scriptTag);
+  const langSysOffsets = [];
+  if (r.u16(scriptOffset)) langSysOffsets.push(scriptOffset + r.u16(scriptOffset));
+  const langSysCount = r.u16(scriptOffset + 2);
+  for (let i = 0; i < langSysCount; i++) {
+    langSysOffsets.push(scriptOffset + r.u16(scriptOffset + 4 + i * 6 + 4));
+  }
+
+  const featureIndexes = new Set();
+  for (const langSys of langSysOffsets) {
+    const required = r.u16(langSys + 2);
+    if (required !== 0xFFFF) featureIndexes.add(required);
+    const count = r.u16(langSys + 4);
+    for (let i = 0; i < count; i++) featureIndexes.add(r.u16(langSys + 6 + i * 2));
+  }
+
+  // lookupIndex → теги фич (abvm, blwm, mark, mkmk, ...)
+  const features = new Map();
+  for (const featureIndex of featureIndexes) {
+    const record = featureListOffset + 2 + featureIndex * 6;
+    const tag = r.tag(record);
+    const featureOffset = featureListOffset + r.u16(record + 4);
+    const lookupCount = r.u16(featureOffset + 2);
+    for (let i = 0; i < lookupCount; i++) {
+      const lookupIndex = r.u16(featureOffset + 4 + i * 2);
+      if (!features.has(lookupIndex)) features.set(lookupIndex, new Set());
+      features.get(lookupIndex).add(tag);
+    }
+  }
+  return { lookups: new Set(features.keys()), features };
+}
+
+function readMarkArray(r, offset, coverage, addMark) {
+  const count = r.u16(offset);
+  for (let i = 0; i < count && i < coverage.length; i++) {
+    const record = offset + 2 + i * 4;
+    const anchorOffset = r.u16(record + 2);
+    if (anchorOffset) addMark(coverage[i], r.u16(record), readAnchor(r, offset + anchorOffset));
+  }
+}
+
+// BaseArray и Mark2Array: на каждую базу по смещению якоря на класс знаков
+function readBaseArray(r, offset, coverage, classCount, addBase) {
+  const count = r.u16(offset);
+  for (let i = 0; i < count && i < coverage.length; i++) {
+    for (let markClass = 0; markClass < classCount; markClass++) {
+      const anchorOffset = r.u16(offset + 2 + (i * classCount + markClass) * 2);
+      if (anchorOffset) addBase(coverage[i], markClass, readAnchor(r, offset + anchorOffset));
+    }
+  }
+}
+
+function readLigatureArray(r, offset, coverage, classCount, addBase) {
+  const count = r.u16(offset);
+  for (let i = 0; i < count && i < coverage.length; i++) {
+    const attach = offset + r.u16(offset + 2 + i * 2);
+    const componentCount = r.u16(attach);
+    for (let component = 0; component < componentCount; component++) {
+      for (let markClass = 0; markClass < classCount; markClass++) {
+        const anchorOffset = r.u16(attach + 2 + (component * classCount + markClass) * 2);
+        if (anchorOffset) addBase(coverage[i], markClass, readAnchor(r, attach + anchorOffset), component);
+      }
+    }
+  }
+}
+
+function readMarkSubtable(r, offset, lookupType, add) {
+  if (r.u16(offset) !== 1) return;
+  const markCoverage = readCoverage(r, offset + r.u16(offset + 2));
+  const baseCoverage = readCoverage(r, offset + r.u16(offset + 4));
+  const classCount = r.u16(offset + 6);
+  readMarkArray(r, offset + r.u16(offset + 8), markCoverage, add.mark);
+  if (lookupType === 5) {
+    readLigatureArray(r, offset + r.u16(offset + 10), baseCoverage, classCount, add.base);
+  } else {
+    readBaseArray(r, offset + r.u16(offset + 10), baseCoverage, classCount, add.base);
+  }
+}
+
+/**
+ * @param {Uint8Array|null|undefined} gposBytes — содержимое таблицы GPOS
+ * @returns {Object<string, { mark: Array, base: Array }>} по glyphId; элементы —
+ *   { lookupIndex, subtable, type, features, markClass, x, y, component? }
+ */
+export function readMarkAnchors(gposBytes) {
+  const anchors = {};
+  if (!gposBytes || gposBytes.byteLength < 10) return anchors;
+
+  const r = createReader(gposBytes);
+  const { lookups: scriptLookups, features } = readLookupIndexesForScripts(r, r.u16(4), r.u16(6));
+  const lookupListOffset = r.u16(8);
+  const lookupCount = r.u16(lookupListOffset);
+
+  const push = (glyphId, role, entry) => {
+    if (!anchors[glyphId]) anchors[glyphId] = { mark: [], base: [] };
+    anchors[glyphId][role].push(entry);
+  };
+
+  for (let lookupIndex = 0; lookupIndex < lookupCount; lookupIndex++) {
+    if (scriptLookups && !scriptLookups.has(lookupIndex)) continue;
+    const lookupOffset = lookupListOffset + r.u16(lookupListOffset + 2 + lookupIndex * 2);
+    const lookupType = r.u16(lookupOffset);
+    const subtableCount = r.u16(lookupOffset + 4);
+    const lookupFeatures = Array.from(features.get(lookupIndex) || []);
+
+    for (let subtable = 0; subtable < subtableCount; subtable++) {
+      let subtableOffset = lookupOffset + r.u16(lookupOffset + 6 + subtable * 2);
+      let type = lookupType;
+      if (type === EXTENSION_LOOKUP_TYPE) {
+        type = r.u16(subtableOffset + 2);
+        subtableOffset += r.u32(subtableOffset + 4);
+      }
+      if (!MARK_LOOKUP_TYPES[type]) continue;
+
+      const common = { lookupIndex, subtable, type: MARK_LOOKUP_TYPES[type], features: lookupFeatures };
+      readMarkSubtable(r, subtableOffset, type, {
+        mark: (glyphId, markClass, point) => push(glyphId, 'mark', { ...common, markClass, ...point }),
+        base: (glyphId, markClass, point, component) => push(glyphId, 'base', {
+          ...common,
+          markClass,
+          ...point,
+          ...(component !== undefined && { component }),
+        }),
+      });
+    }
+  }
+  return anchors;
+}
+
+/**
+ * @param {object} hbFace — face из harfbuzzjs
+ */
+export function readFontMarkAnchors(hbFace) {
+  // reference_table возвращает вид на память wasm — копируем до следующих вызовов
+  const table = hbFace.reference_table('GPOS');
+  return readMarkAnchors(table ? table.slice() : null);
+}
+
+/**
+ * Какие компоненты кластера к каким прикреплены и где их якоря.
+ *
+ * Для каждого компонента-знака ищем среди предыдущих компонентов тот,
+ * у которого есть парный якорь (тот же lookup, subtable и класс); из
+ * нескольких кандидатов — с ближайшей точкой: после GPOS якоря совпадают.
+ *
+ * @param {object} glyph — глиф /api/shape (components с hbGlyphId, x, y)
+ * @param {object} anchors — результат readMarkAnchors для шрифта глифа
+ * @returns {Array<{ markIndex, baseIndex, type, markClass, markPoint: {x, y}, basePoint: {x, y} }>}
+ *   точки — в координатах компонентов (как component.x/y)
+ */
+export function getMarkAttachments(glyph, anchors) {
+  const components = glyph?.components || [];
+  const attachments = [];
+  if (!anchors) return attachments;
+
+  components.forEach((mark, markIndex) => {
+    let best = null;
+    for (const markAnchor of anchors[mark.hbGlyphId]?.mark || []) {
+      const markPoint = { x: mark.x + markAnchor.x, y: mark.y + markAnchor.y };
+      for (let baseIndex = markIndex - 1; baseIndex >= 0; baseIndex--) {
+        const base = components[baseIndex];
+        for (const baseAnchor of anchors[base.hbGlyphId]?.base || []) {
+          if (baseAnchor.lookupIndex !== markAnchor.lookupIndex
+            || baseAnchor.subtable !== markAnchor.subtable
+            || baseAnchor.markClass !== markAnchor.markClass) continue;
+          const basePoint = { x: base.x + baseAnchor.x, y: base.y + baseAnchor.y };
+          const distance = Math.hypot(markPoint.x - basePoint.x, markPoint.y - basePoint.y);
+          if (!best || distance < best.distance) {
+            best = { markIndex, baseIndex, type: markAnchor.type, markClass: markAnchor.markClass, markPoint, basePoint, distance };
+          }
+        }
+      }
+    }
+    if (best) {
+      const { distance, ...attachment } = best;
+      attachments.push(attachment);
+    }
+  });
+  return attachments;
+}
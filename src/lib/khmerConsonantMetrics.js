@@ -13,17 +13,31 @@
  *   subscripts:  { [cp]: { glyphId, bb, clusterBB, merged? } },
  *   vowels:      { [cp]: { glyphId, bb, clusterBB, components, multipart, merged?, delta? } },
  *   indepVowels: { [cp]: { glyphId, bb } },
- *   diacritics:  { [cp]: { glyphId, bb, clusterBB, merged?, delta? } }
+ *   diacritics:  { [cp]: { glyphId, bb, clusterBB, merged?, delta? } },
+ *   pairs: {                                   // ?pairs=1
+ *     subscripts: { [baseCp]: { [cp]: как в subscripts } },
+ *     vowels:     { [baseCp]: { [cp]: как в vowels } }
+ *   },
+ *   anchors: { [glyphId]: { mark: [...], base: [...] } }   // ?anchors=1, см. gposAnchors.js
  * }
  *
+ * subscripts/vowels сняты при базе ក; для другой базы зоны берут её строку
+ * из pairs, а если матриц нет (старый сервер, база вне матрицы) — строку ក.
+ *
  * Все bb в единицах unitsPerEm шрифта (те же координаты, что в SVG path от сервера).
  */
 
+import { API_BASE } from './apiBase.js';
+
 // ─── Состояние модуля ─────────────────────────────────────────────────────
 
 let metricsData = null;      // полный ответ /api/metrics
 let loadingPromise = null;   // дедупликация параллельных загрузок
+let loadingKey = null;       // fontId + variations загрузки в loadingPromise
 let currentFontId = null;
+let currentVariations = '';
+// Свой источник метрик вместо /api/metrics (wasm-бэкенд считает их в браузере)
+let metricsSource = null;
 
 // ─── Дефолтные пропорции — используются до загрузки или при ошибке ────────
 const FALLBACK_FRACS = {
@@ -37,34 +51,86 @@ const FALLBACK_FRACS = {
 
 /**
  * Загрузить метрики для шрифта.
- * Безопасно вызывать несколько раз — повторный вызов с тем же fontId ничего не делает.
+ * Безопасно вызывать несколько раз — повторный вызов с тем же fontId и
+ * variations ждёт уже идущую загрузку. Вызов с другим ключом запускает новую,
+ * а результат прежней отбрасывается: такой вызов вернёт null.
  *
  * @param {string} [fontId='auto']
- * @param {string} [apiBase='http://localhost:3001']
+ * @param {string} [apiBase=API_BASE]
+ * @param {string} [variations='']  — оси вариативного шрифта, например "wght:700,wdth:80"
+ * @returns {Promise<object|null>} метрики или null (ошибка, загрузка устарела)
  */
-export async function loadMetrics(fontId = 'auto', apiBase = 'http://localhost:3001') {
-  if (metricsData && currentFontId === fontId) return metricsData;
-  if (loadingPromise) return loadingPromise;
-
-  loadingPromise = fetch(`${apiBase}/api/metrics?font=${encodeURIComponent(fontId)}`)
-    .then((res) => {
-      if (!res.ok) throw new Error(`/api/metrics returned ${res.status}`);
-      return res.json();
-    })
+export async function loadMetrics(fontId = 'auto', apiBase = API_BASE, variations = '') {
+  if (metricsData && currentFontId === fontId && currentVariations === variations) return metricsData;
+  const key = `${fontId}|${variations}`;
+  if (loadingPromise && loadingKey === key) return loadingPromise;
+
+  const promise = (metricsSource ? metricsSource(fontId, variations) : fetchMetricsFromApi(apiBase, fontId, variations))
     .then((data) => {
+      if (loadingPromise !== promise) return null;
       metricsData = data;
       currentFontId = fontId;
+      currentVariations = variations;
       loadingPromise = null;
+      loadingKey = null;
       console.log('[metrics] Loaded for font:', data.fontId, 'unitsPerEm:', data.unitsPerEm);
       return data;
     })
     .catch((err) => {
+      if (loadingPromise !== promise) return null;
       console.warn('[metrics] Failed to load, using fallback proportions:', err.message);
       loadingPromise = null;
+      loadingKey = null;
       return null;
     });
 
-  return loadingPromise;
+  loadingPromise = promise;
+  loadingKey = key;
+  return promise;
+}
+
+function fetchMetricsFromApi(apiBase, fontId, variations) {
+  let metricsUrl = `${apiBase}/api/metrics?font=${encodeURIComponent(fontId)}&pairs=1&anchors=1`;
+  if (variations) metricsUrl += `&variations=${encodeURIComponent(variations)}`;
+  return fetch(metricsUrl).then((res) => {
+    if (!res.ok) throw new Error(`/api/metrics returned ${res.status}`);
+    return res.json();
+  });
+}
+
+/**
+ * Заменить загрузку с /api/metrics своей функцией (null — вернуть запрос к серверу).
+ * Уже загруженные метрики сбрасываются.
+ *
+ * @param {((fontId: string, variations: string) => Promise<object>)|null} source
+ */
+export function setMetricsSource(source) {
+  metricsSource = source || null;
+  resetMetrics();
+}
+
+/**
+ * Сбросить загруженные метрики — следующий loadMetrics() запросит их заново
+ * (например, после события "fonts-changed" от сервера).
+ */
+export function resetMetrics() {
+  metricsData = null;
+  loadingPromise = null;
+  loadingKey = null;
+  currentFontId = null;
+  currentVariations = '';
+}
+
+/**
+ * Подставить уже готовые метрики без запроса к серверу
+ * (сервер считает части глифов теми же модулями, что и клиент).
+ *
+ * @param {object} data — объект в формате ответа /api/metrics
+ */
+export function setMetricsData(data) {
+  metricsData = data || null;
+  currentFontId = null;
+  currentVariations = '';
 }
 
 /**
@@ -81,14 +147,15 @@ function getConsonantBB(codePoint) {
   return metricsData.consonants?.[codePoint]?.bb ?? null;
 }
 
-function getSubscriptData(codePoint) {
+// Замер знака при конкретной базе (pairs), иначе — при ក
+function getSubscriptData(codePoint, baseCP = null) {
   if (!metricsData || !codePoint) return null;
-  return metricsData.subscripts?.[codePoint] ?? null;
+  return metricsData.pairs?.subscripts?.[baseCP]?.[codePoint] ?? metricsData.subscripts?.[codePoint] ?? null;
 }
 
-function getVowelData(codePoint) {
+function getVowelData(codePoint, baseCP = null) {
   if (!metricsData || !codePoint) return null;
-  return metricsData.vowels?.[codePoint] ?? null;
+  return metricsData.pairs?.vowels?.[baseCP]?.[codePoint] ?? metricsData.vowels?.[codePoint] ?? null;
 }
 
 function getDiacriticData(codePoint) {
@@ -96,6 +163,29 @@ function getDiacriticData(codePoint) {
   return metricsData.diacritics?.[codePoint] ?? null;
 }
 
+/**
+ * Линии крепления знаков к базе по якорям GPOS (mark-to-base).
+ * topY — якоря надстрочных знаков (abvm) над серединой тела, bottomY —
+ * подстрочных (blwm) под ней. Без тегов abvm/blwm делим якоря по положению.
+ * Якоря на базовой линии у надстрочных (так устроен Khmer OS) пропускаются
+ * этой же проверкой.
+ */
+function getBaseAnchorLines(baseCP, body) {
+  const lines = { topY: null, bottomY: null };
+  const glyphId = metricsData?.consonants?.[baseCP]?.glyphId ?? metricsData?.indepVowels?.[baseCP]?.glyphId;
+  const baseAnchors = (metricsData?.anchors?.[glyphId]?.base || []).filter((a) => a.type === 'mark_to_base');
+  if (baseAnchors.length === 0) return lines;
+
+  const midY = (body.bodyY1 + body.bodyY2) / 2;
+  const hasPlacementTags = baseAnchors.some((a) => a.features.includes('abvm') || a.features.includes('blwm'));
+  const above = baseAnchors.filter((a) => (!hasPlacementTags || a.features.includes('abvm')) && a.y < midY);
+  const below = baseAnchors.filter((a) => (!hasPlacementTags || a.features.includes('blwm')) && a.y > midY);
+  // Ближайшие к телу: самая нижняя из верхних линий и самая верхняя из нижних
+  if (above.length) lines.topY = Math.max(...above.map((a) => a.y));
+  if (below.length) lines.bottomY = Math.min(...below.map((a) => a.y));
+  return lines;
+}
+
 // ─── Основные функции для нарезки зон ───────────────────────────────────
 
 /**
@@ -154,9 +244,20 @@ export function getConsonantBodyRectXYWH(bbox, consonantCP) {
  * Получить данные о гласной: позицию, количество частей, delta.
  *
  * @param {number} vowelCP
+ * @param {number|null} [baseCP] — база кластера; без неё — замер при ក
  */
-export function getVowelMetrics(vowelCP) {
-  return getVowelData(vowelCP);
+export function getVowelMetrics(vowelCP, baseCP = null) {
+  return getVowelData(vowelCP, baseCP);
+}
+
+/**
+ * Данные о подписной форме согласной под конкретной базой.
+ *
+ * @param {number} subscriptCP — согласная после coeng
+ * @param {number|null} [baseCP] — база кластера; без неё — замер при ក
+ */
+export function getSubscriptMetrics(subscriptCP, baseCP = null) {
+  return getSubscriptData(subscriptCP, baseCP);
 }
 
 /**
@@ -200,7 +301,8 @@ export function computeZonesFromMetrics(clusterBB, units) {
 
     // ── Подписные согласные ─────────────────────────────────────────────
     if (cat === 'subscript_consonant' || cat === 'coeng') {
-      const subData = getSubscriptData(cp);
+      // codePoints подписной — [coeng, согласная]; у одиночного coeng согласной нет
+      const subData = getSubscriptData(unit.codePoints?.[1], baseCP);
       const subBB = subData?.bb;
 
       if (subBB && !subData.merged) {
@@ -223,7 +325,7 @@ export function computeZonesFromMetrics(clusterBB, units) {
 
     // ── Зависимые гласные ───────────────────────────────────────────────
     if (cat === 'dependent_vowel') {
-      const vowelData = getVowelData(cp);
+      const vowelData = getVowelData(cp, baseCP);
       if (!vowelData) continue;
 
       const vBB = vowelData.bb;
@@ -326,6 +428,15 @@ export function computeZonesFromMetrics(clusterBB, units) {
     }
   }
 
+  // ── Якоря GPOS: граница TOP/BOTTOM — там, где знак крепится к базе ─────
+  const anchorLines = getBaseAnchorLines(baseCP, body);
+  if (zones.TOP && anchorLines.topY !== null && anchorLines.topY > cy1) {
+    zones.TOP = { x: cx1, y: cy1, width: cx2 - cx1, height: anchorLines.topY - cy1 };
+  }
+  if (zones.BOTTOM && anchorLines.bottomY !== null && anchorLines.bottomY < cy2) {
+    zones.BOTTOM = { x: cx1, y: anchorLines.bottomY, width: cx2 - cx1, height: cy2 - anchorLines.bottomY };
+  }
+
   return zones;
 }
 
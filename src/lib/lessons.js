@@ -0,0 +1,36 @@
+/**
+ * lessons.js
+ *
+ * Уроки — наборы строк для разбора в лаборатории. Для офлайна урок
+ * описывается звуками, которые понадобятся при клике по его частям
+ * (см. getLessonSoundFiles и offlineCache.js).
+ */
+
+import { getSoundFileForChar } from './audioMap.js';
+import { buildEduUnits } from './eduUnits.js';
+
+export const LESSONS = [
+  { id: 'consonants-a', title: 'Согласные серии A', text: 'កខចឆដឋណតថបផសហឡអ' },
+  { id: 'consonants-o', title: 'Согласные серии O', text: 'គឃងជឈញឌឍទធនពភមយរលវ' },
+  { id: 'vowels-1', title: 'Гласные ា–ួ', text: 'កា កិ កី កឹ កឺ កុ កូ កួ' },
+  { id: 'vowels-2', title: 'Гласные ើ–ៅ', text: 'កើ កឿ កៀ កេ កែ កៃ កោ កៅ' },
+  { id: 'u-nikahit', title: 'ុ и ំ', text: 'កុ កុំ ក្ខុ ក្ខុំ' },
+  { id: 'signs', title: 'ះ и ាំ', text: 'កះ កោះ កាំ' },
+  { id: 'subscripts', title: 'Подписные согласные', text: 'ន្ត្រា ក្សៀ ស្រី' },
+  { id: 'numbers', title: 'Цифры', text: '០១២៣៤៥៦៧៨៩' },
+];
+
+/**
+ * Звуковые файлы урока — те же, что проигрываются по клику на части
+ * (edu units текста, пробелы пропускаются).
+ *
+ * @param {{ text: string }} lesson
+ * @returns {string[]} имена файлов в public/sounds без повторов
+ */
+export function getLessonSoundFiles(lesson) {
+  const files = buildEduUnits(lesson.text)
+    .filter((unit) => unit.text.trim())
+    .map((unit) => getSoundFileForChar(unit.text))
+    .filter(Boolean);
+  return Array.from(new Set(files));
+}
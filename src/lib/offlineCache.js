@@ -0,0 +1,175 @@
+/**
+ * offlineCache.js
+ *
+ * Офлайн-режим (PWA): регистрация service worker (public/sw.js) и работа
+ * с его кэшами из интерфейса — какие уроки доступны без сети, сколько
+ * места занято, очистка. Имена кэшей совпадают с public/sw.js.
+ *
+ * Функции принимают { cacheStorage, baseUrl } — по умолчанию window.caches
+ * и BASE_URL сборки (в тестах подставляется своё хранилище).
+ */
+
+import { getLessonSoundFiles } from './lessons.js';
+
+const SHELL_CACHE_PREFIX = 'khmer-lab-shell-';
+const FONTS_CACHE = 'khmer-lab-fonts';
+const SOUNDS_CACHE = 'khmer-lab-sounds';
+const CACHE_PREFIX = 'khmer-lab-';
+
+function getBaseUrl() {
+  return import.meta.env?.BASE_URL || '/';
+}
+
+function resolveOptions(options = {}) {
+  return {
+    cacheStorage: options.cacheStorage ?? globalThis.caches,
+    baseUrl: options.baseUrl ?? getBaseUrl(),
+  };
+}
+
+/**
+ * @param {string} soundFile — имя файла из audioMap
+ * @param {string} [baseUrl]
+ * @returns {string}
+ */
+export function getSoundUrl(soundFile, baseUrl = getBaseUrl()) {
+  return `${baseUrl}sounds/${soundFile}`;
+}
+
+function getFontUrl(font, baseUrl) {
+  return `${baseUrl}fonts/${encodeURIComponent(font.file)}`;
+}
+
+export function isOfflineCacheSupported(options) {
+  return Boolean(resolveOptions(options).cacheStorage);
+}
+
+/**
+ * Service worker регистрируется только в production-сборке: в dev он бы
+ * отдавал устаревшие модули из кэша.
+ *
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+  if (!import.meta.env?.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  try {
+    return await navigator.serviceWorker.register(`${getBaseUrl()}sw.js`);
+  } catch (error) {
+    console.warn('[offline] service worker registration failed', error);
+    return null;
+  }
+}
+
+async function isCached(cacheStorage, url) {
+  return Boolean(await cacheStorage.match(url));
+}
+
+/**
+ * Положить файл шрифта в кэш, если его там ещё нет (метрики сервера
+ * service worker сохраняет сам при запросе /api/metrics).
+ *
+ * @param {{ file: string }} font — запись из списка шрифтов
+ * @returns {Promise<boolean>} true, если шрифт теперь в кэше
+ */
+export async function cacheFontForOffline(font, options) {
+  const { cacheStorage, baseUrl } = resolveOptions(options);
+  if (!cacheStorage || !font?.file) return false;
+  const url = getFontUrl(font, baseUrl);
+  if (await isCached(cacheStorage, url)) return true;
+  try {
+    const cache = await cacheStorage.open(FONTS_CACHE);
+    await cache.add(url);
+    return true;
+  } catch (error) {
+    console.warn('[offline] failed to cache font', font.file, error);
+    return false;
+  }
+}
+
+/**
+ * Что уже есть в кэше: оболочка приложения, шрифт и звуки каждого урока.
+ *
+ * @param {Array<{ id: string, text: string }>} lessons
+ * @param {{ file: string }|null} font — шрифт, которым урок будет показан
+ * @returns {Promise<{ shell: boolean, font: boolean,
+ *   lessons: Record<string, { cachedSounds: number, totalSounds: number, ready: boolean }> }>}
+ */
+export async function getOfflineStatus(lessons, font, options) {
+  const { cacheStorage, baseUrl } = resolveOptions(options);
+  const status = { shell: false, font: false, lessons: {} };
+  if (!cacheStorage) return status;
+
+  const keys = await cacheStorage.keys();
+  status.shell = keys.some((key) => key.startsWith(SHELL_CACHE_PREFIX));
+  status.font = Boolean(font?.file) && await isCached(cacheStorage, getFontUrl(font, baseUrl));
+
+  for (const lesson of lessons) {
+    const soundFiles = getLessonSoundFiles(lesson);
+    const cachedFlags = await Promise.all(soundFiles.map((file) => isCached(cacheStorage, getSoundUrl(file, baseUrl))));
+    const cachedSounds = cachedFlags.filter(Boolean).length;
+    status.lessons[lesson.id] = {
+      cachedSounds,
+      totalSounds: soundFiles.length,
+      ready: status.shell && status.font && cachedSounds === soundFiles.length,
+    };
+  }
+  return status;
+}
+
+/**
+ * Заранее скачать звуки урока (обычно они кэшируются при проигрывании).
+ *
+ * @returns {Promise<number>} сколько файлов не удалось скачать
+ */
+export async function cacheLessonSounds(lesson, options) {
+  const { cacheStorage, baseUrl } = resolveOptions(options);
+  if (!cacheStorage) return getLessonSoundFiles(lesson).length;
+  const cache = await cacheStorage.open(SOUNDS_CACHE);
+  const results = await Promise.allSettled(
+    getLessonSoundFiles(lesson).map(async (file) => {
+      const url = getSoundUrl(file, baseUrl);
+      if (!(await cache.match(url))) await cache.add(url);
+    })
+  );
+  return results.filter((result) => result.status === 'rejected').length;
+}
+
+/**
+ * Суммарный размер ответов во всех кэшах лаборатории, в байтах.
+ *
+ * @returns {Promise<number>}
+ */
+export async function getOfflineCacheSize(options) {
+  const { cacheStorage } = resolveOptions(options);
+  if (!cacheStorage) return 0;
+  let total = 0;
+  for (const key of await cacheStorage.keys()) {
+    if (!key.startsWith(CACHE_PREFIX)) continue;
+    const cache = await cacheStorage.open(key);
+    for (const request of await cache.keys()) {
+      const response = await cache.match(request);
+      if (response) total += (await response.blob()).size;
+    }
+  }
+  return total;
+}
+
+/**
+ * Удалить сохранённые шрифты, метрики и звуки. Оболочка приложения остаётся —
+ * без неё лаборатория не откроется офлайн; её обновляет service worker.
+ */
+export async function clearOfflineCache(options) {
+  const { cacheStorage } = resolveOptions(options);
+  if (!cacheStorage) return;
+  await Promise.all([FONTS_CACHE, SOUNDS_CACHE].map((key) => cacheStorage.delete(key)));
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string} например "4.2 МБ"
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} Б`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} КБ`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} МБ`;
+}
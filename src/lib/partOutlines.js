@@ -0,0 +1,230 @@
+/**
+ * partOutlines.js
+ *
+ * Экспорт частей разбора как самостоятельных контуров. В лаборатории часть —
+ * это путь глифа (или компонента) плюс прямоугольник clipPath; здесь путь
+ * пересекается с прямоугольником, и получается чистый контур без клипа,
+ * пригодный для вёрстки учебников.
+ *
+ *   clipOutlineToRect(d, rect)  → d, обрезанный по прямоугольнику
+ *   getPartOutline(part, glyph) → { d, bb } в координатах кластера
+ *   getPartPolygons(part, glyph, { origin }) → обрезанные многоугольники (colorFont.js)
+ *   buildPartSvg(part, glyph)   → SVG одной части
+ *   buildClusterSvg(glyph)      → SVG кластера, слой (<g>) на категорию
+ *
+ * Кривые переводятся в ломаные (EXPORT_CURVE_STEPS отрезков) — при размере
+ * шрифта в учебнике разница с исходными кривыми не видна.
+ */
+
+import { getContourPolygons } from './glyphContours.js';
+import { getColorForCategory } from './glyphCombinationRules.js';
+
+const EXPORT_CURVE_STEPS = 24;
+// Поля вокруг контура в SVG, в единицах шрифта
+const SVG_PADDING = 40;
+
+// Порядок слоёв в SVG кластера: первый — нижний
+const CATEGORY_LAYER_ORDER = [
+  'base_consonant',
+  'independent_vowel',
+  'coeng',
+  'subscript_consonant',
+  'dependent_vowel',
+  'diacritic_sign',
+  'diacritic',
+  'numeral',
+];
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Отсечение многоугольника полуплоскостью (шаг Сазерленда — Ходжмана)
+function clipPolygonByEdge(points, isInside, intersect) {
+  const result = [];
+  for (let i = 0; i < points.length; i++) {
+    const current = points[i];
+    const previous = points[(i + points.length - 1) % points.length];
+    if (isInside(current)) {
+      if (!isInside(previous)) result.push(intersect(previous, current));
+      result.push(current);
+    } else if (isInside(previous)) {
+      result.push(intersect(previous, current));
+    }
+  }
+  return result;
+}
+
+function atX(a, b, x) {
+  return [x, a[1] + ((b[1] - a[1]) * (x - a[0])) / (b[0] - a[0])];
+}
+
+function atY(a, b, y) {
+  return [a[0] + ((b[0] - a[0]) * (y - a[1])) / (b[1] - a[1]), y];
+}
+
+function clipPolygonToRect(points, rect) {
+  const x2 = rect.x + rect.width;
+  const y2 = rect.y + rect.height;
+  let clipped = points;
+  clipped = clipPolygonByEdge(clipped, (p) => p[0] >= rect.x, (a, b) => atX(a, b, rect.x));
+  clipped = clipPolygonByEdge(clipped, (p) => p[0] <= x2, (a, b) => atX(a, b, x2));
+  clipped = clipPolygonByEdge(clipped, (p) => p[1] >= rect.y, (a, b) => atY(a, b, rect.y));
+  clipped = clipPolygonByEdge(clipped, (p) => p[1] <= y2, (a, b) => atY(a, b, y2));
+  return clipped;
+}
+
+function polygonToPath(points) {
+  return points
+    .map(([x, y], index) => `${index === 0 ? 'M' : 'L'}${round(x)} ${round(y)}`)
+    .join(' ') + ' Z';
+}
+
+function getPolygonsBBox(polygons) {
+  const points = polygons.flat();
+  if (points.length === 0) return null;
+  const xs = points.map((p) => p[0]);
+  const ys = points.map((p) => p[1]);
+  return { x1: round(Math.min(...xs)), y1: round(Math.min(...ys)), x2: round(Math.max(...xs)), y2: round(Math.max(...ys)) };
+}
+
+function isValidRect(rect) {
+  return Boolean(rect) && ['x', 'y', 'width', 'height'].every((key) => Number.isFinite(rect[key]));
+}
+
+/**
+ * Контуры части ломаными, уже обрезанные по clipRect.
+ *
+ * @param {object} part
+ * @param {object} glyph
+ * @param {{ origin?: 'cluster'|'source' }} [options] — 'source': в координатах
+ *   самого пути (компонента или глифа), без сдвига к началу кластера
+ * @returns {Array<Array<[number, number]>>}
+ */
+export function getPartPolygons(part, glyph, { origin = 'cluster' } = {}) {
+  const source = part.component || glyph;
+  const d = part.pathData || source?.d;
+  if (!d) return [];
+
+  const dx = origin === 'source' ? 0 : (source.x || 0) - (glyph.x || 0);
+  const dy = origin === 'source' ? 0 : (source.y || 0) - (glyph.y || 0);
+  return getContourPolygons(d, EXPORT_CURVE_STEPS)
+    .map((points) => (isValidRect(part.clipRect) ? clipPolygonToRect(points, part.clipRect) : points))
+    // Контур целиком вне прямоугольника или выродился в линию по его краю
+    .filter((points) => points.length >= 3)
+    .map((points) => points.map(([x, y]) => [x + dx, y + dy]));
+}
+
+/**
+ * @param {string} d — SVG path (M/L/Q/C/Z)
+ * @param {{ x: number, y: number, width: number, height: number }} rect
+ * @returns {string} контуры внутри прямоугольника; '' если пересечения нет
+ */
+export function clipOutlineToRect(d, rect) {
+  return getContourPolygons(d, EXPORT_CURVE_STEPS)
+    .map((points) => clipPolygonToRect(points, rect))
+    .filter((points) => points.length >= 3)
+    .map((points) => polygonToPath(points))
+    .join(' ');
+}
+
+/**
+ * Контур части с уже применённым clipRect. Координаты — относительно
+ * начала кластера (glyph.x, glyph.y), ось Y вниз, как у путей шейпинга.
+ *
+ * @param {object} part — часть из mapGlyphsToParts
+ * @param {object} glyph — кластер, которому принадлежит часть
+ * @returns {{ d: string, bb: { x1, y1, x2, y2 }|null }}
+ */
+export function getPartOutline(part, glyph) {
+  const polygons = getPartPolygons(part, glyph);
+  return {
+    d: polygons.map((points) => polygonToPath(points)).join(' '),
+    bb: getPolygonsBBox(polygons),
+  };
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unionBBoxes(boxes) {
+  const valid = boxes.filter(Boolean);
+  if (valid.length === 0) return null;
+  return {
+    x1: Math.min(...valid.map((bb) => bb.x1)),
+    y1: Math.min(...valid.map((bb) => bb.y1)),
+    x2: Math.max(...valid.map((bb) => bb.x2)),
+    y2: Math.max(...valid.map((bb) => bb.y2)),
+  };
+}
+
+function wrapSvg(bb, title, body) {
+  const box = bb || { x1: 0, y1: 0, x2: 0, y2: 0 };
+  const x = round(box.x1 - SVG_PADDING);
+  const y = round(box.y1 - SVG_PADDING);
+  const width = round(box.x2 - box.x1 + SVG_PADDING * 2);
+  const height = round(box.y2 - box.y1 + SVG_PADDING * 2);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" viewBox="${x} ${y} ${width} ${height}" width="${width}" height="${height}">`,
+    `  <title>${escapeXml(title)}</title>`,
+    body,
+    '</svg>',
+    '',
+  ].join('\n');
+}
+
+function partPathElement(part, outline, indent) {
+  const color = getColorForCategory(part.category, part.char);
+  return `${indent}<path d="${outline.d}" fill="${color}" data-char="${escapeXml(part.char)}" data-zone="${escapeXml(part.zone)}" />`;
+}
+
+/**
+ * @param {object} part
+ * @param {object} glyph
+ * @returns {string} SVG-документ с одной частью
+ */
+export function buildPartSvg(part, glyph) {
+  const outline = getPartOutline(part, glyph);
+  return wrapSvg(outline.bb, `${part.char} (${part.category})`, partPathElement(part, outline, '  '));
+}
+
+/**
+ * Разобранный кластер целиком: по группе-слою на категорию (id и
+ * inkscape-метки — слои в Inkscape и Illustrator), цвета getColorForCategory.
+ *
+ * @param {object} glyph — глиф с parts из mapGlyphsToParts
+ * @returns {string}
+ */
+export function buildClusterSvg(glyph) {
+  const entries = (glyph.parts || [])
+    .map((part) => ({ part, outline: getPartOutline(part, glyph) }))
+    .filter(({ outline }) => outline.d);
+
+  const categories = Array.from(new Set(entries.map(({ part }) => part.category))).sort((a, b) => {
+    const rank = (category) => {
+      const index = CATEGORY_LAYER_ORDER.indexOf(category);
+      return index < 0 ? CATEGORY_LAYER_ORDER.length : index;
+    };
+    return rank(a) - rank(b);
+  });
+
+  const layers = categories.map((category) => {
+    const paths = entries
+      .filter(({ part }) => part.category === category)
+      .map(({ part, outline }) => partPathElement(part, outline, '    '));
+    return [
+      `  <g id="${escapeXml(category)}" inkscape:groupmode="layer" inkscape:label="${escapeXml(category)}">`,
+      ...paths,
+      '  </g>',
+    ].join('\n');
+  });
+
+  const title = glyph.clusterText || (glyph.chars || []).join('');
+  return wrapSvg(unionBBoxes(entries.map(({ outline }) => outline.bb)), title, layers.join('\n'));
+}
@@ -0,0 +1,77 @@
+/**
+ * shapingBackend.js
+ *
+ * Откуда лаборатория берёт шрифты, фичи, шейпинг и метрики:
+ *   server — Node-сервер (/api/fonts, /api/v2/shape, /api/metrics);
+ *   wasm   — HarfBuzz в браузере (wasmShaping.js), для статической сборки без сервера.
+ *
+ * Переменная сборки VITE_SHAPING_BACKEND=server|wasm фиксирует выбор;
+ * по умолчанию (auto) — сервер, если он отвечает на /health, иначе wasm.
+ * У обоих бэкендов одинаковый интерфейс и одинаковый формат ответов; метрики
+ * wasm-бэкенд отдаёт через setMetricsSource, и loadMetrics() работает как раньше.
+ */
+
+import { apiUrl } from './apiBase.js';
+import { setMetricsSource } from './khmerConsonantMetrics.js';
+
+const HEALTH_TIMEOUT_MS = 2000;
+
+let backendPromise = null;
+
+async function isServerAvailable() {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), HEALTH_TIMEOUT_MS);
+  try {
+    const response = await fetch(apiUrl('/health'), { signal: controller.signal });
+    // Статический хостинг может ответить index.html с кодом 200 — проверяем тело
+    return response.ok && (await response.text()).trim() === 'OK';
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function fetchApiJson(pathAndQuery, init) {
+  const response = await fetch(apiUrl(pathAndQuery), init);
+  // v2: ошибки в виде { error: { code, message } }, legacy — { error, code }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = data.error?.code ? `${data.error.code}: ${data.error.message}` : data.error;
+    throw new Error(error || `HTTP ${response.status}`);
+  }
+  return data;
+}
+
+function createServerShapingBackend() {
+  return {
+    kind: 'server',
+    fetchFonts: () => fetchApiJson('/api/fonts'),
+    fetchFontFeatures: (fontId) => fetchApiJson(`/api/fonts/${encodeURIComponent(fontId)}/features`),
+    // outlines=dict — повторяющиеся глифы приходят одним контуром в словаре
+    shape: (query, { signal } = {}) => fetchApiJson(`/api/v2/shape?${query}&outlines=dict`, { signal }),
+  };
+}
+
+async function createShapingBackend() {
+  const preferred = import.meta.env?.VITE_SHAPING_BACKEND || 'auto';
+  if (preferred === 'server' || (preferred !== 'wasm' && await isServerAvailable())) {
+    return createServerShapingBackend();
+  }
+  // wasm-модуль (opentype.js, harfbuzzjs) грузим только когда он нужен
+  const { createWasmShapingBackend } = await import('./wasmShaping.js');
+  const backend = createWasmShapingBackend();
+  setMetricsSource(backend.fetchMetrics);
+  console.log('[backend] Shaping in the browser (wasm), preferred:', preferred);
+  return backend;
+}
+
+/**
+ * Бэкенд выбирается один раз за сеанс.
+ *
+ * @returns {Promise<{ kind: 'server'|'wasm', fetchFonts, fetchFontFeatures, shape }>}
+ */
+export function getShapingBackend() {
+  if (!backendPromise) backendPromise = createShapingBackend();
+  return backendPromise;
+}
@@ -0,0 +1,718 @@
+/**
+ * shapingCore.js
+ *
+ * Ядро шейпинга и метрик: из записей HarfBuzz строятся глифы формата /api/shape
+ * (кластеры, компоненты, d, bb, fontInfo) и объект /api/metrics.
+ *
+ * Модуль общий для Node-сервера и wasm-бэкенда в браузере (wasmShaping.js),
+ * поэтому ничего не знает о файлах и каталоге шрифтов: экземпляр harfbuzzjs (hb)
+ * и шейперы { hbFont, otFont, fontEntry, variations } передаёт вызывающая сторона.
+ */
+
+import { splitGlyphContours } from './glyphContours.js';
+import { isKhmerConsonantChar, isKhmerDependentVowel, isKhmerDiacriticOrSign } from './khmerClassifier.js';
+
+const KHMER_CONSONANT_START = 0x1780;
+// ក — стабильная нейтральная база для метрик подписных, гласных и диакритик
+const BASE_CONSONANT = KHMER_CONSONANT_START;
+const COENG = 0x17D2;
+
+// Все кодпоинты кхмерских согласных
+const KHMER_CONSONANTS = Array.from({ length: 0x17A3 - 0x1780 }, (_, i) => 0x1780 + i);
+
+// Все кодпоинты зависимых гласных
+const KHMER_DEP_VOWELS = Array.from({ length: 0x17C6 - 0x17B6 }, (_, i) => 0x17B6 + i);
+
+// Диакритики и знаки
+const KHMER_DIACRITICS = [
+  ...Array.from({ length: 0x17D2 - 0x17C6 }, (_, i) => 0x17C6 + i),
+  0x17D3, 0x17DD
+];
+
+// Независимые гласные
+const KHMER_INDEP_VOWELS = Array.from({ length: 0x17B4 - 0x17A3 }, (_, i) => 0x17A3 + i);
+
+// hb_ot_layout: индекс языка по умолчанию (LangSys 'dflt' внутри скрипта)
+const HB_OT_LAYOUT_DEFAULT_LANGUAGE_INDEX = 0xFFFF;
+const LAYOUT_TABLES = ['GSUB', 'GPOS'];
+
+const EMPTY_BBOX = { x1: 0, y1: 0, x2: 0, y2: 0 };
+
+// ─── Вариации ─────────────────────────────────────────────────────────────
+
+function roundAxisValue(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Оставляем только оси, которые есть в шрифте, и зажимаем значения в [min, max].
+ * Если все значения совпадают с default — возвращаем null (дефолтный инстанс).
+ */
+export function normalizeVariations(variations, axes) {
+  if (!variations || !axes?.length) return null;
+  const normalized = {};
+  let hasNonDefault = false;
+  for (const axis of axes) {
+    if (variations[axis.tag] === undefined) continue;
+    const value = roundAxisValue(Math.min(axis.max, Math.max(axis.min, variations[axis.tag])));
+    normalized[axis.tag] = value;
+    if (value !== axis.default) hasNonDefault = true;
+  }
+  return hasNonDefault ? normalized : null;
+}
+
+// ─── Фичи шрифта ──────────────────────────────────────────────────────────
+
+function uniqueTags(tags) {
+  return Array.from(new Set(tags.map((tag) => tag.trim())));
+}
+
+/**
+ * Скрипты, языки и фичи, которые шрифт реально определяет в GSUB/GPOS.
+ * Для каждого скрипта: языки и фичи языка по умолчанию и каждого языка.
+ */
+export function readFontFeatures(hbFace) {
+  const tables = {};
+  for (const table of LAYOUT_TABLES) {
+    const scripts = hbFace.getTableScriptTags(table).map((scriptTag, scriptIndex) => ({
+      tag: scriptTag.trim(),
+      features: uniqueTags(hbFace.getLanguageFeatureTags(table, scriptIndex, HB_OT_LAYOUT_DEFAULT_LANGUAGE_INDEX)),
+      languages: hbFace.getScriptLanguageTags(table, scriptIndex).map((languageTag, languageIndex) => ({
+        tag: languageTag.trim(),
+        features: uniqueTags(hbFace.getLanguageFeatureTags(table, scriptIndex, languageIndex)),
+      })),
+    }));
+    tables[table] = { scripts, features: uniqueTags(hbFace.getTableFeatureTags(table)) };
+  }
+  const features = uniqueTags(LAYOUT_TABLES.flatMap((table) => tables[table].features));
+  return { features, tables };
+}
+
+// ─── Контуры глифов ───────────────────────────────────────────────────────
+
+function roundPathValue(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Контур глифа из HarfBuzz (учитывает вариации, в отличие от opentype.js).
+ * HarfBuzz рисует с осью Y вверх — переворачиваем в систему SVG,
+ * чтобы координаты совпадали с getPath() из opentype.js.
+ */
+function getInstanceGlyphPathAndBBox(hbFont, glyphId) {
+  try {
+    const d = hbFont.glyphToPath(glyphId)
+      .replace(/(-?[\d.]+(?:e[-+]?\d+)?),(-?[\d.]+(?:e[-+]?\d+)?)/g,
+        (_, x, y) => `${roundPathValue(Number(x))} ${roundPathValue(-Number(y))}`);
+    const ext = hbFont.glyphExtents(glyphId);
+    if (ext && (ext.width !== 0 || ext.height !== 0)) {
+      return {
+        d,
+        bb: { x1: ext.xBearing, y1: -ext.yBearing, x2: ext.xBearing + ext.width, y2: -(ext.yBearing + ext.height) },
+      };
+    }
+    return { d, bb: { ...EMPTY_BBOX } };
+  } catch (e) {
+    console.warn('[glyph:warn]', e.message);
+  }
+  return { d: '', bb: { ...EMPTY_BBOX } };
+}
+
+/**
+ * @param {object} otFont
+ * @param {number} glyphId
+ * @param {object|null} [instanceFont] — hbFont с вариациями; если задан, контур берётся из HarfBuzz
+ */
+export function getGlyphPathAndBBox(otFont, glyphId, instanceFont = null) {
+  if (instanceFont) return getInstanceGlyphPathAndBBox(instanceFont, glyphId);
+  try {
+    const glyphObj = otFont.glyphs.get(glyphId);
+    if (glyphObj) {
+      const pathData = glyphObj.getPath(0, 0, otFont.unitsPerEm);
+      const bb = pathData.getBoundingBox();
+      return { d: pathData.toPathData(2), bb: { x1: bb.x1, y1: bb.y1, x2: bb.x2, y2: bb.y2 } };
+    }
+  } catch (e) {
+    console.warn('[glyph:warn]', e.message);
+  }
+  return { d: '', bb: { ...EMPTY_BBOX } };
+}
+
+function scalePathData(d, factor) {
+  if (factor === 1 || !d) return d;
+  return d.replace(/-?\d+(?:\.\d+)?(?:e[-+]?\d+)?/gi, (num) => String(roundPathValue(Number(num) * factor)));
+}
+
+function scaleBBox(bb, factor) {
+  if (factor === 1) return bb;
+  return { x1: bb.x1 * factor, y1: bb.y1 * factor, x2: bb.x2 * factor, y2: bb.y2 * factor };
+}
+
+// ─── Сегментные свойства буфера: script / language / direction ─────────────
+
+const RTL_SCRIPTS = new Set(['Arab', 'Hebr', 'Syrc', 'Thaa', 'Nkoo', 'Samr', 'Mand', 'Adlm']);
+
+// Unicode Script property → ISO 15924 тег для hb_buffer_set_script
+const SCRIPT_PATTERNS = Object.entries({
+  Khmer: 'Khmr',
+  Latin: 'Latn',
+  Thai: 'Thai',
+  Lao: 'Laoo',
+  Myanmar: 'Mymr',
+  Cyrillic: 'Cyrl',
+  Greek: 'Grek',
+  Han: 'Hani',
+  Arabic: 'Arab',
+  Hebrew: 'Hebr',
+  Devanagari: 'Deva',
+}).map(([name, tag]) => ({ tag, re: new RegExp(`^\\p{Script=${name}}$`, 'u') }));
+const NEUTRAL_SCRIPT_CHAR = /^[\p{Script=Common}\p{Script=Inherited}]$/u;
+
+// Сегмент для метрик: всегда кхмерский, без угадывания
+const KHMER_SEGMENT = { script: 'Khmr', language: 'km', direction: 'ltr' };
+
+/**
+ * Скрипт символа (ISO 15924) или null для Common/Inherited
+ * (цифры, пробелы, пунктуация, комбинирующие знаки) и неизвестных скриптов.
+ */
+function getCharScript(char) {
+  if (NEUTRAL_SCRIPT_CHAR.test(char)) return null;
+  return SCRIPT_PATTERNS.find(({ re }) => re.test(char))?.tag || 'Zzzz';
+}
+
+/**
+ * Разбиваем текст на runs одного скрипта.
+ * Нейтральные символы присоединяются к текущему run (в начале текста — к первому).
+ * start/end — смещения в UTF-16, как кластеры HarfBuzz.
+ */
+export function itemizeScriptRuns(text) {
+  const runs = [];
+  let current = null;
+  let offset = 0;
+  for (const char of text) {
+    const script = getCharScript(char);
+    if (!current || (script && current.script && script !== current.script)) {
+      current = { start: offset, end: offset, script };
+      runs.push(current);
+    } else if (script && !current.script) {
+      current.script = script;
+    }
+    offset += char.length;
+    current.end = offset;
+  }
+  return runs.map((run) => ({ ...run, text: text.slice(run.start, run.end) }));
+}
+
+/**
+ * Явно заданные свойства ставим в буфер, остальные угадывает HarfBuzz.
+ * 'Zzzz' (неизвестный скрипт) оставляем на угадывание.
+ */
+export function applySegmentProperties(buffer, { script, language, direction } = {}) {
+  if (direction) buffer.setDirection(direction);
+  if (script && script !== 'Zzzz') buffer.setScript(script);
+  if (language) buffer.setLanguage(language);
+  buffer.guessSegmentProperties();
+}
+
+function resolveRunDirection(script, direction) {
+  if (direction) return direction;
+  return RTL_SCRIPTS.has(script) ? 'rtl' : 'ltr';
+}
+
+/**
+ * hb.shape() в harfbuzzjs принимает фичи строкой "liga=0,ccmp=0",
+ * а не массивом { tag, value } — конвертируем.
+ */
+export function toHbFeatureString(features) {
+  if (!features || !Array.isArray(features) || features.length === 0) return undefined;
+  return features.map(({ tag, value }) => `${tag}=${value}`).join(',');
+}
+
+// ─── Шейпинг ──────────────────────────────────────────────────────────────
+
+/**
+ * glyphId после шейпинга строки кхмерским сегментом (проверки покрытия).
+ */
+export function shapeGlyphIds(hb, hbFont, text) {
+  const buf = hb.createBuffer();
+  buf.addText(text);
+  applySegmentProperties(buf, KHMER_SEGMENT);
+  hb.shape(hbFont, buf);
+  const glyphIds = buf.json().map((rec) => rec.g);
+  buf.destroy();
+  return glyphIds;
+}
+
+/**
+ * Шейпим runs текста одним шрифтом. cl в записях — смещения от начала text.
+ * sharedBuffer — переиспользуемый буфер (batch), иначе буфер на каждый run.
+ */
+function shapeRunRecords(hb, hbFont, runs, options, sharedBuffer = null) {
+  const records = [];
+  for (const run of runs) {
+    const buffer = sharedBuffer || hb.createBuffer();
+    if (sharedBuffer) sharedBuffer.clearContents();
+    buffer.setClusterLevel(options.clusterLevel);
+    buffer.addText(run.text);
+    applySegmentProperties(buffer, { script: run.script, language: options.language, direction: options.direction });
+    hb.shape(hbFont, buffer, toHbFeatureString(options.features));
+    for (const rec of buffer.json()) {
+      records.push({ ...rec, cl: rec.cl + run.start, run: run.info });
+    }
+    if (!sharedBuffer) buffer.destroy();
+  }
+  return records;
+}
+
+function hasNotdef(records) {
+  return records.some((rec) => rec.g === 0);
+}
+
+/**
+ * Шейпинг текста в глифы формата /api/shape.
+ *
+ * @param {object} hb — экземпляр harfbuzzjs
+ * @param {string} rawText
+ * @param {object} options — { fontId, clusterLevel, features, script, language, direction, quiet, contours }
+ *   (contours — добавить компонентам отдельные контуры, см. glyphContours.js)
+ * @param {object} host — то, что зависит от окружения:
+ *   getShaper(fontId) → { hbFont, otFont, fontEntry: { id, label, file, faceIndex }, variations };
+ *   getFallbackChain(primaryFontId) → id fallback-шрифтов по порядку;
+ *   getOutline(shaper, glyphId) → { d, bb } (может кэшировать);
+ *   getBuffer(fontId) → переиспользуемый буфер или null
+ * @returns {Promise<Array>}
+ */
+export async function shapeGlyphs(hb, rawText, options, host) {
+  const text = (rawText || '').normalize('NFC');
+  if (!text) return [];
+
+  const primary = await host.getShaper(options.fontId);
+  const clusterLevel = options.clusterLevel !== undefined ? options.clusterLevel : 0;
+  const features = options.features || null;
+  const getBuffer = host.getBuffer || (() => null);
+  // quiet — для batch, чтобы не писать лог на каждое слово
+  const log = options.quiet ? () => {} : console.log;
+  if (features && Array.isArray(features)) {
+    log('[shape] Using features:', features);
+  } else {
+    log('[shape] No features, default shaping');
+  }
+  const shapeOptions = { clusterLevel, features, language: options.language, direction: options.direction };
+
+  // Явный script → один run на весь текст; иначе itemization по скриптам
+  const runs = (options.script
+    ? [{ start: 0, end: text.length, script: options.script, text }]
+    : itemizeScriptRuns(text)
+  ).map((run, runIndex) => ({
+    ...run,
+    info: {
+      index: runIndex,
+      start: run.start,
+      end: run.end,
+      script: run.script && run.script !== 'Zzzz' ? run.script : null,
+      language: options.language || null,
+      direction: resolveRunDirection(run.script, options.direction),
+    },
+  }));
+
+  const shaped = shapeRunRecords(hb, primary.hbFont, runs, shapeOptions, getBuffer(primary.fontEntry.id));
+  log('[shape] Shaped glyphs:', shaped.length, 'runs:', runs.length, 'font:', primary.fontEntry.id);
+
+  const clusters = new Map();
+  let globalX = 0;
+
+  for (let i = 0; i < shaped.length; i++) {
+    const glyph = shaped[i];
+    const cl = glyph.cl;
+    if (!clusters.has(cl)) clusters.set(cl, { glyphRecords: [], baseX: globalX, run: glyph.run, shaper: primary });
+    clusters.get(cl).glyphRecords.push(glyph);
+  }
+
+  const sortedClusters = Array.from(clusters.entries()).sort((a, b) => a[0] - b[0]);
+
+  // ── Fallback: кластеры с .notdef перешейпим следующими шрифтами цепочки ──
+  const fallbackChain = host.getFallbackChain(primary.fontEntry.id);
+  for (let index = 0; index < sortedClusters.length && fallbackChain.length > 0; index++) {
+    const [cl, cluster] = sortedClusters[index];
+    if (!hasNotdef(cluster.glyphRecords)) continue;
+    const clusterEnd = sortedClusters[index + 1]?.[0] ?? text.length;
+    const clusterRun = [{
+      start: cl,
+      text: text.slice(cl, clusterEnd),
+      script: runs[cluster.run.index].script,
+      info: cluster.run,
+    }];
+    for (const fallbackId of fallbackChain) {
+      const fallback = await host.getShaper(fallbackId);
+      const records = shapeRunRecords(hb, fallback.hbFont, clusterRun, shapeOptions, getBuffer(fallback.fontEntry.id));
+      if (records.length === 0 || hasNotdef(records)) continue;
+      log('[shape] Fallback cluster', cl, '→', fallback.fontEntry.id);
+      cluster.glyphRecords = records.map((rec) => ({ ...rec, cl }));
+      cluster.shaper = fallback;
+      break;
+    }
+  }
+
+  const result = [];
+
+  for (const [cl, { glyphRecords, run, shaper }] of sortedClusters) {
+    const nextCluster = sortedClusters.find(c => c[0] > cl)?.[0] ?? text.length;
+    const clusterStart = cl;
+    const clusterEnd = nextCluster;
+    const clusterText = text.slice(clusterStart, clusterEnd);
+    const chars = Array.from(clusterText);
+    const codePoints = chars.map(c => c.codePointAt(0));
+    const primaryChar = chars.find(c => isKhmerConsonantChar(c)) || chars[0] || '';
+    const hasCoeng = codePoints.includes(0x17d2);
+    const hasSubscriptConsonant = chars.some((c, i) => codePoints[i - 1] === 0x17d2 && isKhmerConsonantChar(c));
+    const hasDependentVowel = chars.some(c => isKhmerDependentVowel(c));
+    const hasDiacritic = chars.some(c => isKhmerDiacriticOrSign(c));
+
+    // Координаты fallback-шрифта приводим к unitsPerEm основного шрифта
+    const { otFont, fontEntry, variations } = shaper;
+    const scale = primary.otFont.unitsPerEm / otFont.unitsPerEm;
+
+    const components = [];
+    let clusterAdvance = 0;
+    let clusterPenX = globalX;
+
+    for (let i = 0; i < glyphRecords.length; i++) {
+      const rec = glyphRecords[i];
+      const { d, bb } = await host.getOutline(shaper, rec.g);
+      const x = clusterPenX + rec.dx * scale;
+      const y = -rec.dy * scale;
+      const scaledD = scalePathData(d, scale);
+
+      components.push({
+        hbGlyphId: rec.g,
+        d: scaledD,
+        bb: scaleBBox(bb, scale),
+        ...(options.contours && { contours: splitGlyphContours(scaledD) }),
+        x,
+        y,
+        advance: rec.ax * scale,
+        clusterIndex: i,
+      });
+
+      clusterPenX += rec.ax * scale;
+      clusterAdvance += rec.ax * scale;
+    }
+
+    const glyphObj = {
+      id: result.length,
+      cluster: cl,
+      clusterStart,
+      clusterEnd,
+      clusterText,
+      chars,
+      codePoints,
+      primaryChar,
+      hasCoeng,
+      hasSubscriptConsonant,
+      hasDependentVowel,
+      hasDiacritic,
+      components,
+      d: components[0]?.d || '',
+      bb: components[0]?.bb || { ...EMPTY_BBOX },
+      advance: clusterAdvance,
+      x: components[0]?.x || globalX,
+      y: components[0]?.y || 0,
+      run,
+      fontInfo: {
+        fontId: fontEntry.id,
+        fontLabel: fontEntry.label,
+        fontFile: fontEntry.file,
+        faceIndex: fontEntry.faceIndex,
+        fontName: otFont.names.fullName?.en || 'Unknown',
+        fontVersion: otFont.names.version?.en || 'Unknown',
+        unitsPerEm: otFont.unitsPerEm,
+        variations,
+        // fallback: кластер отрисован не основным шрифтом; scale — множитель к его единицам
+        fallback: fontEntry.id !== primary.fontEntry.id,
+        scale
+      }
+    };
+
+    result.push(glyphObj);
+    globalX += clusterAdvance;
+  }
+
+  return result;
+}
+
+/**
+ * Предупреждения /api/v2/shape: фича не определена в шрифте, кластеры
+ * из fallback-шрифтов, .notdef в результате.
+ *
+ * @param {Array} glyphs — результат shapeGlyphs
+ * @param {string} fontId — основной шрифт запроса
+ * @param {Array<{ tag: string }>} features — запрошенные фичи
+ * @param {string[]} fontFeatureTags — фичи шрифта (readFontFeatures().features)
+ */
+export function collectShapeWarnings(glyphs, fontId, features, fontFeatureTags) {
+  const warnings = [];
+  for (const { tag } of features) {
+    if (!fontFeatureTags.includes(tag)) {
+      warnings.push({ code: 'feature_not_in_font', message: `Font ${fontId} has no "${tag}" feature`, tag });
+    }
+  }
+
+  const fallbackGlyphs = glyphs.filter((glyph) => glyph.fontInfo.fallback);
+  if (fallbackGlyphs.length) {
+    warnings.push({
+      code: 'fallback_font_used',
+      message: `${fallbackGlyphs.length} cluster(s) shaped with a fallback font`,
+      clusters: fallbackGlyphs.map((glyph) => glyph.cluster),
+      fontIds: [...new Set(fallbackGlyphs.map((glyph) => glyph.fontInfo.fontId))],
+    });
+  }
+
+  const missingGlyphs = glyphs.filter((glyph) => glyph.components.some((comp) => comp.hbGlyphId === 0));
+  if (missingGlyphs.length) {
+    warnings.push({
+      code: 'missing_glyphs',
+      message: `${missingGlyphs.length} cluster(s) contain .notdef`,
+      clusters: missingGlyphs.map((glyph) => glyph.cluster),
+    });
+  }
+  return warnings;
+}
+
+// ─── Метрики ──────────────────────────────────────────────────────────────
+
+/**
+ * Шейпим одну строку и возвращаем список компонентов с bbox.
+ * Используется внутри buildFontMetrics для изоляции символов.
+ */
+function shapeString(hb, hbFont, otFont, text, instanceFont = null) {
+  const buf = hb.createBuffer();
+  buf.setClusterLevel(2); // уровень 2 = каждый символ отдельно
+  buf.addText(text);
+  applySegmentProperties(buf, KHMER_SEGMENT);
+  hb.shape(hbFont, buf);
+  const records = buf.json();
+  buf.destroy();
+
+  return records.map((rec) => {
+    const { bb } = getGlyphPathAndBBox(otFont, rec.g, instanceFont);
+    return { glyphId: rec.g, cp: rec.cl, bb };
+  });
+}
+
+function getRecordsBBox(records) {
+  return {
+    x1: Math.min(...records.map(r => r.bb.x1)),
+    y1: Math.min(...records.map(r => r.bb.y1)),
+    x2: Math.max(...records.map(r => r.bb.x2)),
+    y2: Math.max(...records.map(r => r.bb.y2)),
+  };
+}
+
+/**
+ * Подписная форма X под базой: шейпим "база + ្ + X".
+ * baseRec — { glyphId, bb } базы в изоляции (consonants[baseCp]).
+ */
+function measureSubscript(hb, hbFont, otFont, baseCp, baseRec, cp, instanceFont) {
+  const records = shapeString(hb, hbFont, otFont, String.fromCodePoint(baseCp, COENG, cp), instanceFont);
+  if (!records.length) return null;
+
+  const clusterBB = getRecordsBBox(records);
+
+  // Если шейпер разбил на 2+ компонента — берём нижний (с наибольшим y1)
+  if (records.length >= 2) {
+    const subComp = records.reduce((a, b) => a.bb.y1 > b.bb.y1 ? a : b);
+    return { glyphId: subComp.glyphId, bb: subComp.bb, clusterBB };
+  }
+
+  // Слитный глиф — вычитаем bbox базовой согласной по Y
+  // Верхняя граница подписной ≈ нижняя граница тела базы
+  const baseBodyY2 = baseRec ? baseRec.bb.y2 : clusterBB.y1 + (clusterBB.y2 - clusterBB.y1) * 0.6;
+  return {
+    glyphId: records[0].glyphId,
+    bb: {
+      x1: clusterBB.x1,
+      y1: baseBodyY2,
+      x2: clusterBB.x2,
+      y2: clusterBB.y2,
+    },
+    clusterBB,
+    merged: true, // флаг: подписная слита с базой
+  };
+}
+
+/**
+ * Зависимая гласная при базе: шейпим "база + гласная" и вычитаем bbox базы.
+ */
+function measureVowel(hb, hbFont, otFont, baseCp, baseRec, cp, instanceFont) {
+  const records = shapeString(hb, hbFont, otFont, String.fromCodePoint(baseCp, cp), instanceFont);
+  if (!records.length) return null;
+
+  const clusterBB = getRecordsBBox(records);
+
+  if (records.length >= 2) {
+    // Несколько компонентов — каждый описываем отдельно
+    // Базовый компонент = тот, что совпадает с изолированной базой по glyphId
+    const baseGlyphId = baseRec?.glyphId;
+    const vowelComponents = records.filter(r => r.glyphId !== baseGlyphId);
+    const primaryVowelComp = records.find(r => r.glyphId !== baseGlyphId) || records[records.length - 1];
+
+    return {
+      glyphId: primaryVowelComp.glyphId,
+      bb: primaryVowelComp.bb,
+      clusterBB,
+      components: vowelComponents.map(r => ({ glyphId: r.glyphId, bb: r.bb })),
+      multipart: vowelComponents.length > 1,
+    };
+  }
+
+  // Слитный глиф — определяем зону гласной как разницу с bbox базы
+  const baseBB = baseRec?.bb;
+  return {
+    glyphId: records[0].glyphId,
+    bb: records[0].bb,
+    clusterBB,
+    components: [],
+    multipart: false,
+    merged: true,
+    // Для слитных сохраняем разницу: насколько кластер шире/выше/ниже базы
+    delta: baseBB ? {
+      top:    baseBB.y1 - clusterBB.y1,   // сколько гласная выступает вверх
+      bottom: clusterBB.y2 - baseBB.y2,   // сколько выступает вниз
+      left:   baseBB.x1 - clusterBB.x1,   // сколько выступает влево
+      right:  clusterBB.x2 - baseBB.x2,   // сколько выступает вправо
+    } : null,
+  };
+}
+
+/**
+ * Строим полные метрики для шрифта.
+ *
+ * Возвращает объект:
+ * {
+ *   unitsPerEm,
+ *   consonants: {
+ *     [codePoint]: { glyphId, bb }   // bb согласной в изоляции
+ *   },
+ *   subscripts: {
+ *     [codePoint]: { glyphId, bb }   // bb подписной формы (coeng + согласная)
+ *   },
+ *   vowels: {
+ *     [codePoint]: {
+ *       glyphId,
+ *       bb,
+ *       components: [{ glyphId, bb }]  // если гласная → несколько глифов
+ *     }
+ *   },
+ *   diacritics: {
+ *     [codePoint]: { glyphId, bb }
+ *   }
+ * }
+ *
+ * Для каждой подписной шейпим пару "ក + coeng + X" и вычитаем bbox ក,
+ * чтобы получить bbox только подписной части. Те же замеры для остальных баз —
+ * buildPairMetrics.
+ *
+ * instanceFont — hbFont с вариациями (для вариативных шрифтов), иначе null.
+ */
+export async function buildFontMetrics(hb, hbFont, otFont, instanceFont = null) {
+  const unitsPerEm = otFont.unitsPerEm;
+
+  // ── 1. БАЗОВЫЕ СОГЛАСНЫЕ в изоляции ─────────────────────────────────────
+  const consonants = {};
+  for (const cp of KHMER_CONSONANTS) {
+    const char = String.fromCodePoint(cp);
+    const [rec] = shapeString(hb, hbFont, otFont, char, instanceFont);
+    if (rec && (rec.bb.x2 - rec.bb.x1 > 0)) {
+      consonants[cp] = { glyphId: rec.glyphId, bb: rec.bb };
+    }
+  }
+
+  // ── 2. ПОДПИСНЫЕ ФОРМЫ: шейпим "ក + ្ + X" ───────────────────────────
+  const subscripts = {};
+  for (const cp of KHMER_CONSONANTS) {
+    const entry = measureSubscript(hb, hbFont, otFont, BASE_CONSONANT, consonants[BASE_CONSONANT], cp, instanceFont);
+    if (entry) subscripts[cp] = entry;
+  }
+
+  // ── 3. ГЛАСНЫЕ: шейпим "ក + гласная" ─────────────────────────────────
+  const vowels = {};
+  for (const cp of KHMER_DEP_VOWELS) {
+    const entry = measureVowel(hb, hbFont, otFont, BASE_CONSONANT, consonants[BASE_CONSONANT], cp, instanceFont);
+    if (entry) vowels[cp] = entry;
+  }
+
+  // ── 4. НЕЗАВИСИМЫЕ ГЛАСНЫЕ в изоляции ────────────────────────────────────
+  const indepVowels = {};
+  for (const cp of KHMER_INDEP_VOWELS) {
+    const char = String.fromCodePoint(cp);
+    const [rec] = shapeString(hb, hbFont, otFont, char, instanceFont);
+    if (rec && (rec.bb.x2 - rec.bb.x1 > 0)) {
+      indepVowels[cp] = { glyphId: rec.glyphId, bb: rec.bb };
+    }
+  }
+
+  // ── 5. ДИАКРИТИКИ: шейпим "ក + диакритик" ────────────────────────────────
+  const diacritics = {};
+
+  for (const cp of KHMER_DIACRITICS) {
+    const diaStr = String.fromCodePoint(BASE_CONSONANT, cp);
+    const records = shapeString(hb, hbFont, otFont, diaStr, instanceFont);
+
+    if (!records.length) continue;
+
+    const clusterBB = getRecordsBBox(records);
+
+    const baseGlyphId = consonants[BASE_CONSONANT]?.glyphId;
+    if (records.length >= 2) {
+      const diaComp = records.find(r => r.glyphId !== baseGlyphId) || records[records.length - 1];
+      diacritics[cp] = { glyphId: diaComp.glyphId, bb: diaComp.bb, clusterBB };
+    } else {
+      // Слитный — диакритик выступает сверху
+      const baseBB = consonants[BASE_CONSONANT]?.bb;
+      diacritics[cp] = {
+        glyphId: records[0].glyphId,
+        bb: records[0].bb,
+        clusterBB,
+        merged: true,
+        delta: baseBB ? {
+          top: baseBB.y1 - clusterBB.y1,
+        } : null,
+      };
+    }
+  }
+
+  return { unitsPerEm, consonants, subscripts, vowels, indepVowels, diacritics };
+}
+
+/**
+ * Матрицы «согласная × подписная» и «согласная × гласная»: те же замеры, что
+ * subscripts/vowels в buildFontMetrics, но для каждой базы из metrics.consonants,
+ * а не только ក. Широкие и высокие базы (ញ, ឈ, ហ) сдвигают подписные и гласные,
+ * и bbox, снятые с ក, к ним не подходят.
+ *
+ * Около 1800 шейпингов на шрифт — сервер строит матрицы только по запросу
+ * (/api/metrics?pairs=1) и кэширует вместе с метриками.
+ *
+ * @param {object} metrics — результат buildFontMetrics для того же шрифта
+ * @returns {{ subscripts: { [baseCp]: { [cp]: object } }, vowels: { [baseCp]: { [cp]: object } } }}
+ */
+export async function buildPairMetrics(hb, hbFont, otFont, metrics, instanceFont = null) {
+  const subscripts = {};
+  const vowels = {};
+
+  for (const [baseKey, baseRec] of Object.entries(metrics.consonants)) {
+    const baseCp = Number(baseKey);
+    subscripts[baseCp] = {};
+    vowels[baseCp] = {};
+    for (const cp of KHMER_CONSONANTS) {
+      const entry = measureSubscript(hb, hbFont, otFont, baseCp, baseRec, cp, instanceFont);
+      if (entry) subscripts[baseCp][cp] = entry;
+    }
+    for (const cp of KHMER_DEP_VOWELS) {
+      const entry = measureVowel(hb, hbFont, otFont, baseCp, baseRec, cp, instanceFont);
+      if (entry) vowels[baseCp][cp] = entry;
+    }
+  }
+
+  return { subscripts, vowels };
+}
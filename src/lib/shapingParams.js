@@ -0,0 +1,115 @@
+/**
+ * shapingParams.js
+ *
+ * Разбор параметров шейпинга (query /api/shape, /api/v2/shape, batch и
+ * wasm-бэкенда) и лимиты входа. Сервер и браузер используют один и тот же
+ * код, поэтому на одинаковый ввод отвечают одинаковыми кодами ошибок.
+ *
+ * Ошибки — Error с полями statusCode и code, как createHttpError на сервере.
+ */
+
+// Лимиты по умолчанию; сервер переопределяет их переменными окружения
+export const MAX_TEXT_LENGTH = 2000;
+export const MAX_FEATURES = 64;
+
+export const FEATURE_TAG_PATTERN = /^[\x20-\x7E]{4}$/;
+const HB_DIRECTIONS = new Set(['ltr', 'rtl', 'ttb', 'btt']);
+
+/**
+ * @param {string} code — машинный код (text_too_long, invalid_feature, font_not_found, ...)
+ * @param {string} message
+ * @param {number} [statusCode=400]
+ */
+export function createShapingError(code, message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+export function assertTextLength(text, maxTextLength = MAX_TEXT_LENGTH) {
+  if (text.length > maxTextLength) {
+    throw createShapingError('text_too_long', `Text is longer than ${maxTextLength} characters`);
+  }
+}
+
+/**
+ * Разбор features: "liga:0,kern:1" → [{ tag, value }].
+ * Ошибка в любой паре — invalid_feature, а не молча пропущенная фича.
+ */
+export function parseFeatures(featuresStr, maxFeatures = MAX_FEATURES) {
+  if (!featuresStr) return [];
+  const pairs = String(featuresStr).split(',');
+  if (pairs.length > maxFeatures) {
+    throw createShapingError('too_many_features', `Too many features: ${pairs.length} (max ${maxFeatures})`);
+  }
+  return pairs.map((pair) => {
+    const [tag, valueStr, ...rest] = pair.trim().split(':');
+    const value = Number(valueStr);
+    if (!FEATURE_TAG_PATTERN.test(tag || '') || rest.length || !Number.isInteger(value) || value < 0) {
+      throw createShapingError('invalid_feature', `Invalid feature "${pair.trim()}": expected tag:value, e.g. liga:0`);
+    }
+    return { tag, value };
+  });
+}
+
+export function parseClusterLevel(clusterLevelStr) {
+  if (!clusterLevelStr) return 0;
+  if (!['0', '1', '2'].includes(clusterLevelStr)) {
+    throw createShapingError('invalid_cluster_level', `Invalid clusterLevel "${clusterLevelStr}": expected 0, 1 or 2`);
+  }
+  return Number(clusterLevelStr);
+}
+
+/**
+ * Разбор параметра variations: "wght:700,wdth:80" → { wght: 700, wdth: 80 }.
+ * Невалидные пары пропускаются.
+ */
+export function parseVariations(variationsStr) {
+  if (typeof variationsStr !== 'string' || !variationsStr) return null;
+  const variations = {};
+  for (const pair of variationsStr.split(',')) {
+    const [tag, valueStr] = pair.trim().split(':');
+    const value = Number(valueStr);
+    if (tag && tag.trim() && valueStr !== undefined && valueStr.trim() !== '' && Number.isFinite(value)) {
+      variations[tag.trim()] = value;
+    }
+  }
+  return Object.keys(variations).length > 0 ? variations : null;
+}
+
+export function toVariationsKey(variations) {
+  if (!variations) return '';
+  return Object.keys(variations).sort().map((tag) => `${tag}:${variations[tag]}`).join(',');
+}
+
+// ─── Сегментные свойства буфера: script / language / direction ─────────────
+// Невалидное значение — null: свойство угадывается по тексту
+
+export function parseScript(scriptStr) {
+  if (typeof scriptStr !== 'string' || !/^[A-Za-z]{4}$/.test(scriptStr.trim())) return null;
+  const tag = scriptStr.trim();
+  return tag[0].toUpperCase() + tag.slice(1).toLowerCase();
+}
+
+export function parseLanguage(languageStr) {
+  if (typeof languageStr !== 'string') return null;
+  const language = languageStr.trim();
+  return /^[A-Za-z]{2,8}(-[A-Za-z0-9]{1,8})*$/.test(language) ? language : null;
+}
+
+export function parseDirection(directionStr) {
+  if (typeof directionStr !== 'string') return null;
+  const direction = directionStr.trim().toLowerCase();
+  return HB_DIRECTIONS.has(direction) ? direction : null;
+}
+
+/**
+ * Разбор параметра fallback: "odormeanchey,suwannaphum" → список id,
+ * "none" → [] (без fallback), пусто → null (порядок каталога).
+ */
+export function parseFallback(fallbackStr) {
+  if (typeof fallbackStr !== 'string' || !fallbackStr.trim()) return null;
+  if (fallbackStr.trim() === 'none') return [];
+  return fallbackStr.split(',').map((id) => id.trim()).filter(Boolean);
+}
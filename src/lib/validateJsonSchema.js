@@ -0,0 +1,105 @@
+/**
+ * validateJsonSchema.js
+ *
+ * Минимальный валидатор JSON Schema (draft-07) для схем API из server/schemas:
+ * type, enum, required, properties, additionalProperties, propertyNames,
+ * items, minimum/maximum, pattern, oneOf/anyOf и локальные $ref (#/definitions/...).
+ * Остальные ключевые слова игнорируются.
+ *
+ * Используется сервером в режиме VALIDATE_RESPONSES=1 и тестами.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function resolveRef(rootSchema, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key], rootSchema);
+}
+
+function validateNode(schema, value, pointer, rootSchema, errors) {
+  if (schema.$ref) {
+    const target = resolveRef(rootSchema, schema.$ref);
+    if (!target) {
+      errors.push({ path: pointer, message: `unresolved $ref ${schema.$ref}` });
+      return;
+    }
+    validateNode(target, value, pointer, rootSchema, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path: pointer, message: `expected ${types.join('|')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => option === value)) {
+    errors.push({ path: pointer, message: `expected one of ${JSON.stringify(schema.enum)}` });
+  }
+
+  if (schema.oneOf || schema.anyOf) {
+    const options = schema.oneOf || schema.anyOf;
+    const matched = options.filter((option) => validateJsonSchema(option, value, rootSchema).length === 0).length;
+    if (schema.oneOf ? matched !== 1 : matched === 0) {
+      errors.push({ path: pointer, message: `does not match ${schema.oneOf ? 'exactly one' : 'any'} of the allowed schemas` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: pointer, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: pointer, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path: pointer, message: `does not match ${schema.pattern}` });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateNode(schema.items, item, `${pointer}/${index}`, rootSchema, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: pointer, message: `missing required property "${key}"` });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPointer = `${pointer}/${key}`;
+      if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+        errors.push({ path: childPointer, message: `property name does not match ${schema.propertyNames.pattern}` });
+      }
+      if (schema.properties?.[key]) {
+        validateNode(schema.properties[key], child, childPointer, rootSchema, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPointer, message: 'additional property is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, child, childPointer, rootSchema, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Проверить значение по схеме.
+ *
+ * @param {object} schema       — JSON Schema (или её фрагмент)
+ * @param {*} value             — проверяемое значение
+ * @param {object} [rootSchema] — корень для $ref; по умолчанию сама schema
+ * @returns {Array<{ path: string, message: string }>} пустой массив — значение валидно
+ */
+export function validateJsonSchema(schema, value, rootSchema = schema) {
+  const errors = [];
+  validateNode(schema, value, '', rootSchema, errors);
+  return errors;
+}
@@ -0,0 +1,257 @@
+/**
+ * wasmShaping.js
+ *
+ * Шейпинг без Node-сервера: harfbuzzjs (public/wasm/hb.js + hb.wasm) и opentype.js
+ * прямо в браузере. Шрифты — файлы из /fonts, их список — fonts/index.json
+ * (тот же объект, что GET /api/fonts; см. vite.config.js).
+ *
+ * Глифы и метрики строит shapingCore.js — тот же код, что на сервере, поэтому
+ * shape() возвращает конверт /api/v2/shape, а fetchMetrics() — объект /api/metrics.
+ *
+ * Чего нет без сервера: загрузки/удаления шрифтов, трассировки, инспектора глифов,
+ * WOFF/WOFF2 и коллекций TTC/OTC (их раскодирует только сервер).
+ */
+
+import hbjs from 'harfbuzzjs/hbjs.js';
+import opentype from 'opentype.js';
+import {
+  buildFontMetrics,
+  buildPairMetrics,
+  collectShapeWarnings,
+  getGlyphPathAndBBox,
+  normalizeVariations,
+  readFontFeatures,
+  shapeGlyphs,
+} from './shapingCore.js';
+import { readFontMarkAnchors } from './gposAnchors.js';
+import {
+  assertTextLength,
+  createShapingError,
+  parseClusterLevel,
+  parseDirection,
+  parseFallback,
+  parseFeatures,
+  parseLanguage,
+  parseScript,
+  parseVariations,
+  toVariationsKey,
+} from './shapingParams.js';
+
+const FONTS_MANIFEST = 'fonts/index.json';
+// opentype.js и HarfBuzz в браузере читают только SFNT
+const BROWSER_FONT_EXTENSIONS = new Set(['ttf', 'otf']);
+
+function getBaseUrl() {
+  return import.meta.env?.BASE_URL || '/';
+}
+
+// ─── HarfBuzz ─────────────────────────────────────────────────────────────
+
+// hb.js — emscripten-фабрика без ESM-экспорта: подключаем обычным <script>
+function loadHarfBuzzScript(src) {
+  if (globalThis.createHarfBuzz) return Promise.resolve(globalThis.createHarfBuzz);
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = () => resolve(globalThis.createHarfBuzz);
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Экземпляр harfbuzzjs из public/wasm — тот же API, что require('harfbuzzjs') на сервере.
+ */
+export async function loadBrowserHarfBuzz(baseUrl = getBaseUrl()) {
+  const createHarfBuzz = await loadHarfBuzzScript(`${baseUrl}wasm/hb.js`);
+  const wasmModule = await createHarfBuzz({ locateFile: (file) => `${baseUrl}wasm/${file}` });
+  return hbjs(wasmModule);
+}
+
+// ─── Бэкенд ───────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] — откуда брать fonts/ и wasm/ (по умолчанию BASE_URL сборки)
+ * @param {() => Promise<object>} [options.loadHarfBuzz] — экземпляр harfbuzzjs
+ * @param {typeof fetch} [options.fetch]
+ */
+export function createWasmShapingBackend(options = {}) {
+  const baseUrl = options.baseUrl ?? getBaseUrl();
+  const loadHarfBuzz = options.loadHarfBuzz || (() => loadBrowserHarfBuzz(baseUrl));
+  const fetchImpl = options.fetch || globalThis.fetch.bind(globalThis);
+
+  let hbPromise = null;
+  let catalogPromise = null;
+  // fontId → Promise<шейпер>; instances — hbFont с вариациями, outlines — контуры глифов
+  const shapers = new Map();
+  // "fontId@wght:700" → метрики
+  const metricsCache = new Map();
+
+  function getHarfBuzz() {
+    if (!hbPromise) hbPromise = loadHarfBuzz();
+    return hbPromise;
+  }
+
+  async function fetchJson(pathAndQuery) {
+    const response = await fetchImpl(`${baseUrl}${pathAndQuery}`);
+    if (!response.ok) throw new Error(`${pathAndQuery} returned ${response.status}`);
+    return response.json();
+  }
+
+  /**
+   * Список шрифтов в формате /api/fonts. Шрифты, которые браузер не прочитает,
+   * помечаются недоступными (reason: "unsupported_in_browser").
+   */
+  function fetchFonts() {
+    if (!catalogPromise) {
+      catalogPromise = fetchJson(FONTS_MANIFEST)
+        .then((manifest) => {
+          const fonts = (manifest.fonts || []).map((font) => {
+            const extension = font.file.split('.').pop().toLowerCase();
+            if (!font.available || (BROWSER_FONT_EXTENSIONS.has(extension) && font.faceIndex === 0)) return font;
+            return { ...font, available: false, reason: 'unsupported_in_browser' };
+          });
+          const defaultFont = fonts.find((font) => font.id === manifest.defaultFontId && font.available)
+            || fonts.find((font) => font.available);
+          return { fonts, defaultFontId: defaultFont?.id || null };
+        })
+        .catch((error) => {
+          catalogPromise = null;
+          throw error;
+        });
+    }
+    return catalogPromise;
+  }
+
+  async function resolveFont(fontId) {
+    const { fonts, defaultFontId } = await fetchFonts();
+    const id = !fontId || fontId === 'auto' ? defaultFontId : fontId;
+    const font = fonts.find((entry) => entry.id === id && entry.available);
+    if (!font) throw createShapingError('font_not_found', `Unknown font id: ${fontId}`, 404);
+    return font;
+  }
+
+  async function loadShaper(font) {
+    const hb = await getHarfBuzz();
+    const response = await fetchImpl(`${baseUrl}fonts/${encodeURIComponent(font.file)}`);
+    if (!response.ok) throw new Error(`fonts/${font.file} returned ${response.status}`);
+    const arrayBuffer = await response.arrayBuffer();
+    const hbBlob = hb.createBlob(arrayBuffer);
+    const hbFace = hb.createFace(hbBlob, 0);
+    return {
+      hbFace,
+      hbFont: hb.createFont(hbFace),
+      otFont: opentype.parse(arrayBuffer),
+      fontEntry: { id: font.id, label: font.label, file: font.file, faceIndex: font.faceIndex },
+      axes: font.axes || [],
+      instances: new Map(),
+      outlines: new Map(),
+    };
+  }
+
+  async function getShaper(fontId, variations = null) {
+    const font = await resolveFont(fontId);
+    if (!shapers.has(font.id)) {
+      shapers.set(font.id, loadShaper(font).catch((error) => {
+        shapers.delete(font.id);
+        throw error;
+      }));
+    }
+    const shaper = await shapers.get(font.id);
+    const instanceVariations = normalizeVariations(variations, shaper.axes);
+    if (!instanceVariations) return { ...shaper, variations: null };
+
+    const key = toVariationsKey(instanceVariations);
+    if (!shaper.instances.has(key)) {
+      const hb = await getHarfBuzz();
+      const instanceFont = hb.createFont(shaper.hbFace);
+      instanceFont.setVariations(instanceVariations);
+      shaper.instances.set(key, instanceFont);
+    }
+    return { ...shaper, hbFont: shaper.instances.get(key), variations: instanceVariations };
+  }
+
+  // Контуры кэшируются на весь сеанс: глифов в шрифте — сотни, а не миллионы
+  function getOutline(shaper, glyphId) {
+    const key = `${toVariationsKey(shaper.variations)}:${glyphId}`;
+    if (!shaper.outlines.has(key)) {
+      shaper.outlines.set(key, getGlyphPathAndBBox(shaper.otFont, glyphId, shaper.variations ? shaper.hbFont : null));
+    }
+    return shaper.outlines.get(key);
+  }
+
+  async function fetchFontFeatures(fontId) {
+    const { hbFace, fontEntry } = await getShaper(fontId);
+    return { fontId: fontEntry.id, ...readFontFeatures(hbFace) };
+  }
+
+  /**
+   * @param {string} query — query-строка /api/v2/shape: "text=...&font=...&features=liga:0"
+   * @returns {Promise<object>} конверт { text, font, features, clusterLevel, glyphs, warnings }
+   */
+  async function shape(query) {
+    const params = new URLSearchParams(query);
+    const text = (params.get('text') || '').normalize('NFC');
+    assertTextLength(text);
+    const features = parseFeatures(params.get('features'));
+    const clusterLevel = parseClusterLevel(params.get('clusterLevel'));
+    const variations = parseVariations(params.get('variations'));
+    const fallback = parseFallback(params.get('fallback'));
+    const [hb, primary, { fonts }] = await Promise.all([
+      getHarfBuzz(),
+      getShaper(params.get('font') || 'auto', variations),
+      fetchFonts(),
+    ]);
+    const availableIds = fonts.filter((font) => font.available).map((font) => font.id);
+
+    const glyphs = await shapeGlyphs(hb, text, {
+      fontId: primary.fontEntry.id,
+      features: features.length ? features : null,
+      clusterLevel,
+      script: parseScript(params.get('script')),
+      language: parseLanguage(params.get('language')),
+      direction: parseDirection(params.get('direction')),
+      contours: params.get('contours') === '1',
+      quiet: true,
+    }, {
+      getShaper: (fontId) => getShaper(fontId, variations),
+      getFallbackChain: (primaryId) => {
+        const chain = Array.isArray(fallback) ? fallback.filter((id) => availableIds.includes(id)) : availableIds;
+        return Array.from(new Set(chain)).filter((id) => id !== primaryId);
+      },
+      getOutline,
+    });
+
+    const { fontEntry, otFont, hbFace } = primary;
+    return {
+      text,
+      font: { id: fontEntry.id, label: fontEntry.label, unitsPerEm: otFont.unitsPerEm, variations: primary.variations },
+      features,
+      clusterLevel,
+      glyphs,
+      warnings: collectShapeWarnings(glyphs, fontEntry.id, features, readFontFeatures(hbFace).features),
+    };
+  }
+
+  /**
+   * Метрики в формате /api/metrics?pairs=1&anchors=1. Считаются один раз на инстанс шрифта.
+   *
+   * @param {string} [fontId='auto']
+   * @param {string} [variations=''] — "wght:700,wdth:80"
+   */
+  async function fetchMetrics(fontId = 'auto', variations = '') {
+    const [hb, shaper] = await Promise.all([getHarfBuzz(), getShaper(fontId, parseVariations(variations))]);
+    const cacheKey = shaper.variations ? `${shaper.fontEntry.id}@${toVariationsKey(shaper.variations)}` : shaper.fontEntry.id;
+    if (!metricsCache.has(cacheKey)) {
+      const instanceFont = shaper.variations ? shaper.hbFont : null;
+      const metrics = await buildFontMetrics(hb, shaper.hbFont, shaper.otFont, instanceFont);
+      const pairs = await buildPairMetrics(hb, shaper.hbFont, shaper.otFont, metrics, instanceFont);
+      const anchors = readFontMarkAnchors(shaper.hbFace);
+      metricsCache.set(cacheKey, { fontId: shaper.fontEntry.id, variations: shaper.variations, ...metrics, pairs, anchors });
+    }
+    return metricsCache.get(cacheKey);
+  }
+
+  return { kind: 'wasm', fetchFonts, fetchFontFeatures, shape, fetchMetrics };
+}
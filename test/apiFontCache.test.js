@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { copyFileSync, mkdtempSync, readdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { setTimeout as delay } from 'node:timers/promises';
+
+import { FONTS_DIR, startServer } from './helpers/apiServer.js';
+
+const BATTAMBANG = 'KhmerOS_battambang.ttf';
+const ODOR_MEAN_CHEY = 'OdorMeanChey.ttf';
+
+// Подмена файла целиком: watcher видит уже готовый файл
+function replaceFont(fontsDir, file, sourceFile) {
+  const tmpPath = path.join(fontsDir, `${file}.tmp`);
+  copyFileSync(path.join(FONTS_DIR, sourceFile), tmpPath);
+  renameSync(tmpPath, path.join(fontsDir, file));
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await delay(100);
+  }
+  throw new Error('condition not met in time');
+}
+
+test('a replaced font file evicts the cached shaper and metrics of its id', async (t) => {
+  const request = await startServer(t, { fonts: [BATTAMBANG] });
+  const shapeFontName = async () => (await request(`/api/shape?text=${encodeURIComponent('ក')}&font=khmeros-battambang`)).body[0].fontInfo.fontName;
+
+  const before = await shapeFontName();
+  const metricsBefore = (await request('/api/metrics?font=khmeros-battambang')).body;
+
+  replaceFont(request.fontsDir, BATTAMBANG, ODOR_MEAN_CHEY);
+  const after = await waitFor(async () => {
+    const name = await shapeFontName();
+    return name !== before && name;
+  });
+  assert.equal(after, 'OdorMeanChey');
+
+  const metricsAfter = (await request('/api/metrics?font=khmeros-battambang')).body;
+  assert.notDeepEqual(metricsAfter.consonants[0x1780], metricsBefore.consonants[0x1780]);
+});
+
+test('metrics persist on disk by font content hash and are rebuilt on request', async (t) => {
+  const cacheDir = mkdtempSync(path.join(tmpdir(), 'khmer-metrics-shared-'));
+  t.after(() => rmSync(cacheDir, { recursive: true, force: true }));
+  const options = { fonts: [BATTAMBANG], env: { METRICS_CACHE_DIR: cacheDir } };
+  const cacheFiles = () => readdirSync(cacheDir).filter((file) => file.endsWith('.json')).sort();
+
+  const first = await startServer(t, options);
+  const built = (await first('/api/metrics?font=khmeros-battambang')).body;
+  const [cacheFile] = cacheFiles();
+  assert.match(cacheFile, /^[0-9a-f]{32}-hb[\d.]+-v\d+\.json$/);
+
+  // Второй сервер с тем же каталогом кэша берёт метрики с диска, а не строит заново
+  const persisted = JSON.parse(readFileSync(path.join(cacheDir, cacheFile), 'utf8'));
+  persisted.metrics.consonants[0x1780].glyphId = 9999;
+  writeFileSync(path.join(cacheDir, cacheFile), JSON.stringify(persisted));
+  const request = await startServer(t, options);
+  assert.equal((await request('/api/metrics?font=khmeros-battambang')).body.consonants[0x1780].glyphId, 9999);
+
+  const rebuilt = await request('/api/metrics/rebuild?font=khmeros-battambang', { method: 'POST' });
+  assert.deepEqual(rebuilt.body.rebuilt.map((entry) => entry.fontId), ['khmeros-battambang']);
+  assert.deepEqual((await request('/api/metrics?font=khmeros-battambang')).body.consonants, built.consonants);
+
+  // Другие байты под тем же именем файла — новый ключ; запись прежнего содержимого остаётся
+  replaceFont(request.fontsDir, BATTAMBANG, ODOR_MEAN_CHEY);
+  await waitFor(async () => (await request('/api/metrics?font=khmeros-battambang')).body.consonants[0x1780].glyphId
+    !== built.consonants[0x1780].glyphId);
+  assert.equal(cacheFiles().length, 2);
+  assert.ok(cacheFiles().includes(cacheFile));
+});
@@ -0,0 +1,220 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { setTimeout as delay } from 'node:timers/promises';
+import woff2 from 'wawoff2';
+
+import { buildFontCollection } from './helpers/fontFiles.js';
+import { FONTS_DIR, startServer } from './helpers/apiServer.js';
+
+const BATTAMBANG = 'KhmerOS_battambang.ttf';
+const SIEMREAP = 'KhmerOS_siemreap.ttf';
+const SUWANNAPHUM = 'Suwannaphum.ttf';
+const readFont = (file) => readFileSync(path.join(FONTS_DIR, file));
+
+const patchLabel = (request, fontId, label, headers = {}) => request(`/api/fonts/${encodeURIComponent(fontId)}`, {
+  method: 'PATCH',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify({ label }),
+});
+
+test('/api/fonts/:id/features lists the GSUB and GPOS tags of a bundled font', async (t) => {
+  const request = await startServer(t);
+
+  const { status, body } = await request('/api/fonts/khmeros-battambang/features');
+  assert.equal(status, 200);
+  assert.equal(body.fontId, 'khmeros-battambang');
+
+  const gsub = body.tables.GSUB;
+  assert.deepEqual(gsub.scripts.map((script) => script.tag), ['khmr']);
+  for (const tag of ['abvf', 'blwf', 'ccmp', 'pref', 'pres', 'psts']) assert.ok(gsub.features.includes(tag), tag);
+  assert.deepEqual([...body.tables.GPOS.features].sort(), ['abvm', 'blwm', 'mkmk']);
+  assert.deepEqual(body.features, [...gsub.features, ...body.tables.GPOS.features]);
+
+  const unknown = await request('/api/fonts/no-such-font/features');
+  assert.equal(unknown.status, 404);
+  assert.match(unknown.body.error, /no-such-font/);
+});
+
+test('/api/fonts reports Khmer coverage and name-table fields of bundled fonts', async (t) => {
+  const request = await startServer(t);
+
+  const { status, body } = await request('/api/fonts');
+  assert.equal(status, 200);
+  const byId = new Map(body.fonts.map((font) => [font.id, font]));
+
+  const noto = byId.get('notosanskhmer-variablefont-wdth-wght');
+  assert.equal(noto.names.family, 'Noto Sans Khmer');
+  assert.equal(noto.names.designer, 'Danh Hong and the Monotype Design Team');
+  assert.equal(noto.names.version, 'Version 2.004');
+  assert.match(noto.names.license, /SIL Open Font License/);
+  assert.deepEqual(
+    [noto.coverage.khmer.total, noto.coverage.khmer.supported.length, noto.coverage.khmer.missing],
+    [114, 114, []],
+  );
+  assert.deepEqual(noto.coverage.khmerSymbols.missing, []);
+  assert.deepEqual(noto.coverage.subscripts, { total: 35, broken: [] });
+
+  // В OdorMeanChey нет U+17B4/U+17B5, U+17DC/U+17DD, цифр лек аттак U+17F0–U+17F9 и блока Khmer Symbols
+  const odor = byId.get('odormeanchey');
+  assert.deepEqual(odor.names, { family: 'OdorMeanChey', designer: 'Danh Hong', version: 'Version 6.00 December 28, 2010', license: null });
+  assert.equal(odor.coverage.khmer.supported.length, 100);
+  assert.deepEqual(odor.coverage.khmer.missing, [
+    'U+17B4', 'U+17B5', 'U+17DC', 'U+17DD',
+    'U+17F0', 'U+17F1', 'U+17F2', 'U+17F3', 'U+17F4', 'U+17F5', 'U+17F6', 'U+17F7', 'U+17F8', 'U+17F9',
+  ]);
+  assert.deepEqual([odor.coverage.khmerSymbols.total, odor.coverage.khmerSymbols.supported.length], [32, 0]);
+});
+
+test('uploads are validated and stored in the fonts dir under a cleaned file name', async (t) => {
+  const request = await startServer(t, { fonts: [BATTAMBANG] });
+  const upload = (query, body) => request(`/api/fonts?${query}`, { method: 'POST', body });
+
+  for (const [query, body, status, code] of [
+    ['', readFont(SIEMREAP), 400, 'invalid_file_name'],
+    ['name=font.exe', readFont(SIEMREAP), 400, 'invalid_file_name'],
+    ['name=.ttf', readFont(SIEMREAP), 400, 'invalid_file_name'],
+    ['name=empty.ttf', Buffer.alloc(0), 400, 'empty_font'],
+    ['name=broken.ttf', Buffer.from('not a font'), 422, 'invalid_font'],
+  ]) {
+    const response = await upload(query, body);
+    assert.deepEqual([response.status, response.body.code], [status, code], query);
+    assert.equal(typeof response.body.error, 'string');
+  }
+
+  const name = encodeURIComponent('../../My Font!.ttf');
+  const created = await upload(`name=${name}&label=${encodeURIComponent('Siem Reap')}`, readFont(SIEMREAP));
+  assert.equal(created.status, 201);
+  assert.deepEqual([created.body.font.file, created.body.font.label, created.body.font.available], ['My_Font_.ttf', 'Siem Reap', true]);
+  // Только basename: ../../ не выводит файл из каталога шрифтов; временных файлов не остаётся
+  assert.deepEqual(readdirSync(request.fontsDir).sort(), [BATTAMBANG, 'My_Font_.ttf']);
+
+  const fonts = await request('/api/fonts');
+  assert.ok(fonts.body.fonts.some((font) => font.id === created.body.font.id && font.label === 'Siem Reap'));
+
+  const duplicate = await upload(`name=${name}`, readFont(BATTAMBANG));
+  assert.deepEqual([duplicate.status, duplicate.body.code], [409, 'font_exists']);
+  assert.deepEqual(readFont(SIEMREAP), readFileSync(path.join(request.fontsDir, 'My_Font_.ttf')));
+
+  // Одновременные загрузки под одним именем: файл создаёт только одна
+  const racing = await Promise.all([upload('name=race.ttf', readFont(SIEMREAP)), upload('name=race.ttf', readFont(BATTAMBANG))]);
+  assert.deepEqual(racing.map((response) => response.status).sort(), [201, 409]);
+  assert.deepEqual(readdirSync(request.fontsDir).sort(), [BATTAMBANG, 'My_Font_.ttf', 'race.ttf']);
+});
+
+test('labels are kept outside the fonts dir and can be cleared', async (t) => {
+  const request = await startServer(t, { fonts: [BATTAMBANG] });
+
+  const renamed = await patchLabel(request, 'khmeros-battambang', '  Battambang UI  ');
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.font.label, 'Battambang UI');
+  assert.deepEqual(JSON.parse(readFileSync(request.labelsFile, 'utf8')), { [BATTAMBANG]: 'Battambang UI' });
+  assert.deepEqual(readdirSync(request.fontsDir), [BATTAMBANG]);
+  assert.equal((await request('/api/fonts')).body.fonts[0].label, 'Battambang UI');
+
+  const cleared = await patchLabel(request, 'khmeros-battambang', '');
+  assert.equal(cleared.body.font.label, 'Khmer OS battambang');
+  assert.deepEqual(JSON.parse(readFileSync(request.labelsFile, 'utf8')), {});
+
+  const unknown = await patchLabel(request, 'no-such-font', 'x');
+  assert.deepEqual([unknown.status, unknown.body.code], [404, 'font_not_found']);
+  const invalid = await request('/api/fonts/khmeros-battambang', { method: 'PATCH', body: '{' });
+  assert.deepEqual([invalid.status, invalid.body.code], [400, 'invalid_json']);
+
+  // Тело сверх лимита: клиент получает 413, а не оборванное соединение
+  const oversized = await patchLabel(request, 'khmeros-battambang', 'x'.repeat(128 * 1024));
+  assert.deepEqual([oversized.status, oversized.body.code], [413, 'body_too_large']);
+});
+
+test('delete removes the font file', async (t) => {
+  const request = await startServer(t, { fonts: [BATTAMBANG, SIEMREAP] });
+
+  const deleted = await request('/api/fonts/khmeros-siemreap', { method: 'DELETE' });
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(deleted.body, { deleted: 'khmeros-siemreap', file: SIEMREAP, deletedFontIds: ['khmeros-siemreap'] });
+  assert.deepEqual(readdirSync(request.fontsDir), [BATTAMBANG]);
+  assert.deepEqual((await request('/api/fonts')).body.fonts.map((font) => font.id), ['khmeros-battambang']);
+
+  const again = await request('/api/fonts/khmeros-siemreap', { method: 'DELETE' });
+  assert.deepEqual([again.status, again.body.code], [404, 'font_not_found']);
+});
+
+test('delete removes a whole collection and refuses a collection face id', async (t) => {
+  const request = await startServer(t, { fonts: [BATTAMBANG] });
+  const collectionPath = path.join(request.fontsDir, 'pair.ttc');
+  writeFileSync(collectionPath, buildFontCollection([readFont(BATTAMBANG), readFont(SIEMREAP)]));
+
+  const face = await request(`/api/fonts/${encodeURIComponent('pair#1')}`, { method: 'DELETE' });
+  assert.deepEqual([face.status, face.body.code], [400, 'collection_face']);
+  assert.ok(existsSync(collectionPath));
+
+  const deleted = await request('/api/fonts/pair', { method: 'DELETE' });
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(deleted.body, { deleted: 'pair', file: 'pair.ttc', deletedFontIds: ['pair', 'pair#1'] });
+  assert.equal(existsSync(collectionPath), false);
+  assert.deepEqual((await request('/api/fonts')).body.fonts.map((font) => font.id), ['khmeros-battambang']);
+});
+
+test('changing routes accept only the same origin and get no wildcard CORS', async (t) => {
+  const request = await startServer(t, { fonts: [BATTAMBANG] });
+
+  const list = await request('/api/fonts', { headers: { Origin: 'http://elsewhere.example' } });
+  assert.equal(list.headers.get('access-control-allow-origin'), '*');
+
+  const foreign = await patchLabel(request, 'khmeros-battambang', 'x', { Origin: 'http://elsewhere.example' });
+  assert.deepEqual([foreign.status, foreign.body.code], [403, 'forbidden_origin']);
+  assert.equal(foreign.headers.get('access-control-allow-origin'), null);
+  assert.equal((await request('/api/metrics/rebuild', { method: 'POST', headers: { Origin: 'http://elsewhere.example' } })).status, 403);
+
+  const own = await patchLabel(request, 'khmeros-battambang', 'x', { Origin: request.baseUrl });
+  assert.equal(own.status, 200);
+
+  const preflight = (method) => request('/api/fonts/khmeros-battambang', {
+    method: 'OPTIONS',
+    headers: { Origin: 'http://elsewhere.example', 'Access-Control-Request-Method': method },
+  });
+  assert.equal((await preflight('DELETE')).headers.get('access-control-allow-origin'), null);
+  assert.equal((await preflight('GET')).headers.get('access-control-allow-origin'), '*');
+});
+
+test('with FONT_ADMIN_TOKEN changing routes outside the own origin need the token', async (t) => {
+  const request = await startServer(t, { fonts: [BATTAMBANG], env: { FONT_ADMIN_TOKEN: 'secret' } });
+
+  const anonymous = await patchLabel(request, 'khmeros-battambang', 'x');
+  assert.deepEqual([anonymous.status, anonymous.body.code], [401, 'unauthorized']);
+  assert.equal((await patchLabel(request, 'khmeros-battambang', 'x', { Authorization: 'Bearer wrong' })).status, 401);
+  assert.equal((await patchLabel(request, 'khmeros-battambang', 'x', { Authorization: 'Bearer secret' })).status, 200);
+  assert.equal((await patchLabel(request, 'khmeros-battambang', 'y', { Origin: request.baseUrl })).status, 200);
+});
+
+test('collection faces and WOFF2 files are shaped from their own face data', async (t) => {
+  const request = await startServer(t, { fonts: [BATTAMBANG] });
+  writeFileSync(path.join(request.fontsDir, 'pair.ttc'), buildFontCollection([readFont(BATTAMBANG), readFont(SUWANNAPHUM)]));
+  // WOFF2 раскодирует watcher, а не запрос — ждём, пока шрифт станет доступен
+  writeFileSync(path.join(request.fontsDir, 'Suwannaphum.woff2'), Buffer.from(await woff2.compress(readFont(SUWANNAPHUM))));
+
+  let fonts = [];
+  for (let attempt = 0; attempt < 50 && !fonts.find((font) => font.id === 'suwannaphum')?.available; attempt++) {
+    await delay(100);
+    fonts = (await request('/api/fonts')).body.fonts;
+  }
+  assert.deepEqual(
+    fonts.map(({ id, file, faceIndex, available }) => [id, file, faceIndex, available]),
+    [
+      ['khmeros-battambang', BATTAMBANG, 0, true],
+      ['pair', 'pair.ttc', 0, true],
+      ['pair#1', 'pair.ttc', 1, true],
+      ['suwannaphum', 'Suwannaphum.woff2', 0, true],
+    ]
+  );
+
+  const shape = async (fontId) => (await request(`/api/shape?text=${encodeURIComponent('កៅ')}&font=${encodeURIComponent(fontId)}`)).body;
+  const [first, second, decoded] = [await shape('pair'), await shape('pair#1'), await shape('suwannaphum')];
+  assert.deepEqual([first[0].fontInfo.fontId, first[0].fontInfo.fontName, first[0].fontInfo.faceIndex], ['pair', 'Khmer OS Battambang', 0]);
+  assert.deepEqual([second[0].fontInfo.fontId, second[0].fontInfo.faceIndex], ['pair#1', 1]);
+  assert.notDeepEqual(second[0].components, first[0].components);
+  // Второй face коллекции и WOFF2 — один и тот же Suwannaphum.ttf
+  assert.equal(second[0].fontInfo.fontName, decoded[0].fontInfo.fontName);
+  assert.deepEqual(decoded.map((glyph) => glyph.components), second.map((glyph) => glyph.components));
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startServer } from './helpers/apiServer.js';
+
+test('/api/glyph inspects a glyph by id and by name, errors carry codes', async (t) => {
+  const request = await startServer(t);
+
+  const shaped = await request(`/api/shape?text=${encodeURIComponent('ក')}`);
+  const glyphId = shaped.body[0].components[0].hbGlyphId;
+  const byId = await request(`/api/glyph?id=${glyphId}`);
+  assert.equal(byId.status, 200);
+  assert.equal(byId.body.glyphId, glyphId);
+  assert.deepEqual(byId.body.codePoints, [{ codePoint: 'U+1780', char: 'ក' }]);
+
+  const byName = await request(`/api/glyph?name=${encodeURIComponent(byId.body.name)}`);
+  assert.deepEqual([byName.status, byName.body.glyphId], [200, glyphId]);
+
+  for (const [query, status, code] of [
+    ['id=99999', 404, 'glyph_not_found'],
+    ['name=no.such.glyph', 404, 'glyph_not_found'],
+    ['id=-1', 400, 'invalid_glyph'],
+    ['', 400, 'invalid_glyph'],
+  ]) {
+    const { status: actualStatus, body } = await request(`/api/glyph?${query}`);
+    assert.deepEqual([actualStatus, body.code], [status, code], query);
+    assert.equal(typeof body.error, 'string');
+  }
+});
+
+test('a small outline cache never serves one font\'s outline for another', async (t) => {
+  const request = await startServer(t, { env: { OUTLINE_CACHE_SIZE: '2' } });
+  const outline = async (font, id) => (await request(`/api/glyph?font=${font}&id=${id}`)).body.d;
+
+  const battambang = await outline('khmeros-battambang', 36);
+  const odorMeanChey = await outline('odormeanchey', 36);
+  assert.notEqual(odorMeanChey, battambang);
+  assert.equal(await outline('khmeros-battambang', 36), battambang);
+
+  // вытесняем glyph 36 и получаем его заново
+  await outline('khmeros-battambang', 37);
+  await outline('khmeros-battambang', 38);
+  assert.equal(await outline('khmeros-battambang', 36), battambang);
+  assert.equal(await outline('odormeanchey', 36), odorMeanChey);
+});
@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+
+import { validateJsonSchema } from '../src/lib/validateJsonSchema.js';
+import { ROOT, startServer } from './helpers/apiServer.js';
+
+const loadSchema = (name) => JSON.parse(readFileSync(path.join(ROOT, 'server/schemas', name), 'utf8'));
+
+test('validator reports type, required and enum violations with paths', () => {
+  const schema = loadSchema('error.schema.json');
+
+  assert.deepEqual(validateJsonSchema(schema, { error: { code: 'font_not_found', message: 'x' } }), []);
+
+  const errors = validateJsonSchema(schema, { error: { code: 'oops', message: 1 } });
+  assert.deepEqual(errors.map((e) => e.path).sort(), ['/error/code', '/error/message']);
+  assert.equal(validateJsonSchema(schema, {})[0].message, 'missing required property "error"');
+});
+
+test('API responses match the published schemas', async (t) => {
+  const request = await startServer(t);
+
+  const fonts = await request('/api/fonts');
+  assert.equal(fonts.status, 200);
+  assert.deepEqual(validateJsonSchema(loadSchema('fonts.schema.json'), fonts.body), []);
+
+  const metrics = await request(`/api/metrics?font=${fonts.body.defaultFontId}`);
+  assert.equal(metrics.status, 200);
+  assert.deepEqual(validateJsonSchema(loadSchema('metrics.schema.json'), metrics.body), []);
+  assert.equal(metrics.body.pairs, undefined);
+
+  const pairMetrics = await request(`/api/metrics?font=${fonts.body.defaultFontId}&pairs=1`);
+  assert.equal(pairMetrics.status, 200);
+  assert.deepEqual(validateJsonSchema(loadSchema('metrics.schema.json'), pairMetrics.body), []);
+  // Строка ក матрицы — те же замеры, что subscripts/vowels верхнего уровня
+  assert.deepEqual(pairMetrics.body.pairs.subscripts[0x1780], pairMetrics.body.subscripts);
+  assert.deepEqual(pairMetrics.body.pairs.vowels[0x1780], pairMetrics.body.vowels);
+  assert.ok(pairMetrics.body.pairs.vowels[0x1789][0x17BB]);
+
+  const anchorMetrics = await request(`/api/metrics?font=${fonts.body.defaultFontId}&anchors=1`);
+  assert.deepEqual(validateJsonSchema(loadSchema('metrics.schema.json'), anchorMetrics.body), []);
+  const kaGlyphId = anchorMetrics.body.consonants[0x1780].glyphId;
+  const glyph = await request(`/api/glyph?font=${fonts.body.defaultFontId}&id=${kaGlyphId}`);
+  assert.equal(glyph.status, 200);
+  assert.deepEqual(glyph.body.anchors, anchorMetrics.body.anchors[kaGlyphId]);
+  assert.ok(glyph.body.anchors.base.length > 0);
+
+  const shape = await request(`/api/v2/shape?text=${encodeURIComponent('ន្ត្រា កៅ')}&features=ccmp:1`);
+  assert.equal(shape.status, 200);
+  assert.deepEqual(validateJsonSchema(loadSchema('shape.v2.schema.json'), shape.body), []);
+  assert.equal(shape.body.font.id, fonts.body.defaultFontId);
+  assert.equal(shape.body.glyphs.length > 0, true);
+
+  const compact = await request(`/api/v2/shape?text=${encodeURIComponent('កកក')}&outlines=dict`);
+  assert.equal(compact.status, 200);
+  assert.deepEqual(validateJsonSchema(loadSchema('shape.v2.schema.json'), compact.body), []);
+  assert.equal(Object.keys(compact.body.outlines[compact.body.font.id]).length, 1);
+
+  const schemas = await request('/api/v2/schemas');
+  assert.deepEqual(schemas.body.schemas, ['error.schema.json', 'fonts.schema.json', 'metrics.schema.json', 'shape.v2.schema.json']);
+});
+
+test('v2 errors are structured with machine-readable codes', async (t) => {
+  const request = await startServer(t);
+  const errorSchema = loadSchema('error.schema.json');
+  const cases = [
+    ['/api/v2/shape?text=a&font=no-such-font', 404, 'font_not_found'],
+    [`/api/v2/shape?text=${'a'.repeat(2001)}`, 400, 'text_too_long'],
+    ['/api/v2/shape?text=a&features=liga', 400, 'invalid_feature'],
+    ['/api/v2/shape?text=a&clusterLevel=7', 400, 'invalid_cluster_level'],
+  ];
+
+  for (const [pathAndQuery, status, code] of cases) {
+    const { status: actualStatus, body } = await request(pathAndQuery);
+    assert.equal(actualStatus, status, pathAndQuery);
+    assert.equal(body.error.code, code);
+    assert.deepEqual(validateJsonSchema(errorSchema, body), []);
+  }
+});
+
+test('contours=1 responses match the shape schema', async (t) => {
+  const request = await startServer(t);
+
+  const withContours = await request(`/api/v2/shape?text=${encodeURIComponent('កៅ')}&contours=1&outlines=dict`);
+  assert.equal(withContours.status, 200);
+  assert.deepEqual(validateJsonSchema(loadSchema('shape.v2.schema.json'), withContours.body), []);
+  const outlines = Object.values(withContours.body.outlines[withContours.body.font.id]);
+  assert.equal(outlines.every((outline) => Array.isArray(outline.contours) && outline.contours.length > 0), true);
+});
+
+test('legacy endpoints fall back for unknown fonts and reject malformed parameters', async (t) => {
+  const request = await startServer(t);
+
+  const fallback = await request('/api/shape?text=a&font=no-such-font');
+  assert.equal(fallback.status, 200);
+  assert.equal(fallback.headers.get('x-font-id'), (await request('/api/fonts')).body.defaultFontId);
+  assert.equal((await request('/api/v2/shape?text=a&font=no-such-font')).status, 404);
+
+  for (const [pathAndQuery, code] of [
+    ['/api/shape?text=a&clusterLevel=abc', 'invalid_cluster_level'],
+    ['/api/shape?text=a&features=liga:on', 'invalid_feature'],
+    [`/api/shape?text=a&features=${Array(65).fill('liga:0').join(',')}`, 'too_many_features'],
+    ['/api/fonts/no-such-font/features', 'font_not_found'],
+  ]) {
+    const { status, body } = await request(pathAndQuery);
+    assert.equal(status >= 400 && status < 500, true, pathAndQuery);
+    assert.equal(body.code, code, pathAndQuery);
+  }
+});
+
+
+test('STRICT_FONTS=1 makes legacy endpoints reject unknown fonts', async (t) => {
+  const request = await startServer(t, { env: { STRICT_FONTS: '1' } });
+
+  const unknownFont = await request('/api/shape?text=a&font=no-such-font');
+  assert.equal(unknownFont.status, 404);
+  assert.equal(unknownFont.body.code, 'font_not_found');
+  assert.equal(unknownFont.body.knownFontIds.length > 0, true);
+
+  for (const pathAndQuery of ['/api/shape/trace?text=a&font=no-such-font', '/api/metrics?font=no-such-font']) {
+    const { status, body } = await request(pathAndQuery);
+    assert.equal(status, 404, pathAndQuery);
+    assert.equal(body.code, 'font_not_found', pathAndQuery);
+  }
+});
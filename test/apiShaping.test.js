@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildGlyphPartsPayload, hydrateGlyphParts } from '../src/lib/glyphPartsPayload.js';
+import { startServer } from './helpers/apiServer.js';
+
+const MARK_FEATURES = new Set(['abvm', 'blwm', 'mark', 'mkmk']);
+
+test('trace labels lookups after "start table GPOS" as GPOS and shows mark positioning', async (t) => {
+  const request = await startServer(t);
+
+  // ុ и ំ крепятся к ក через GPOS mark-to-base
+  const { status, body } = await request(`/api/shape/trace?text=${encodeURIComponent('កុំ')}`);
+  assert.equal(status, 200);
+
+  const lookupStages = body.stages.filter((stage) => stage.lookupIndex !== null);
+  const markStages = lookupStages.filter((stage) => MARK_FEATURES.has(stage.feature));
+  assert.ok(markStages.length > 0);
+  for (const stage of markStages) assert.equal(stage.table, 'GPOS', stage.message);
+  for (const stage of lookupStages.filter((s) => !MARK_FEATURES.has(s.feature))) {
+    assert.equal(stage.table, 'GSUB', stage.message);
+  }
+
+  // Хотя бы одна стадия GPOS сдвинула знак
+  assert.ok(markStages.some((stage) => stage.changed && stage.glyphs.some((g) => g.dx || g.dy)));
+  assert.equal(body.stages.at(-1).message, 'final');
+});
+
+test('mixed Khmer/Latin text is shaped as one run per script', async (t) => {
+  const request = await startServer(t);
+
+  // Пробел нейтрален и остаётся в кхмерском run
+  const text = 'កខ ab';
+  const { status, body } = await request(`/api/shape?font=notosanskhmer-variablefont-wdth-wght&text=${encodeURIComponent(text)}`);
+  assert.equal(status, 200);
+
+  const runs = [...new Map(body.map((cluster) => [cluster.run.index, cluster.run])).values()];
+  assert.deepEqual(runs, [
+    { index: 0, start: 0, end: 3, script: 'Khmr', language: null, direction: 'ltr' },
+    { index: 1, start: 3, end: 5, script: 'Latn', language: null, direction: 'ltr' },
+  ]);
+  for (const cluster of body) {
+    assert.ok(cluster.clusterStart >= cluster.run.start && cluster.clusterEnd <= cluster.run.end, cluster.clusterText);
+    assert.ok(cluster.components.every((c) => c.hbGlyphId !== 0), cluster.clusterText);
+  }
+  assert.deepEqual(body.filter((c) => c.run.index === 1).map((c) => c.clusterText), ['a', 'b']);
+});
+
+test('explicit script, language and direction apply to the whole text', async (t) => {
+  const request = await startServer(t);
+
+  const { status, body } = await request(`/api/shape?text=${encodeURIComponent('កab')}&script=khmr&language=km&direction=RTL`);
+  assert.equal(status, 200);
+  for (const cluster of body) {
+    assert.deepEqual(cluster.run, { index: 0, start: 0, end: 3, script: 'Khmr', language: 'km', direction: 'rtl' });
+  }
+});
+
+test('malformed script, language and direction are ignored', async (t) => {
+  const request = await startServer(t);
+
+  const { status, body } = await request('/api/shape?text=ab&script=Latin&language=!!&direction=sideways');
+  assert.equal(status, 200);
+  assert.deepEqual(body[0].run, { index: 0, start: 0, end: 2, script: 'Latn', language: null, direction: 'ltr' });
+});
+
+test('.notdef clusters are reshaped with the fallback chain in its order', async (t) => {
+  const request = await startServer(t);
+  // В OdorMeanChey нет латиницы
+  const shapeQuery = (fallback) => `/api/shape?text=${encodeURIComponent('កA')}&font=odormeanchey&fallback=${fallback}`;
+
+  const noto = await request(shapeQuery('notosanskhmer-variablefont-wdth-wght'));
+  assert.equal(noto.status, 200);
+  const [ka, latin] = noto.body;
+  assert.deepEqual([ka.fontInfo.fontId, ka.fontInfo.fallback], ['odormeanchey', false]);
+  assert.deepEqual([latin.fontInfo.fontId, latin.fontInfo.fallback], ['notosanskhmer-variablefont-wdth-wght', true]);
+  // 1000 единиц Noto приведены к 2048 основного шрифта
+  assert.equal(latin.fontInfo.scale, 2.048);
+  assert.ok(latin.components.every((comp) => comp.hbGlyphId !== 0));
+
+  const none = await request(shapeQuery('none'));
+  assert.equal(none.body[1].fontInfo.fontId, 'odormeanchey');
+  assert.equal(none.body[1].fontInfo.fallback, false);
+  assert.equal(none.body[1].components[0].hbGlyphId, 0);
+});
+
+test('batch items fail one by one without stopping the batch, also as NDJSON', async (t) => {
+  const request = await startServer(t);
+  const items = [
+    { text: 'ក' },
+    { text: 5 },
+    { text: 'ក', clusterLevel: 7 },
+    null,
+    { text: 'ក', features: { liga: 0 } },
+    { text: 'កៅ', features: [{ tag: 'ccmp', value: 1 }] },
+  ];
+  const post = (query, body) => request(`/api/shape/batch${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  const { status, body } = await post('', { items });
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map((result) => result.index), [0, 1, 2, 3, 4, 5]);
+  const failed = body.results.filter((result) => result.error !== undefined).map((result) => result.index);
+  assert.deepEqual(failed, [1, 2, 3, 4]);
+  for (const index of failed) assert.equal(typeof body.results[index].error, 'string');
+  for (const index of [0, 5]) assert.ok(body.results[index].glyphs.length > 0);
+
+  const stream = await post('?stream=ndjson', items);
+  assert.match(stream.headers.get('content-type'), /application\/x-ndjson/);
+  const lines = stream.body.trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(lines.map((line) => line.error ?? null), body.results.map((result) => result.error ?? null));
+  assert.deepEqual(lines[5].glyphs, body.results[5].glyphs);
+
+  assert.equal((await request('/api/shape/batch', { method: 'POST', body: '{' })).status, 400);
+  assert.equal((await request('/api/shape/batch', { method: 'POST', body: '{"items":1}' })).status, 400);
+
+  // Batch — чтение: чужой странице preflight разрешает POST
+  const preflight = await request('/api/shape/batch', {
+    method: 'OPTIONS',
+    headers: { Origin: 'http://elsewhere.example', 'Access-Control-Request-Method': 'POST' },
+  });
+  assert.equal(preflight.headers.get('access-control-allow-origin'), '*');
+  assert.match(preflight.headers.get('access-control-allow-methods'), /\bPOST\b/);
+});
+
+test('parts=1 serializes parts with componentIndex and source offsets, same as the client mapper', async (t) => {
+  const request = await startServer(t);
+  // Второй кластер начинается не с нуля: смещения частей — в исходном тексте
+  const text = 'កាខុ';
+  const query = `text=${encodeURIComponent(text)}`;
+
+  const [{ status, body }, shaped, metrics] = await Promise.all([
+    request(`/api/shape?${query}&parts=1`),
+    request(`/api/shape?${query}`),
+    request('/api/metrics'),
+  ]);
+  assert.equal(status, 200);
+  assert.equal(shaped.body.some((glyph) => 'parts' in glyph), false);
+  assert.deepEqual(body, buildGlyphPartsPayload(shaped.body, text, metrics.body));
+
+  const [, subscriptCluster] = body;
+  assert.deepEqual(
+    subscriptCluster.parts.map(({ char, componentIndex, sourceStart, sourceEnd }) => [char, componentIndex, sourceStart, sourceEnd]),
+    [['ខ', 0, 2, 3], ['ុ', 1, 3, 4]]
+  );
+  for (const glyph of body) {
+    for (const part of glyph.parts) {
+      // В JSON — индекс компонента, а не копия объекта
+      assert.equal('component' in part, false);
+      assert.equal(text.slice(part.sourceStart, part.sourceEnd), part.char);
+      assert.ok(part.sourceStart >= glyph.clusterStart && part.sourceEnd <= glyph.clusterEnd);
+      if (part.componentIndex !== null) assert.equal(glyph.components[part.componentIndex].hbGlyphId, part.hbGlyphId);
+    }
+  }
+
+  const hydrated = hydrateGlyphParts(body);
+  assert.equal(hydrated[1].parts[1].component, hydrated[1].components[1]);
+});
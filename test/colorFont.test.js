@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import opentype from 'opentype.js';
+
+import {
+  COLOR_PALETTE_ENTRIES,
+  buildColorFont,
+  buildColorPalettes,
+  collectColorGlyphs,
+  getPaletteEntryIndex,
+  parseClusterList,
+} from '../src/lib/colorFont.js';
+import { getColorForCategory } from '../src/lib/glyphCombinationRules.js';
+import { ROOT } from './helpers/apiServer.js';
+
+const require = createRequire(import.meta.url);
+
+function readFont(file) {
+  const data = readFileSync(path.join(ROOT, 'public', 'fonts', file));
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+function readTableDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tables = {};
+  for (let i = 0; i < view.getUint16(4); i++) {
+    const record = 12 + i * 16;
+    tables[String.fromCharCode(...bytes.subarray(record, record + 4))] = view.getUint32(record + 8);
+  }
+  return { view, tables };
+}
+
+function mkRectPath(x1, y1, x2, y2) {
+  return `M${x1} ${y1} L${x2} ${y1} L${x2} ${y2} L${x1} ${y2} Z`;
+}
+
+test('palette entries follow getColorForCategory, series palettes mute the other series', () => {
+  const [all, aSeries, oSeries] = buildColorPalettes();
+  const muted = getColorForCategory('other', '');
+
+  for (const [category, char] of [['base_consonant', 'គ'], ['subscript_consonant', '្ក'], ['subscript_consonant', '្គ'], ['dependent_vowel', 'ុ']]) {
+    assert.equal(all[getPaletteEntryIndex(category, char)], getColorForCategory(category, char), char);
+  }
+  assert.notEqual(getColorForCategory('subscript_consonant', '្ក'), getColorForCategory('subscript_consonant', '្គ'));
+
+  const oBase = COLOR_PALETTE_ENTRIES.findIndex((entry) => entry.key === 'base_consonant:o_series');
+  const aBase = COLOR_PALETTE_ENTRIES.findIndex((entry) => entry.key === 'base_consonant:a_series');
+  assert.equal(aSeries[oBase], muted);
+  assert.equal(aSeries[aBase], all[aBase]);
+  assert.equal(oSeries[aBase], muted);
+  assert.equal(oSeries[getPaletteEntryIndex('dependent_vowel', 'ា')], all[getPaletteEntryIndex('dependent_vowel', 'ា')]);
+});
+
+test('cluster list ignores comments and repeats', () => {
+  assert.deepEqual(parseClusterList('# согласные\nក ខ\n\nកា  ក # ещё\n'), ['ក', 'ខ', 'កា']);
+});
+
+test('glyphs decomposed differently by two clusters keep the first decomposition', () => {
+  const component = { hbGlyphId: 5, x: 0, y: 0, d: mkRectPath(0, -100, 100, 0) };
+  const whole = { clusterText: 'ក', x: 0, y: 0, components: [component], parts: [{ char: 'ក', category: 'base_consonant', component }] };
+  const clipped = {
+    clusterText: 'កា',
+    x: 0,
+    y: 0,
+    components: [component],
+    parts: [{ char: 'ក', category: 'base_consonant', component, clipRect: { x: 0, y: -100, width: 50, height: 100 } }],
+  };
+
+  const { colorGlyphs, issues } = collectColorGlyphs([whole, clipped]);
+  assert.deepEqual(colorGlyphs.get(5).map((layer) => layer.polygons), [[[[0, -100], [100, -100], [100, 0], [0, 0]]]]);
+  assert.deepEqual(issues, [{ code: 'glyph_conflict', cluster: 'កា', glyphId: 5 }]);
+});
+
+test('color font adds layer glyphs, COLR and CPAL without changing shaping', async () => {
+  const source = readFont('KhmerOS_battambang.ttf');
+  const hb = await require('harfbuzzjs');
+  const shape = (fontData) => {
+    const font = hb.createFont(hb.createFace(hb.createBlob(fontData), 0));
+    const buffer = hb.createBuffer();
+    buffer.addText('ក្រុម កៅ');
+    buffer.guessSegmentProperties();
+    hb.shape(font, buffer);
+    return buffer.json();
+  };
+  const [baseGlyphId] = shape(source).map((record) => record.g);
+
+  const colorGlyphs = new Map([[baseGlyphId, [
+    { polygons: [[[0, -1000], [500, -1000], [500, 0], [0, 0]]], paletteIndex: 0 },
+    { polygons: [[[500, -1000], [900, -1000], [900, 0], [500, 0]]], paletteIndex: 4 },
+  ]]]);
+  const output = buildColorFont(source, colorGlyphs);
+  const sourceFont = opentype.parse(source);
+  const colorFont = opentype.parse(output.buffer.slice(output.byteOffset, output.byteOffset + output.byteLength));
+
+  assert.deepEqual(shape(output.buffer.slice(output.byteOffset, output.byteOffset + output.byteLength)), shape(source));
+  assert.equal(colorFont.numGlyphs, sourceFont.numGlyphs + 2);
+  assert.equal(colorFont.names.fontFamily.en, `${sourceFont.names.fontFamily.en} Color`);
+  const layerBox = colorFont.glyphs.get(sourceFont.numGlyphs + 1).getBoundingBox();
+  assert.deepEqual([layerBox.x1, layerBox.y1, layerBox.x2, layerBox.y2], [500, 0, 900, 1000]);
+
+  const { view, tables } = readTableDirectory(output);
+  const colr = tables.COLR;
+  assert.equal(view.getUint16(colr + 2), 1);
+  const baseRecord = colr + view.getUint32(colr + 4);
+  const layerRecords = colr + view.getUint32(colr + 8);
+  assert.equal(view.getUint16(baseRecord), baseGlyphId);
+  assert.deepEqual([0, 1, 2].map((i) => [view.getUint16(layerRecords + i * 4), view.getUint16(layerRecords + i * 4 + 2)]), [
+    [baseGlyphId, 0xffff],
+    [sourceFont.numGlyphs, 0],
+    [sourceFont.numGlyphs + 1, 4],
+  ]);
+  const cpal = tables.CPAL;
+  assert.deepEqual([view.getUint16(cpal + 2), view.getUint16(cpal + 4)], [COLOR_PALETTE_ENTRIES.length, 3]);
+});
+
+test('variable and non-TrueType fonts are rejected', () => {
+  assert.throws(() => buildColorFont(readFont('NotoSansKhmer-VariableFont_wdth,wght.ttf'), new Map()), /Вариативные/);
+  assert.throws(() => buildColorFont(new TextEncoder().encode('OTTO0000'), new Map()), /CFF/);
+});
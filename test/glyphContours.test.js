@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildEduUnits } from '../src/lib/eduUnits.js';
+import { splitGlyphContours } from '../src/lib/glyphContours.js';
+import { mapGlyphsToParts } from '../src/lib/glyphPartMapper.js';
+
+function mkRectPath(x1, y1, x2, y2) {
+  return `M${x1} ${y1} L${x2} ${y1} L${x2} ${y2} L${x1} ${y2} Z`;
+}
+
+test('splitGlyphContours marks holes and their parent contours', () => {
+  const d = [
+    mkRectPath(0, 0, 100, 100),
+    mkRectPath(20, 20, 80, 80),
+    mkRectPath(40, 40, 60, 60),
+    mkRectPath(200, 0, 250, 50),
+  ].join(' ');
+
+  const contours = splitGlyphContours(d);
+  assert.deepEqual(contours.map((c) => [c.hole, c.parent]), [[false, null], [true, 0], [false, 1], [false, null]]);
+  assert.deepEqual(contours[3].bb, { x1: 200, y1: 0, x2: 250, y2: 50 });
+  assert.equal(contours[1].d, mkRectPath(20, 20, 80, 80));
+});
+
+test('splitGlyphContours bounds curves by their flattened points', () => {
+  const [contour] = splitGlyphContours('M0 0 Q50 -100 100 0 Z');
+  assert.equal(contour.bb.y1, -50);
+  assert.equal(contour.bb.x2, 100);
+});
+
+function mkContourGlyph(text, contourPaths) {
+  const d = contourPaths.join(' ');
+  return {
+    id: 0,
+    chars: Array.from(text),
+    codePoints: Array.from(text).map((ch) => ch.codePointAt(0)),
+    clusterStart: 0,
+    clusterEnd: text.length,
+    x: 0,
+    y: 0,
+    d,
+    bb: { x1: 0, y1: -1500, x2: 1000, y2: 600 },
+    components: [{ hbGlyphId: 7, x: 0, y: 0, d, bb: { x1: 0, y1: -1500, x2: 1000, y2: 600 }, contours: splitGlyphContours(d) }],
+  };
+}
+
+test('contour strategy assigns whole contours to units, holes stay with their outline', () => {
+  const text = 'កុ';
+  const glyph = mkContourGlyph(text, [
+    mkRectPath(0, -1000, 1000, 0),
+    mkRectPath(300, -700, 700, -300),
+    mkRectPath(400, 100, 600, 600),
+  ]);
+
+  const parts = mapGlyphsToParts([glyph], buildEduUnits(text), { strategy: 'contours' })[0].parts;
+  const byChar = Object.fromEntries(parts.map((p) => [p.char, p]));
+
+  assert.deepEqual(parts.map((p) => p.char).sort(), ['ក', 'ុ']);
+  assert.equal(byChar['ក'].zone, 'BASE');
+  assert.equal(byChar['ក'].pathData, `${mkRectPath(0, -1000, 1000, 0)} ${mkRectPath(300, -700, 700, -300)}`);
+  assert.equal(byChar['ុ'].zone, 'BOTTOM');
+  assert.equal(byChar['ុ'].pathData, mkRectPath(400, 100, 600, 600));
+  assert.equal(parts.some((p) => p.partId.includes('-contour-split-')), false);
+});
+
+test('contour strategy falls back to rectangles without contours', () => {
+  const text = 'កុ';
+  const glyph = mkContourGlyph(text, [mkRectPath(0, -1000, 1000, 0), mkRectPath(400, 100, 600, 600)]);
+  delete glyph.components[0].contours;
+
+  const units = buildEduUnits(text);
+  const contourParts = mapGlyphsToParts([glyph], units, { strategy: 'contours' })[0].parts;
+  const rectParts = mapGlyphsToParts([glyph], units)[0].parts;
+  assert.deepEqual(contourParts, rectParts);
+});
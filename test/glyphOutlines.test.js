@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildEduUnits } from '../src/lib/eduUnits.js';
+import { mapGlyphsToParts } from '../src/lib/glyphPartMapper.js';
+import { compactGlyphOutlines, createOutlineCache, expandGlyphOutlines } from '../src/lib/glyphOutlines.js';
+
+function mkComp(hbGlyphId, x, d, bb) {
+  return { hbGlyphId, d, bb, x, y: 0, advance: 1400, clusterIndex: 0 };
+}
+
+function mkGlyph(id, fontId, comp) {
+  return {
+    id,
+    cluster: id,
+    clusterStart: id,
+    clusterEnd: id + 1,
+    clusterText: 'ក',
+    chars: ['ក'],
+    codePoints: [0x1780],
+    components: [comp],
+    d: comp.d,
+    bb: comp.bb,
+    advance: comp.advance,
+    x: comp.x,
+    y: 0,
+    fontInfo: { fontId },
+  };
+}
+
+const BB = { x1: 150, y1: -1500, x2: 1250, y2: 0 };
+
+test('repeated glyphs are stored once per font and expand back to the full format', () => {
+  const glyphs = [
+    mkGlyph(0, 'primary', mkComp(562, 0, 'M150 0 L1250 -1500 Z', BB)),
+    mkGlyph(1, 'primary', mkComp(562, 1400, 'M150 0 L1250 -1500 Z', BB)),
+    // тот же glyphId в fallback-шрифте — другой глиф
+    mkGlyph(2, 'fallback', mkComp(562, 2800, 'M0 0 L10 10 Z', { x1: 0, y1: 0, x2: 10, y2: 10 })),
+  ];
+
+  const compact = compactGlyphOutlines(glyphs);
+
+  assert.deepEqual(Object.keys(compact.outlines), ['primary', 'fallback']);
+  assert.equal(compact.outlines.primary[562].d, 'M150 0 L1250 -1500 Z');
+  assert.equal(compact.outlines.fallback[562].d, 'M0 0 L10 10 Z');
+  assert.equal(compact.glyphs.every((g) => !('d' in g) && g.components.every((c) => !('d' in c))), true);
+
+  assert.deepEqual(expandGlyphOutlines(JSON.parse(JSON.stringify(compact))), glyphs);
+});
+
+test('mapGlyphsToParts accepts the compact payload directly', () => {
+  const text = 'កក';
+  const glyphs = [
+    mkGlyph(0, 'primary', mkComp(562, 0, 'M150 0 L1250 -1500 Z', BB)),
+    mkGlyph(1, 'primary', mkComp(562, 1400, 'M150 0 L1250 -1500 Z', BB)),
+  ];
+  const units = buildEduUnits(text);
+
+  assert.deepEqual(
+    mapGlyphsToParts(compactGlyphOutlines(glyphs), units),
+    mapGlyphsToParts(glyphs, units)
+  );
+});
+
+test('outline cache evicts the least recently used entry', () => {
+  const cache = createOutlineCache(2);
+  const built = [];
+  const build = (key) => () => {
+    built.push(key);
+    return { d: key };
+  };
+
+  cache.get(':1', build(':1'));
+  cache.get(':2', build(':2'));
+  assert.deepEqual(cache.get(':1', build(':1')), { d: ':1' });
+  cache.get(':3', build(':3'));
+
+  assert.deepEqual(cache.keys(), [':1', ':3']);
+  cache.get(':2', build(':2'));
+  assert.deepEqual(cache.keys(), [':3', ':2']);
+  assert.deepEqual(built, [':1', ':2', ':3', ':2']);
+});
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildEduUnits } from '../src/lib/eduUnits.js';
+import { mapGlyphsToParts } from '../src/lib/glyphPartMapper.js';
+
+function mkRectPath(x1, y1, x2, y2) {
+  return `M${x1} ${y1} L${x2} ${y1} L${x2} ${y2} L${x1} ${y2} Z`;
+}
+
+function mkComp(hbGlyphId, x, bb) {
+  return { hbGlyphId, x, y: 0, advance: 0, d: mkRectPath(bb.x1, bb.y1, bb.x2, bb.y2), bb };
+}
+
+// ក្វា: база, подписная и правая часть гласной в одном глифе
+const TEXT = 'ក្វា';
+const GLYPH = {
+  id: 0,
+  chars: ['ក', '្', 'វ', 'ា'],
+  codePoints: [0x1780, 0x17D2, 0x179C, 0x17B6],
+  clusterStart: 0,
+  clusterEnd: TEXT.length,
+  x: 0,
+  y: 0,
+  advance: 2100,
+  d: mkRectPath(0, -1600, 2200, 700),
+  bb: { x1: 0, y1: -1600, x2: 2200, y2: 700 },
+  components: [
+    mkComp(435, 0, { x1: 150, y1: -1500, x2: 1850, y2: 0 }),
+    mkComp(411, 1400, { x1: -1100, y1: 50, x2: -300, y2: 650 }),
+  ],
+};
+
+function withConsoleLog(fn) {
+  const calls = [];
+  const original = console.log;
+  console.log = (...args) => calls.push(args);
+  try {
+    fn();
+  } finally {
+    console.log = original;
+  }
+  return calls;
+}
+
+test('every mapped glyph carries the rule that produced its parts and the checked steps', () => {
+  const [glyph] = mapGlyphsToParts([GLYPH], buildEduUnits(TEXT), { enableSegmentation: true });
+  const { rule, steps } = glyph.mapperTrace;
+
+  assert.ok(rule, 'rule is set');
+  assert.ok(steps.length > 0);
+  for (const step of steps) {
+    assert.equal(typeof step.rule, 'string');
+    assert.equal(typeof step.matched, 'boolean');
+    assert.equal(typeof step.reason, 'string');
+    assert.equal(typeof step.inputs, 'object');
+  }
+  // Правило, которое построило части, отмечено в шагах как сработавшее
+  assert.ok(steps.some((step) => step.rule === rule && step.matched), rule);
+  assert.equal(steps.find((step) => step.rule === 'geometry_fallback').matched, false);
+});
+
+test('a glyph without components and segmentation off is traced as full_glyph', () => {
+  const { components, ...single } = GLYPH;
+  const [glyph] = mapGlyphsToParts([single], buildEduUnits(TEXT), { enableSegmentation: false });
+  assert.equal(glyph.mapperTrace.rule, 'full_glyph');
+  assert.equal(glyph.parts.length, 1);
+});
+
+test('the mapper is silent unless logTrace is set', () => {
+  const units = buildEduUnits(TEXT);
+  assert.deepEqual(withConsoleLog(() => mapGlyphsToParts([GLYPH], units)), []);
+
+  const calls = withConsoleLog(() => mapGlyphsToParts([GLYPH], units, { logTrace: true }));
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0][0], '[MAPPER]');
+});
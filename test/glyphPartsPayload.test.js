@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildEduUnits } from '../src/lib/eduUnits.js';
+import { mapGlyphsToParts } from '../src/lib/glyphPartMapper.js';
+import { buildGlyphPartsPayload, hydrateGlyphParts } from '../src/lib/glyphPartsPayload.js';
+
+function mkRectPath(x1, y1, x2, y2) {
+  return `M${x1} ${y1} L${x2} ${y1} L${x2} ${y2} L${x1} ${y2} Z`;
+}
+
+function mkComp(hbGlyphId, x, bb) {
+  return {
+    hbGlyphId,
+    x,
+    y: 0,
+    advance: 0,
+    d: mkRectPath(bb.x1, bb.y1, bb.x2, bb.y2),
+    bb,
+  };
+}
+
+function mkGlyph(text) {
+  return {
+    id: 0,
+    chars: Array.from(text),
+    codePoints: Array.from(text).map((ch) => ch.codePointAt(0)),
+    clusterStart: 0,
+    clusterEnd: text.length,
+    x: 0,
+    y: 0,
+    advance: 2800,
+    d: mkRectPath(0, -1600, 2800, 700),
+    bb: { x1: 0, y1: -1600, x2: 2800, y2: 700 },
+    components: [
+      mkComp(627, 0, { x1: 50, y1: -1500, x2: 600, y2: 0 }),
+      mkComp(435, 700, { x1: 150, y1: -1500, x2: 1850, y2: 0 }),
+      mkComp(411, 2100, { x1: -1100, y1: 50, x2: -300, y2: 650 }),
+    ],
+  };
+}
+
+test('server payload hydrates back to the client mapGlyphsToParts result', () => {
+  const text = 'ក្វោ';
+  const glyphs = [mkGlyph(text)];
+
+  const payload = buildGlyphPartsPayload(glyphs, text, null);
+  const client = mapGlyphsToParts(glyphs, buildEduUnits(text));
+
+  assert.doesNotThrow(() => JSON.stringify(payload));
+  assert.equal(payload[0].parts.every((p) => !('component' in p)), true);
+
+  const hydrated = hydrateGlyphParts(JSON.parse(JSON.stringify(payload)))[0].parts;
+  assert.equal(hydrated.length, client[0].parts.length);
+  hydrated.forEach((part, idx) => {
+    const { sourceStart, sourceEnd, ...rest } = part;
+    assert.deepEqual(rest, { ...client[0].parts[idx], component: client[0].parts[idx].component ?? null });
+  });
+});
+
+test('parts report the source range of their edu unit', () => {
+  const text = 'ក្វោ';
+  const parts = buildGlyphPartsPayload([mkGlyph(text)], text, null)[0].parts;
+
+  const subscript = parts.find((p) => p.category === 'subscript_consonant');
+  assert.deepEqual([subscript.sourceStart, subscript.sourceEnd], [1, 3]);
+
+  const vowelParts = parts.filter((p) => p.char === 'ោ');
+  assert.equal(vowelParts.length > 0, true);
+  assert.equal(vowelParts.every((p) => p.sourceStart === 3 && p.sourceEnd === 4), true);
+});
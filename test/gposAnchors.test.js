@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import opentype from 'opentype.js';
+
+import { getMarkAttachments, readFontMarkAnchors, readMarkAnchors } from '../src/lib/gposAnchors.js';
+import { getGlyphPathAndBBox, shapeGlyphs } from '../src/lib/shapingCore.js';
+import { ROOT } from './helpers/apiServer.js';
+
+const require = createRequire(import.meta.url);
+
+async function loadFont(file) {
+  const hb = await require('harfbuzzjs');
+  const data = readFileSync(path.join(ROOT, 'public', 'fonts', file));
+  const arrayBuffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  const hbFace = hb.createFace(hb.createBlob(arrayBuffer), 0);
+  const shaper = {
+    hbFont: hb.createFont(hbFace),
+    otFont: opentype.parse(arrayBuffer),
+    fontEntry: { id: 'test', label: file, file, faceIndex: 0 },
+    variations: null,
+  };
+  const shape = (text) => shapeGlyphs(hb, text, { fontId: 'test', quiet: true }, {
+    getShaper: async () => shaper,
+    getFallbackChain: () => [],
+    getOutline: (fontShaper, glyphId) => getGlyphPathAndBBox(fontShaper.otFont, glyphId),
+  });
+  return { anchors: readFontMarkAnchors(hbFace), shape };
+}
+
+test('marks attach to the base and to the previous mark at coinciding anchors', async () => {
+  const { anchors, shape } = await loadFont('NotoSansKhmer-VariableFont_wdth,wght.ttf');
+
+  const [ku] = await shape('កុំ');
+  const kuAttachments = getMarkAttachments(ku, anchors);
+  assert.deepEqual(kuAttachments.map((a) => [a.markIndex, a.baseIndex, a.type]), [
+    [1, 0, 'mark_to_base'],
+    [2, 0, 'mark_to_base'],
+  ]);
+  for (const attachment of kuAttachments) assert.deepEqual(attachment.markPoint, attachment.basePoint);
+  // ុ крепится снизу тела ក, ំ — сверху (ось Y вниз)
+  assert.ok(kuAttachments[0].basePoint.y > kuAttachments[1].basePoint.y);
+
+  const [nyu] = await shape('ញ្ញុ');
+  assert.ok(getMarkAttachments(nyu, anchors).some((a) => a.type === 'mark_to_mark'));
+});
+
+test('anchor entries carry lookup, placement feature and class', async () => {
+  const { anchors, shape } = await loadFont('KhmerOS_battambang.ttf');
+  const [ka] = await shape('ក');
+  const base = anchors[ka.components[0].hbGlyphId].base;
+
+  assert.ok(base.length > 0);
+  assert.ok(base.some((a) => a.features.includes('abvm')));
+  assert.ok(base.some((a) => a.features.includes('blwm')));
+  for (const anchor of base) {
+    assert.equal(anchor.type, 'mark_to_base');
+    assert.equal(Number.isInteger(anchor.markClass), true);
+  }
+});
+
+test('a font without GPOS has no anchors', () => {
+  assert.deepEqual(readMarkAnchors(null), {});
+  assert.deepEqual(getMarkAttachments({ components: [{ hbGlyphId: 1, x: 0, y: 0 }] }, {}), []);
+});
@@ -0,0 +1,69 @@
+import { spawn } from 'node:child_process';
+import { copyFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '../..');
+export const FONTS_DIR = path.join(ROOT, 'public', 'fonts');
+
+/**
+ * Поднимает server/server.cjs на случайном порту и гасит его по окончании теста.
+ * Сервер в режиме VALIDATE_RESPONSES=1: несоответствие схеме — 500 от самого сервера.
+ *
+ * fonts — файлы из public/fonts, которые копируются во временный каталог шрифтов
+ * (для тестов, которые меняют каталог); без fonts сервер читает public/fonts.
+ * Кэш метрик и подписи шрифтов — во временном каталоге; env — дополнительные
+ * переменные окружения сервера.
+ *
+ * Возвращает request(pathAndQuery, init) → { status, headers, body } (body — JSON
+ * или текст); у функции есть поля baseUrl, fontsDir и labelsFile.
+ */
+export async function startServer(t, { fonts = null, env = {} } = {}) {
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const cacheDir = mkdtempSync(path.join(tmpdir(), 'khmer-metrics-'));
+  const dataDir = mkdtempSync(path.join(tmpdir(), 'khmer-data-'));
+  const labelsFile = path.join(dataDir, 'font-labels.json');
+  const fontsDir = fonts ? mkdtempSync(path.join(tmpdir(), 'khmer-fonts-')) : FONTS_DIR;
+  for (const file of fonts || []) copyFileSync(path.join(FONTS_DIR, file), path.join(fontsDir, file));
+
+  const child = spawn(process.execPath, ['server/server.cjs'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      VALIDATE_RESPONSES: '1',
+      METRICS_CACHE_DIR: cacheDir,
+      FONT_LABELS_FILE: labelsFile,
+      ...(fonts && { FONTS_DIR: fontsDir }),
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  t.after(() => {
+    child.kill();
+    rmSync(cacheDir, { recursive: true, force: true });
+    rmSync(dataDir, { recursive: true, force: true });
+    if (fonts) rmSync(fontsDir, { recursive: true, force: true });
+  });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('server did not start')), 15000);
+    child.stdout.on('data', (chunk) => {
+      if (chunk.toString().includes('listening')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on('exit', (code) => reject(new Error(`server exited with ${code}`)));
+  });
+
+  const baseUrl = `http://localhost:${port}`;
+  const request = async (pathAndQuery, init) => {
+    const response = await fetch(`${baseUrl}${pathAndQuery}`, init);
+    const text = await response.text();
+    const isJson = String(response.headers.get('content-type')).includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  };
+  return Object.assign(request, { baseUrl, fontsDir, labelsFile });
+}
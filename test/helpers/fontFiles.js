@@ -0,0 +1,32 @@
+const align4 = (value) => (value + 3) & ~3;
+
+/**
+ * Коллекция TTC из отдельных SFNT: шрифты кладутся друг за другом, смещения
+ * таблиц в их директориях пересчитываются от начала коллекции.
+ *
+ * @param {Buffer[]} fonts — байты TTF/OTF
+ * @returns {Buffer}
+ */
+export function buildFontCollection(fonts) {
+  const faceOffsets = [];
+  let size = align4(12 + fonts.length * 4);
+  for (const font of fonts) {
+    faceOffsets.push(size);
+    size += align4(font.length);
+  }
+
+  const out = Buffer.alloc(size);
+  out.write('ttcf', 0, 'latin1');
+  out.writeUInt32BE(0x00010000, 4);
+  out.writeUInt32BE(fonts.length, 8);
+  fonts.forEach((font, i) => {
+    const faceOffset = faceOffsets[i];
+    out.writeUInt32BE(faceOffset, 12 + i * 4);
+    font.copy(out, faceOffset);
+    for (let table = 0; table < font.readUInt16BE(4); table++) {
+      const offsetField = faceOffset + 12 + table * 16 + 8;
+      out.writeUInt32BE(out.readUInt32BE(offsetField) + faceOffset, offsetField);
+    }
+  });
+  return out;
+}
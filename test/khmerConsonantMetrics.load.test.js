@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getRawMetrics, loadMetrics, resetMetrics } from '../src/lib/khmerConsonantMetrics.js';
+
+test('a load for another font or variations is not served by the pending one', async (t) => {
+  const originalFetch = globalThis.fetch;
+  t.after(() => { globalThis.fetch = originalFetch; });
+
+  const pending = [];
+  globalThis.fetch = (metricsUrl) => new Promise((resolve) => {
+    const { searchParams } = new URL(metricsUrl, 'http://localhost');
+    const fontId = searchParams.get('font');
+    pending.push({
+      key: `${fontId}|${searchParams.get('variations') || ''}`,
+      resolve: () => resolve({ ok: true, json: async () => ({ fontId, unitsPerEm: 1000 }) }),
+    });
+  });
+
+  const first = loadMetrics('a');
+  const same = loadMetrics('a');
+  const second = loadMetrics('a', undefined, 'wght:700');
+  const third = loadMetrics('b');
+  assert.deepEqual(pending.map((p) => p.key), ['a|', 'a|wght:700', 'b|']);
+
+  // Ответ устаревшей загрузки, пришедший последним, не затирает выбранный шрифт
+  pending[2].resolve();
+  pending[0].resolve();
+  pending[1].resolve();
+  assert.equal((await third).fontId, 'b');
+  assert.equal(await first, null);
+  assert.equal(await same, null);
+  assert.equal(await second, null);
+  assert.equal(getRawMetrics().fontId, 'b');
+});
+
+test('resetMetrics drops the pending load so the next call fetches again', async (t) => {
+  const originalFetch = globalThis.fetch;
+  t.after(() => { globalThis.fetch = originalFetch; });
+
+  const pending = [];
+  globalThis.fetch = (metricsUrl) => new Promise((resolve) => {
+    const fontId = new URL(metricsUrl, 'http://localhost').searchParams.get('font');
+    pending.push(() => resolve({ ok: true, json: async () => ({ fontId, unitsPerEm: 1000 }) }));
+  });
+
+  const stale = loadMetrics('c');
+  resetMetrics();
+  const fresh = loadMetrics('c');
+  assert.equal(pending.length, 2);
+
+  pending[1]();
+  pending[0]();
+  assert.equal(await stale, null);
+  assert.equal((await fresh).fontId, 'c');
+});
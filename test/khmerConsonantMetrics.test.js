@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildEduUnits } from '../src/lib/eduUnits.js';
+import { computeZonesFromMetrics, getVowelMetrics, setMetricsData } from '../src/lib/khmerConsonantMetrics.js';
+
+const KA = 0x1780;
+const NYO = 0x1789;
+const U = 0x17BB;
+
+const bb = (x1, y1, x2, y2) => ({ x1, y1, x2, y2 });
+
+// Подписная ្ញ и гласная ុ под ក ниже и у́же, чем под ញ
+const METRICS = {
+  unitsPerEm: 2048,
+  consonants: { [KA]: { glyphId: 1, bb: bb(0, -1000, 1000, 0) }, [NYO]: { glyphId: 2, bb: bb(0, -1000, 1800, 0) } },
+  subscripts: { [NYO]: { glyphId: 3, bb: bb(-900, 100, -100, 500), clusterBB: bb(0, -1000, 1000, 500) } },
+  vowels: { [U]: { glyphId: 4, bb: bb(-400, 100, -200, 400), clusterBB: bb(0, -1000, 1000, 400), components: [], multipart: false } },
+  indepVowels: {},
+  diacritics: {},
+  pairs: {
+    subscripts: { [NYO]: { [NYO]: { glyphId: 5, bb: bb(-1700, 150, -100, 900), clusterBB: bb(0, -1000, 1800, 900) } } },
+    vowels: { [NYO]: { [U]: { glyphId: 6, bb: bb(-500, 200, -200, 700), clusterBB: bb(0, -1000, 1800, 700), components: [], multipart: false } } },
+  },
+};
+
+test('zones use the subscript measured under the cluster base', (t) => {
+  t.after(() => setMetricsData(null));
+  setMetricsData(METRICS);
+
+  const zones = computeZonesFromMetrics(bb(0, -1000, 1800, 900), buildEduUnits('ញ្ញ'));
+  assert.deepEqual(zones.BOTTOM, { x: 0, y: 150, width: 1800, height: 750 });
+});
+
+test('vowel metrics fall back to the ក row without a pair entry', (t) => {
+  t.after(() => setMetricsData(null));
+  setMetricsData(METRICS);
+
+  assert.equal(getVowelMetrics(U, NYO).glyphId, 6);
+  assert.equal(getVowelMetrics(U, KA).glyphId, 4);
+  assert.equal(getVowelMetrics(U).glyphId, 4);
+
+  const { pairs, ...withoutPairs } = METRICS;
+  setMetricsData(withoutPairs);
+  assert.equal(getVowelMetrics(U, NYO).glyphId, 4);
+  const zones = computeZonesFromMetrics(bb(0, -1000, 1000, 500), buildEduUnits('ក្ញ'));
+  assert.deepEqual(zones.BOTTOM, { x: 0, y: 100, width: 1000, height: 400 });
+});
+
+test('GPOS base anchors set the TOP and BOTTOM boundaries, baseline anchors of above marks are ignored', (t) => {
+  t.after(() => setMetricsData(null));
+  const anchor = (feature, y) => ({ lookupIndex: 0, subtable: 0, type: 'mark_to_base', features: [feature], markClass: 0, x: 500, y });
+  const withAnchors = (base) => ({ ...METRICS, anchors: { 1: { mark: [], base } } });
+  const clusterBB = bb(0, -1400, 1000, 600);
+
+  setMetricsData(withAnchors([anchor('abvm', -1050), anchor('blwm', 50)]));
+  let zones = computeZonesFromMetrics(clusterBB, buildEduUnits('កុំ'));
+  assert.deepEqual(zones.TOP, { x: 0, y: -1400, width: 1000, height: 350 });
+  assert.deepEqual(zones.BOTTOM, { x: 0, y: 50, width: 1000, height: 550 });
+
+  // Khmer OS: якоря надстрочных на базовой линии — TOP остаётся по метрикам
+  setMetricsData(withAnchors([anchor('abvm', 0)]));
+  zones = computeZonesFromMetrics(clusterBB, buildEduUnits('កំ'));
+  assert.equal(zones.TOP.height, 2000 * 0.22);
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+
+import { LESSONS, getLessonSoundFiles } from '../src/lib/lessons.js';
+import {
+  cacheFontForOffline,
+  cacheLessonSounds,
+  clearOfflineCache,
+  getOfflineCacheSize,
+  getOfflineStatus,
+} from '../src/lib/offlineCache.js';
+import { ROOT } from './helpers/apiServer.js';
+
+// CacheStorage в памяти: ключи — строки URL, add() «скачивает» из files
+function createCacheStorage(files = {}) {
+  const caches = new Map();
+  const open = async (name) => {
+    if (!caches.has(name)) caches.set(name, new Map());
+    const entries = caches.get(name);
+    return {
+      match: async (url) => (entries.has(url) ? new Response(entries.get(url)) : undefined),
+      keys: async () => Array.from(entries.keys()),
+      add: async (url) => {
+        if (!(url in files)) throw new Error(`404 ${url}`);
+        entries.set(url, files[url]);
+      },
+    };
+  };
+  return {
+    open,
+    keys: async () => Array.from(caches.keys()),
+    delete: async (name) => caches.delete(name),
+    match: async (url) => {
+      for (const entries of caches.values()) {
+        if (entries.has(url)) return new Response(entries.get(url));
+      }
+      return undefined;
+    },
+  };
+}
+
+test('every lesson sound exists in public/sounds', () => {
+  for (const lesson of LESSONS) {
+    const files = getLessonSoundFiles(lesson);
+    assert.ok(files.length > 0, lesson.id);
+    for (const file of files) {
+      assert.ok(existsSync(path.join(ROOT, 'public', 'sounds', file)), `${lesson.id}: ${file}`);
+    }
+  }
+});
+
+test('lesson sounds follow edu units and skip spaces', () => {
+  assert.deepEqual(getLessonSoundFiles({ text: 'កុ ក្ខុ' }), ['letter_ka.mp3', 'vowel_name_u.mp3', 'letter_kha.mp3']);
+});
+
+test('a lesson is ready offline once the shell, the font and all its sounds are cached', async () => {
+  const lesson = { id: 'ku', text: 'កុ' };
+  const font = { id: 'noto', file: 'Noto Khmer.ttf' };
+  const cacheStorage = createCacheStorage({
+    '/index.html': '<html>',
+    '/fonts/Noto%20Khmer.ttf': 'font-bytes',
+    '/sounds/letter_ka.mp3': 'ka',
+    '/sounds/vowel_name_u.mp3': 'u',
+  });
+  const options = { cacheStorage, baseUrl: '/' };
+
+  let status = await getOfflineStatus([lesson], font, options);
+  assert.deepEqual(status, { shell: false, font: false, lessons: { ku: { cachedSounds: 0, totalSounds: 2, ready: false } } });
+
+  await (await cacheStorage.open('khmer-lab-shell-abc')).add('/index.html');
+  assert.equal(await cacheFontForOffline(font, options), true);
+  assert.equal(await cacheLessonSounds(lesson, options), 0);
+  status = await getOfflineStatus([lesson], font, options);
+  assert.deepEqual(status.lessons.ku, { cachedSounds: 2, totalSounds: 2, ready: true });
+  assert.equal(await getOfflineCacheSize(options), '<html>'.length + 'font-bytes'.length + 'ka'.length + 'u'.length);
+
+  await clearOfflineCache(options);
+  status = await getOfflineStatus([lesson], font, options);
+  assert.equal(status.shell, true);
+  assert.deepEqual(status.lessons.ku, { cachedSounds: 0, totalSounds: 2, ready: false });
+});
+
+test('missing sound files are counted, not thrown', async () => {
+  const cacheStorage = createCacheStorage({ '/sounds/letter_ka.mp3': 'ka' });
+  assert.equal(await cacheLessonSounds({ id: 'ku', text: 'កុ' }, { cacheStorage, baseUrl: '/' }), 1);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getColorForCategory } from '../src/lib/glyphCombinationRules.js';
+import { buildClusterSvg, buildPartSvg, clipOutlineToRect, getPartOutline } from '../src/lib/partOutlines.js';
+
+function mkRectPath(x1, y1, x2, y2) {
+  return `M${x1} ${y1} L${x2} ${y1} L${x2} ${y2} L${x1} ${y2} Z`;
+}
+
+test('clipOutlineToRect keeps only the part of each contour inside the rect', () => {
+  const d = `${mkRectPath(0, 0, 100, 100)} ${mkRectPath(200, 0, 300, 100)}`;
+  assert.equal(clipOutlineToRect(d, { x: 50, y: -10, width: 100, height: 200 }), 'M50 0 L100 0 L100 100 L50 100 Z');
+  assert.equal(clipOutlineToRect(d, { x: 120, y: 0, width: 50, height: 50 }), '');
+});
+
+test('part outline applies clipRect and moves component parts into cluster coordinates', () => {
+  const glyph = { x: 1000, y: 0 };
+  const part = {
+    char: 'ា',
+    category: 'dependent_vowel',
+    component: { x: 1500, y: 0, d: mkRectPath(0, -800, 400, 0) },
+    clipRect: { x: 200, y: -1000, width: 500, height: 1200 },
+  };
+  const outline = getPartOutline(part, glyph);
+  assert.equal(outline.d, 'M700 -800 L900 -800 L900 0 L700 0 Z');
+  assert.deepEqual(outline.bb, { x1: 700, y1: -800, x2: 900, y2: 0 });
+  assert.match(buildPartSvg(part, glyph), /<path d="M700 -800 L900 -800 L900 0 L700 0 Z" fill="#ef4444"/);
+});
+
+test('cluster SVG has one layer per category with category colors', () => {
+  const d = mkRectPath(0, -1000, 1000, 600);
+  const glyph = {
+    x: 0,
+    y: 0,
+    d,
+    clusterText: 'ក្កុ',
+    parts: [
+      { char: 'ុ', category: 'dependent_vowel', zone: 'BOTTOM', pathData: d, clipRect: { x: 600, y: 0, width: 400, height: 600 } },
+      { char: 'ក', category: 'base_consonant', zone: 'BASE', pathData: d, clipRect: { x: 0, y: -1000, width: 1000, height: 1000 } },
+      { char: '្ក', category: 'subscript_consonant', zone: 'BOTTOM', pathData: d, clipRect: { x: 0, y: 0, width: 600, height: 600 } },
+      { char: 'ៈ', category: 'diacritic_sign', zone: 'RIGHT', pathData: d, clipRect: { x: 2000, y: 0, width: 10, height: 10 } },
+    ],
+  };
+
+  const svg = buildClusterSvg(glyph);
+  const layers = [...svg.matchAll(/<g id="([a-z_]+)" inkscape:groupmode="layer"/g)].map((match) => match[1]);
+  assert.deepEqual(layers, ['base_consonant', 'subscript_consonant', 'dependent_vowel']);
+  assert.match(svg, new RegExp(`fill="${getColorForCategory('subscript_consonant', '្ក')}" data-char="្ក"`));
+  assert.match(svg, /viewBox="-40 -1040 1080 1680"/);
+  assert.match(svg, /<title>ក្កុ<\/title>/);
+});
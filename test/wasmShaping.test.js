@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+
+import { createWasmShapingBackend } from '../src/lib/wasmShaping.js';
+import { ROOT, startServer } from './helpers/apiServer.js';
+
+const require = createRequire(import.meta.url);
+
+// Браузерный бэкенд на node-сборке harfbuzzjs: файлы — из public/, манифест — /api/fonts
+function createBackend(manifest) {
+  const fetch = async (url) => {
+    const file = decodeURIComponent(url.replace(/^\//, ''));
+    if (file === 'fonts/index.json') return { ok: true, json: async () => manifest };
+    const data = readFileSync(path.join(ROOT, 'public', file));
+    return { ok: true, arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) };
+  };
+  return createWasmShapingBackend({ baseUrl: '/', loadHarfBuzz: () => require('harfbuzzjs'), fetch });
+}
+
+const transported = (value) => JSON.parse(JSON.stringify(value));
+
+test('wasm backend returns the same shaping and metrics as the server', async (t) => {
+  const request = await startServer(t);
+  const { body: manifest } = await request('/api/fonts');
+  const backend = createBackend(manifest);
+  const variableFont = manifest.fonts.find((font) => font.axes.length > 0);
+
+  const queries = [
+    `text=${encodeURIComponent('ន្ត្រា កៅ abc')}&clusterLevel=1`,
+    `text=${encodeURIComponent('ក្សៀ')}&features=liga:0,zzzz:1`,
+    `text=${encodeURIComponent('កៅ')}&font=${variableFont.id}&variations=wght:700`,
+  ];
+  for (const query of queries) {
+    const server = await request(`/api/v2/shape?${query}`);
+    assert.deepEqual(transported(await backend.shape(query)), server.body, query);
+  }
+
+  const metrics = await request(`/api/metrics?font=${variableFont.id}&variations=wght:300&pairs=1&anchors=1`);
+  assert.deepEqual(transported(await backend.fetchMetrics(variableFont.id, 'wght:300')), metrics.body);
+
+  await assert.rejects(backend.shape('text=a&font=no-such-font'), { code: 'font_not_found' });
+});
+
+test('over-limit input fails with the same error on both backends', async (t) => {
+  const request = await startServer(t);
+  const { body: manifest } = await request('/api/fonts');
+  const backend = createBackend(manifest);
+
+  const queries = [
+    `text=${'a'.repeat(2001)}`,
+    `text=a&features=${Array(65).fill('liga:0').join(',')}`,
+    'text=a&features=liga:on',
+    'text=a&clusterLevel=3',
+  ];
+  for (const query of queries) {
+    const server = await request(`/api/v2/shape?${query}`);
+    assert.equal(server.status, 400, query);
+    await assert.rejects(backend.shape(query), server.body.error, query);
+  }
+  assert.deepEqual(
+    (await request(`/api/v2/shape?text=${'a'.repeat(2001)}`)).body.error,
+    { code: 'text_too_long', message: 'Text is longer than 2000 characters' }
+  );
+});
+
+test('fonts the browser cannot read are listed as unavailable', async () => {
+  const font = { id: 'a', label: 'A', faceIndex: 0, available: true, reason: null, axes: [] };
+  const backend = createBackend({
+    fonts: [{ ...font, id: 'packed', file: 'Packed.woff2' }, { ...font, id: 'plain', file: 'Plain.ttf' }],
+    defaultFontId: 'packed',
+  });
+
+  const { fonts, defaultFontId } = await backend.fetchFonts();
+  assert.deepEqual(fonts.map((f) => [f.id, f.available, f.reason]), [
+    ['packed', false, 'unsupported_in_browser'],
+    ['plain', true, null],
+  ]);
+  assert.equal(defaultFontId, 'plain');
+});
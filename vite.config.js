@@ -1,11 +1,78 @@
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
 import { defineConfig } from 'vite';
 
+const require = createRequire(import.meta.url);
+
+const apiProxy = {
+  '/api': 'http://localhost:3001',
+  '/health': 'http://localhost:3001'
+};
+
+const FONTS_MANIFEST = 'fonts/index.json';
+
+/**
+ * fonts/index.json — ответ /api/fonts для wasm-бэкенда (src/lib/wasmShaping.js):
+ * статический хостинг не умеет листать public/fonts. В сборке — отдельный файл,
+ * в dev — тот же объект на лету (каталог мог измениться).
+ */
+function fontsManifest() {
+  const buildPayload = () => require('./server/server.cjs').buildFontsPayload();
+  return {
+    name: 'fonts-manifest',
+    configureServer(server) {
+      server.middlewares.use(`/${FONTS_MANIFEST}`, async (req, res, next) => {
+        try {
+          res.setHeader('Content-Type', 'application/json; charset=utf-8');
+          res.end(JSON.stringify(await buildPayload()));
+        } catch (error) {
+          next(error);
+        }
+      });
+    },
+    async generateBundle() {
+      this.emitFile({ type: 'asset', fileName: FONTS_MANIFEST, source: JSON.stringify(await buildPayload()) });
+    }
+  };
+}
+
+// Файлы из public/, без которых лаборатория не запустится офлайн
+const PUBLIC_SHELL_FILES = ['favicon.svg', 'manifest.webmanifest', 'wasm/hb.js', 'wasm/hb.wasm'];
+
+/**
+ * precache.json — что service worker (public/sw.js) кладёт в кэш при установке:
+ * index.html, все файлы сборки и PUBLIC_SHELL_FILES. version меняется вместе
+ * с содержимым — по нему воркер заводит новый кэш оболочки.
+ */
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      const builtFiles = Object.keys(bundle).filter((fileName) => !fileName.endsWith('.map'));
+      const urls = Array.from(new Set(['index.html', FONTS_MANIFEST, ...builtFiles, ...PUBLIC_SHELL_FILES])).sort();
+
+      const hash = createHash('sha256');
+      for (const fileName of builtFiles.sort()) {
+        const item = bundle[fileName];
+        hash.update(fileName).update(item.type === 'chunk' ? item.code : item.source);
+      }
+      for (const fileName of PUBLIC_SHELL_FILES) hash.update(readFileSync(new URL(`./public/${fileName}`, import.meta.url)));
+
+      const version = hash.digest('hex').slice(0, 12);
+      this.emitFile({ type: 'asset', fileName: 'precache.json', source: JSON.stringify({ version, urls }) });
+    }
+  };
+}
+
 export default defineConfig({
+  plugins: [fontsManifest(), precacheManifest()],
   server: {
     port: 5173,
-    proxy: {
-      '/api': 'http://localhost:3001',
-      '/health': 'http://localhost:3001'
-    }
+    proxy: apiProxy
+  },
+  preview: {
+    proxy: apiProxy
   }
 });